@@ -0,0 +1,58 @@
+const fs = require('fs');
+const path = require('path');
+const { execSync } = require('child_process');
+const ToolManager = require('./tool-manager');
+
+// ============================================================================
+// CLASS: AndroidBuildTools
+// ============================================================================
+// Locates SDK build-tools binaries (apksigner, zipalign, aapt2...).
+class AndroidBuildTools {
+  // $envVar, then the managed build-tools (tools/build-tools/<version>/), then PATH,
+  // then the newest $ANDROID_HOME/build-tools/<version>/<name>
+  static find(name, envVar = null) {
+    if (envVar && process.env[envVar] && fs.existsSync(process.env[envVar])) {
+      return process.env[envVar];
+    }
+
+    const managed = ToolManager.shared().find('build-tools', name);
+    if (managed) return managed;
+
+    try {
+      const found = execSync(`command -v ${name}`, { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+      if (found) return found;
+    } catch (e) {
+      // Not on PATH
+    }
+
+    const sdkRoot = process.env.ANDROID_HOME || process.env.ANDROID_SDK_ROOT;
+    const buildTools = sdkRoot ? path.join(sdkRoot, 'build-tools') : null;
+    if (buildTools && fs.existsSync(buildTools)) {
+      const versions = fs.readdirSync(buildTools)
+        .sort((a, b) => b.localeCompare(a, undefined, { numeric: true }));
+      for (const version of versions) {
+        const candidate = path.join(buildTools, version, name);
+        if (fs.existsSync(candidate)) return candidate;
+      }
+    }
+
+    return null;
+  }
+
+  // The build-tools a build will use, as recorded in reports
+  static describe() {
+    const managed = ToolManager.shared().describe()['build-tools'];
+    const tools = managed ? { ...managed } : { version: null, source: 'system' };
+
+    for (const [name, envVar] of [['apksigner', 'APKSIGNER'], ['zipalign', 'ZIPALIGN']]) {
+      const found = AndroidBuildTools.find(name, envVar);
+      tools[name] = found;
+      // .../build-tools/<version>/<name> tells the version of an SDK install
+      const match = found && found.match(/build-tools\/([^/]+)\/[^/]+$/);
+      if (match && !tools.version) tools.version = match[1];
+    }
+    return tools;
+  }
+}
+
+module.exports = AndroidBuildTools;
@@ -1,18 +1,41 @@
 const fs = require('fs');
 const path = require('path');
-const { execSync } = require('child_process');
+const crypto = require('crypto');
+const AndroidManifest = require('./manifest-parser');
+const { XMLParser } = AndroidManifest;
+const SmaliDirs = require('./smali-dirs');
+const SmaliParser = require('./smali-parser');
+const TextDiff = require('./text-diff');
+const DiffHTMLReport = require('./diff-html-report');
+const JobWorkspace = require('./job-workspace');
+const DecompileCache = require('./decompile-cache');
+const ProcessRunner = require('./process-runner');
+const ToolManager = require('./tool-manager');
+const JavaSources = require('./java-sources');
 
 class APKDiffAnalyzer {
-  constructor() {
-    this.originalDir = 'decompiled_original';
-    this.modifiedDir = 'decompiled_modified';
+  constructor(options = {}) {
+    // Paths not given explicitly live in this diff's own job directory (see prepareWorkspace)
+    this.workspace = options.workspace || null;
+    this.originalDir = options.originalDir || null;
+    this.modifiedDir = options.modifiedDir || null;
+    this.reportPath = options.reportPath || null;
+    this.cache = options.cache !== undefined ? options.cache : DecompileCache.fromEnv();
+    this.htmlPath = options.htmlPath || null;
+    // { timeout }: also decompile both APKs to Java (jadx) and link every changed class
+    this.java = options.java || null;
     this.diffReport = {
       manifest_changes: [],
       smali_changes: [],
       vip_patterns: [],
       unlock_patterns: [],
       method_replacements: [],
-      summary: {}
+      resource_changes: { values: [], files: [] },
+      asset_changes: [],
+      native_lib_changes: [],
+      summary: {},
+      javaSources: null,
+      tools: null
     };
   }
 
@@ -23,34 +46,62 @@ class APKDiffAnalyzer {
     
     console.log(`\n📦 Original APK: ${originalApk}`);
     console.log(`📦 Modified APK: ${modifiedApk}`);
+    this.prepareWorkspace();
 
     // Decompile both
     await this.decompileAPK(originalApk, this.originalDir);
     await this.decompileAPK(modifiedApk, this.modifiedDir);
+    const java = this.java ? await this.decompileJava(originalApk, modifiedApk) : null;
 
     // Analyze differences
     this.analyzeManifestDiff();
     this.analyzeSmaliDiff();
+    if (java) {
+      this.linkJava(java);
+    }
+    this.analyzeResourceDiff();
+    this.analyzeAssetDiff();
+    this.analyzeNativeLibDiff();
     
     this.printReport();
     this.saveReport();
+
+    if (this.htmlPath) {
+      this.saveHTMLReport(this.htmlPath, { originalApk, modifiedApk });
+    }
+  }
+
+  prepareWorkspace() {
+    if (this.originalDir && this.modifiedDir && this.reportPath) return;
+
+    if (!this.workspace) {
+      this.workspace = new JobWorkspace().create();
+      console.log(`🗂️  Job ${this.workspace.id}: ${this.workspace.dir}`);
+    }
+    this.originalDir = this.originalDir || this.workspace.path('decompiled_original');
+    this.modifiedDir = this.modifiedDir || this.workspace.path('decompiled_modified');
+    this.reportPath = this.reportPath || this.workspace.path('diff-analysis-report.json');
   }
 
   async decompileAPK(apkPath, outputDir) {
     if (!fs.existsSync(apkPath)) {
-      console.error(`❌ APK not found: ${apkPath}`);
+      throw new Error(`APK not found: ${apkPath}`);
+    }
+
+    const hit = this.cache && this.cache.restore(apkPath, [[]], outputDir);
+    if (hit) {
+      console.log(`\n♻️  Decompile cache hit: ${hit.key} (apktool ${hit.apktoolVersion}) -> ${outputDir}`);
       return;
     }
 
     console.log(`\n🔓 Decompiling to ${outputDir}...`);
     
-    if (fs.existsSync(outputDir)) {
-      execSync(`rm -rf ${outputDir}`);
-    }
+    fs.rmSync(outputDir, { recursive: true, force: true });
 
     try {
-      execSync(`java -Xmx2048m -jar apktool.jar d "${apkPath}" -o ${outputDir} -f`, {
-        stdio: 'inherit',
+      const apktool = ToolManager.shared().path('apktool');
+      await ProcessRunner.run('java', ['-Xmx2048m', '-jar', apktool, 'd', apkPath, '-o', outputDir, '-f'], {
+        label: 'apktool d',
         timeout: 600000
       });
       console.log(`✅ Decompiled to ${outputDir}`);
@@ -58,166 +109,493 @@ class APKDiffAnalyzer {
       console.error(`❌ Failed to decompile: ${e.message}`);
       throw e;
     }
+
+    try {
+      const stored = this.cache && this.cache.store(apkPath, [], outputDir);
+      if (stored) console.log(`   💾 Cached as ${stored.key}`);
+    } catch (e) {
+      console.log(`⚠️  Could not cache decompile output: ${e.message}`);
+    }
+  }
+
+  // jadx on both APKs; failures and timeouts end up in the report, the diff goes on
+  async decompileJava(originalApk, modifiedApk) {
+    const sources = {
+      original: new JavaSources(path.join(path.dirname(this.originalDir), 'java_original'), this.java),
+      modified: new JavaSources(path.join(path.dirname(this.modifiedDir), 'java_modified'), this.java)
+    };
+    this.diffReport.javaSources = {};
+
+    for (const [side, apkPath] of [['original', originalApk], ['modified', modifiedApk]]) {
+      console.log(`\n☕ Decompiling ${side} APK to Java (jadx)...`);
+      const summary = await sources[side].decompile(apkPath);
+      this.diffReport.javaSources[side] = summary;
+      const failed = summary.failedClassCount ? `, ${summary.failedClassCount} failed classes` : '';
+      console.log(`   ${summary.classes} Java files in ${summary.dir} (${summary.status}${failed})${summary.error ? ` - ${summary.error}` : ''}`);
+    }
+    return sources;
+  }
+
+  // Java file of every changed class, in the original and in the modified APK
+  linkJava(sources) {
+    const find = (side, change) => (change.class
+      ? sources[side].javaFileFor(change.class)
+      : sources[side].javaFileForSmali(change.file));
+
+    for (const change of this.diffReport.smali_changes) {
+      change.java = { original: find('original', change), modified: find('modified', change) };
+    }
   }
 
   analyzeManifestDiff() {
     console.log('\n📋 Analyzing AndroidManifest.xml changes...');
     
-    const origManifest = fs.readFileSync(
-      path.join(this.originalDir, 'AndroidManifest.xml'), 
-      'utf8'
-    );
-    const modManifest = fs.readFileSync(
-      path.join(this.modifiedDir, 'AndroidManifest.xml'), 
-      'utf8'
-    );
-
-    // Find permission changes
-    const origPerms = [...origManifest.matchAll(/android:name="(android\.permission\.\w+)"/g)];
-    const modPerms = [...modManifest.matchAll(/android:name="(android\.permission\.\w+)"/g)];
+    const origManifest = AndroidManifest.fromDecompiledDir(this.originalDir);
+    const modManifest = AndroidManifest.fromDecompiledDir(this.modifiedDir);
+
+    const setDiff = (origList, modList) => {
+      const origSet = new Set(origList);
+      const modSet = new Set(modList);
+      return {
+        added: [...modSet].filter(x => !origSet.has(x)),
+        removed: [...origSet].filter(x => !modSet.has(x))
+      };
+    };
 
-    const origPermSet = new Set(origPerms.map(m => m[1]));
-    const modPermSet = new Set(modPerms.map(m => m[1]));
+    // Requested (<uses-permission>) and declared (<permission>) permissions
+    const perms = setDiff(
+      origManifest.usesPermissions.map(p => p.name),
+      modManifest.usesPermissions.map(p => p.name)
+    );
+    if (perms.added.length > 0) {
+      console.log(`   ✅ Added permissions: ${perms.added.join(', ')}`);
+      this.diffReport.manifest_changes.push({ type: 'permission_added', permissions: perms.added });
+    }
+    if (perms.removed.length > 0) {
+      console.log(`   ✅ Removed permissions: ${perms.removed.join(', ')}`);
+      this.diffReport.manifest_changes.push({ type: 'permission_removed', permissions: perms.removed });
+    }
 
-    const added = [...modPermSet].filter(p => !origPermSet.has(p));
-    const removed = [...origPermSet].filter(p => !modPermSet.has(p));
+    const declared = setDiff(
+      origManifest.declaredPermissions.map(p => p.name),
+      modManifest.declaredPermissions.map(p => p.name)
+    );
+    if (declared.added.length > 0 || declared.removed.length > 0) {
+      console.log(`   ✅ Declared permissions: +${declared.added.length} / -${declared.removed.length}`);
+      this.diffReport.manifest_changes.push({ type: 'declared_permission_changed', ...declared });
+    }
 
-    if (added.length > 0) {
-      console.log(`   ✅ Added permissions: ${added.join(', ')}`);
-      this.diffReport.manifest_changes.push({ type: 'permission_added', permissions: added });
+    // Components keyed by "<type> <name>"
+    const componentKey = c => `${c.type} ${c.name}`;
+    const components = setDiff(
+      origManifest.components.map(componentKey),
+      modManifest.components.map(componentKey)
+    );
+    for (const key of components.added) {
+      console.log(`   ✅ Added component: ${key}`);
+    }
+    for (const key of components.removed) {
+      console.log(`   ✅ Removed component: ${key}`);
     }
-    if (removed.length > 0) {
-      console.log(`   ✅ Removed permissions: ${removed.join(', ')}`);
-      this.diffReport.manifest_changes.push({ type: 'permission_removed', permissions: removed });
+    if (components.added.length > 0 || components.removed.length > 0) {
+      this.diffReport.manifest_changes.push({ type: 'component_changed', ...components });
+    }
+
+    // Scalar manifest fields
+    for (const field of ['package', 'versionCode', 'versionName', 'minSdk', 'targetSdk']) {
+      if (origManifest[field] !== modManifest[field]) {
+        console.log(`   ✅ ${field}: ${origManifest[field]} → ${modManifest[field]}`);
+        this.diffReport.manifest_changes.push({
+          type: 'field_changed',
+          field,
+          original: origManifest[field],
+          modified: modManifest[field]
+        });
+      }
     }
   }
 
+  // Map of class path inside its dex dir (com/x/Y.smali) → full path; classes may move between dex files
+  collectSmaliFiles(baseDir) {
+    const files = new Map();
+    SmaliDirs.walkFiles(baseDir, (fullPath, fileName, dexDir) => {
+      const relPath = path.relative(path.join(baseDir, dexDir), fullPath).split(path.sep).join('/');
+      files.set(relPath, fullPath);
+    });
+    return files;
+  }
+
   analyzeSmaliDiff() {
     console.log('\n🔍 Scanning for Smali file changes...');
 
-    const origSmaliDirs = this.getAllSmaliDirs(this.originalDir);
-    const modSmaliDirs = this.getAllSmaliDirs(this.modifiedDir);
+    const origFiles = this.collectSmaliFiles(this.originalDir);
+    const modFiles = this.collectSmaliFiles(this.modifiedDir);
+    const allPaths = [...new Set([...origFiles.keys(), ...modFiles.keys()])].sort();
 
     let filesChanged = 0;
     let filesAnalyzed = 0;
 
-    // Compare each file
-    for (const dir of modSmaliDirs) {
-      const modDir = path.join(this.modifiedDir, dir);
-      const origDir = path.join(this.originalDir, dir);
+    for (const relPath of allPaths) {
+      filesAnalyzed++;
+      const origPath = origFiles.get(relPath);
+      const modPath = modFiles.get(relPath);
 
-      if (!fs.existsSync(modDir)) continue;
+      if (!origPath || !modPath) {
+        filesChanged++;
+        this.recordClassPresence(origPath || modPath, relPath, origPath ? 'removed' : 'added');
+        continue;
+      }
 
-      this.walkDirectory(modDir, (filePath) => {
-        if (!filePath.endsWith('.smali')) return;
+      const origContent = fs.readFileSync(origPath, 'utf8');
+      const modContent = fs.readFileSync(modPath, 'utf8');
 
-        filesAnalyzed++;
-        const relPath = filePath.replace(modDir, '');
-        const origPath = path.join(origDir, relPath);
+      if (origContent !== modContent) {
+        filesChanged++;
+        this.analyzeMethodChanges(origPath, modPath, relPath);
+      }
+    }
 
-        if (!fs.existsSync(origPath)) {
-          console.log(`   ℹ️  New file: ${relPath}`);
-          return;
-        }
+    const count = (status) => this.diffReport.smali_changes.filter(c => c.status === status).length;
+    const sum = (kind, status) => this.diffReport.smali_changes
+      .reduce((total, c) => total + (c[kind] ? c[kind][status].length : 0), 0);
+
+    Object.assign(this.diffReport.summary, {
+      files_changed: filesChanged,
+      files_analyzed: filesAnalyzed,
+      classes_added: count('added'),
+      classes_removed: count('removed'),
+      classes_changed: count('changed'),
+      methods_added: sum('methods', 'added'),
+      methods_removed: sum('methods', 'removed'),
+      methods_changed: sum('methods', 'changed'),
+      fields_added: sum('fields', 'added'),
+      fields_removed: sum('fields', 'removed'),
+      fields_changed: sum('fields', 'changed')
+    });
 
-        const origContent = fs.readFileSync(origPath, 'utf8');
-        const modContent = fs.readFileSync(filePath, 'utf8');
+    console.log(`\n   📊 Files analyzed: ${filesAnalyzed}`);
+    console.log(`   ✏️  Files modified: ${filesChanged}`);
+    console.log(`   ➕ Classes added: ${count('added')}, ➖ removed: ${count('removed')}, ✏️  changed: ${count('changed')}`);
+  }
 
-        if (origContent !== modContent) {
-          filesChanged++;
-          this.analyzeMethodChanges(origPath, filePath, relPath);
-        }
-      });
+  // Report entry for a smali file that could not be parsed, same shape as a parsed one
+  unparsedChange(relPath, status, error) {
+    console.log(`   ⚠️  Could not parse ${relPath}: ${error.message}`);
+    const empty = () => ({ added: [], removed: [], changed: [] });
+    return { file: relPath, class: null, status, parseError: error.message, header: {}, fields: empty(), methods: empty() };
+  }
+
+  // Class that exists in only one of the two APKs
+  recordClassPresence(filePath, relPath, status) {
+    let smaliClass;
+    try {
+      smaliClass = SmaliParser.parseFile(filePath);
+    } catch (e) {
+      this.diffReport.smali_changes.push(this.unparsedChange(relPath, status, e));
+      return;
     }
 
-    console.log(`\n   📊 Files analyzed: ${filesAnalyzed}`);
-    console.log(`   ✏️  Files modified: ${filesChanged}`);
+    console.log(`   ${status === 'added' ? '➕ New' : '➖ Removed'} class: ${smaliClass.name}`);
+    const list = (items, keyFn) => {
+      const keys = items.map(keyFn);
+      return {
+        added: status === 'added' ? keys : [],
+        removed: status === 'removed' ? keys : [],
+        changed: []
+      };
+    };
 
-    this.diffReport.summary.files_changed = filesChanged;
-    this.diffReport.summary.files_analyzed = filesAnalyzed;
+    this.diffReport.smali_changes.push({
+      file: relPath,
+      class: smaliClass.name,
+      status,
+      fields: list(smaliClass.fields, f => SmaliParser.fieldKey(f)),
+      methods: list(smaliClass.methods, m => SmaliParser.methodKey(m))
+    });
   }
 
-  analyzeMethodChanges(origPath, modPath, relPath) {
-    const origContent = fs.readFileSync(origPath, 'utf8');
-    const modContent = fs.readFileSync(modPath, 'utf8');
+  // Instruction-level view of a method body (debug .line directives and blank lines dropped)
+  methodLines(method) {
+    return method.bodyLines
+      .map(line => line.trim())
+      .filter(line => line !== '' && !line.startsWith('.line '));
+  }
 
-    // Find method bodies that changed
-    const methodPattern = /\.method\s+([^(]+)\([^)]*\)([^}\n]+)[^\n]*\n([\s\S]*?)\.end method/g;
+  analyzeMethodChanges(origPath, modPath, relPath) {
+    let origClass;
+    let modClass;
+    try {
+      origClass = SmaliParser.parseFile(origPath);
+      modClass = SmaliParser.parseFile(modPath);
+    } catch (e) {
+      this.diffReport.smali_changes.push(this.unparsedChange(relPath, 'changed', e));
+      return;
+    }
 
-    let origMethods = new Map();
-    let modMethods = new Map();
+    const change = {
+      file: relPath,
+      class: modClass.name,
+      status: 'changed',
+      header: {},
+      fields: { added: [], removed: [], changed: [] },
+      methods: { added: [], removed: [], changed: [] }
+    };
 
-    let match;
-    while ((match = methodPattern.exec(origContent)) !== null) {
-      const key = match[1].trim() + match[2].trim();
-      origMethods.set(key, match[3]);
+    // Class header
+    for (const key of ['superClass', 'accessFlags', 'interfaces']) {
+      const before = JSON.stringify(origClass[key]);
+      const after = JSON.stringify(modClass[key]);
+      if (before !== after) {
+        change.header[key] = { original: origClass[key], modified: modClass[key] };
+      }
     }
 
-    methodPattern.lastIndex = 0;
-    while ((match = methodPattern.exec(modContent)) !== null) {
-      const key = match[1].trim() + match[2].trim();
-      modMethods.set(key, match[3]);
+    // Fields keyed by name:type
+    const origFields = new Map(origClass.fields.map(f => [SmaliParser.fieldKey(f), f]));
+    const modFields = new Map(modClass.fields.map(f => [SmaliParser.fieldKey(f), f]));
+    for (const [key, field] of modFields) {
+      const orig = origFields.get(key);
+      if (!orig) {
+        change.fields.added.push(key);
+      } else if (orig.accessFlags.join(' ') !== field.accessFlags.join(' ') || orig.initialValue !== field.initialValue) {
+        change.fields.changed.push({
+          field: key,
+          original: { accessFlags: orig.accessFlags, initialValue: orig.initialValue },
+          modified: { accessFlags: field.accessFlags, initialValue: field.initialValue }
+        });
+      }
     }
+    change.fields.removed = [...origFields.keys()].filter(key => !modFields.has(key));
+
+    // Methods keyed by name + full descriptor, so overloads never collide
+    const origMethods = new Map(origClass.methods.map(m => [SmaliParser.methodKey(m), m]));
+    const modMethods = new Map(modClass.methods.map(m => [SmaliParser.methodKey(m), m]));
+    change.methods.added = [...modMethods.keys()].filter(key => !origMethods.has(key));
+    change.methods.removed = [...origMethods.keys()].filter(key => !modMethods.has(key));
 
     // Find changed methods
-    for (const [key, modBody] of modMethods) {
-      const origBody = origMethods.get(key);
-      if (origBody && origBody !== modBody) {
-        const methodName = key.split(/\s+/)[0];
+    for (const [methodName, modMethod] of modMethods) {
+      const origMethod = origMethods.get(methodName);
+      if (!origMethod) continue;
+
+      const origLines = this.methodLines(origMethod);
+      const modLines = this.methodLines(modMethod);
+      const flagsChanged = origMethod.accessFlags.join(' ') !== modMethod.accessFlags.join(' ');
+      if (!flagsChanged && origLines.join('\n') === modLines.join('\n')) continue;
+
+      const origBody = origLines.join('\n');
+      const modBody = modLines.join('\n');
+
+      change.methods.changed.push({
+        method: methodName,
+        access_flags: flagsChanged ? { original: origMethod.accessFlags, modified: modMethod.accessFlags } : undefined,
+        original_lines: origLines,
+        modified_lines: modLines,
+        diff: TextDiff.unified(origLines, modLines, {
+          fromLabel: `a/${relPath} ${methodName}`,
+          toLabel: `b/${relPath} ${methodName}`
+        })
+      });
+
+      // Analyze the modification
+      if (modBody.includes('const/4 v0, 0x1') || modBody.includes('const/4 v0, 0x0')) {
+        // Boolean return modification
+        const returnVal = modBody.includes('0x1') ? 'true' : 'false';
         
-        // Analyze the modification
-        if (modBody.includes('const/4 v0, 0x1') || modBody.includes('const/4 v0, 0x0')) {
-          // Boolean return modification
-          const returnVal = modBody.includes('0x1') ? 'true' : 'false';
-          
-          if (methodName.includes('isVip') || methodName.includes('isPremium')) {
-            console.log(`   🎯 VIP Bypass: ${methodName} → return ${returnVal}`);
-            this.diffReport.vip_patterns.push({
-              file: relPath,
-              method: methodName,
-              original_body: origBody.substring(0, 100),
-              new_body: modBody.substring(0, 100),
-              pattern: 'const/4 return'
-            });
-          } else if (methodName.includes('isLock') || methodName.includes('unlock')) {
-            console.log(`   🎯 Unlock: ${methodName} → return ${returnVal}`);
-            this.diffReport.unlock_patterns.push({
-              file: relPath,
-              method: methodName,
-              pattern: 'const/4 return'
-            });
-          }
+        if (methodName.includes('isVip') || methodName.includes('isPremium')) {
+          console.log(`   🎯 VIP Bypass: ${methodName} → return ${returnVal}`);
+          this.diffReport.vip_patterns.push({
+            file: relPath,
+            method: methodName,
+            original_body: origBody.substring(0, 100),
+            new_body: modBody.substring(0, 100),
+            pattern: 'const/4 return'
+          });
+        } else if (methodName.includes('isLock') || methodName.includes('unlock')) {
+          console.log(`   🎯 Unlock: ${methodName} → return ${returnVal}`);
+          this.diffReport.unlock_patterns.push({
+            file: relPath,
+            method: methodName,
+            pattern: 'const/4 return'
+          });
         }
+      }
+
+      this.diffReport.method_replacements.push({
+        file: relPath,
+        method: methodName,
+        original_size: origBody.length,
+        modified_size: modBody.length,
+        size_diff: modBody.length - origBody.length
+      });
+    }
+
+    const touched = Object.keys(change.header).length +
+      ['fields', 'methods'].reduce((n, kind) =>
+        n + change[kind].added.length + change[kind].removed.length + change[kind].changed.length, 0);
+    if (touched > 0) {
+      this.diffReport.smali_changes.push(change);
+    }
+  }
+
+  // === RESOURCES / ASSETS / NATIVE LIBS ===
+
+  hashFile(filePath) {
+    return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+  }
+
+  // Map of path relative to baseDir/subDir → full path, for every file below it
+  collectFiles(baseDir, subDir) {
+    const files = new Map();
+    const root = path.join(baseDir, subDir);
+    if (!fs.existsSync(root)) return files;
+
+    this.walkDirectory(root, (fullPath) => {
+      files.set(path.relative(root, fullPath).split(path.sep).join('/'), fullPath);
+    });
+    return files;
+  }
+
+  // Compare two file maps by SHA-256: [{ path, status, original_sha256, modified_sha256, ... }]
+  compareFileMaps(origFiles, modFiles) {
+    const changes = [];
+    const allPaths = [...new Set([...origFiles.keys(), ...modFiles.keys()])].sort();
+
+    for (const relPath of allPaths) {
+      const origPath = origFiles.get(relPath);
+      const modPath = modFiles.get(relPath);
+      const origHash = origPath ? this.hashFile(origPath) : null;
+      const modHash = modPath ? this.hashFile(modPath) : null;
+
+      if (origHash === modHash) continue;
+
+      changes.push({
+        path: relPath,
+        status: !origPath ? 'added' : !modPath ? 'removed' : 'changed',
+        original_sha256: origHash,
+        modified_sha256: modHash,
+        original_size: origPath ? fs.statSync(origPath).size : null,
+        modified_size: modPath ? fs.statSync(modPath).size : null
+      });
+    }
+    return changes;
+  }
+
+  // Canonical text of a values entry (children flattened for styles, arrays, plurals;
+  // mixed content like <string>Hi <b>there</b></string> keeps its own text too)
+  resourceValue(element) {
+    const text = element.text.trim();
+    if (element.children.length === 0) {
+      return text;
+    }
+    const children = element.children
+      .map(child => `${child.name}${JSON.stringify(child.attributes)}=${this.resourceValue(child)}`);
+    return (text ? [text, ...children] : children).join('\n');
+  }
+
+  // { 'values-in': Map('string/app_name' → value) } for every res/values* folder
+  readValues(baseDir) {
+    const byQualifier = {};
+    const resDir = path.join(baseDir, 'res');
+    if (!fs.existsSync(resDir)) return byQualifier;
+
+    for (const dir of fs.readdirSync(resDir)) {
+      if (dir !== 'values' && !dir.startsWith('values-')) continue;
+
+      const entries = new Map();
+      for (const file of fs.readdirSync(path.join(resDir, dir))) {
+        // public.xml only maps names to IDs; ID shifts are noise here
+        if (!file.endsWith('.xml') || file === 'public.xml') continue;
+
+        try {
+          const document = XMLParser.parse(fs.readFileSync(path.join(resDir, dir, file), 'utf8'));
+          const resources = document.children.find(el => el.name === 'resources');
+          if (!resources) continue;
 
-        // Check for permission modifications
-        if (relPath.includes('Manifest')) {
-          console.log(`   🎯 Manifest change: ${methodName}`);
+          for (const element of resources.children) {
+            const type = element.name === 'item' ? element.attributes.type : element.name;
+            entries.set(`${type}/${element.attributes.name}`, this.resourceValue(element));
+          }
+        } catch (e) {
+          console.log(`   ⚠️  Could not parse res/${dir}/${file}: ${e.message}`);
         }
+      }
+      byQualifier[dir] = entries;
+    }
+    return byQualifier;
+  }
 
-        this.diffReport.method_replacements.push({
-          file: relPath,
-          method: methodName,
-          original_size: origBody.length,
-          modified_size: modBody.length,
-          size_diff: modBody.length - origBody.length
+  analyzeResourceDiff() {
+    console.log('\n🎨 Analyzing resource changes...');
+
+    const origValues = this.readValues(this.originalDir);
+    const modValues = this.readValues(this.modifiedDir);
+    const qualifiers = [...new Set([...Object.keys(origValues), ...Object.keys(modValues)])].sort();
+
+    for (const qualifier of qualifiers) {
+      const orig = origValues[qualifier] || new Map();
+      const mod = modValues[qualifier] || new Map();
+      const keys = [...new Set([...orig.keys(), ...mod.keys()])].sort();
+
+      for (const key of keys) {
+        if (orig.get(key) === mod.get(key)) continue;
+
+        const [type, ...nameParts] = key.split('/');
+        this.diffReport.resource_changes.values.push({
+          qualifier,
+          type,
+          name: nameParts.join('/'),
+          status: !orig.has(key) ? 'added' : !mod.has(key) ? 'removed' : 'changed',
+          original: orig.has(key) ? orig.get(key) : null,
+          modified: mod.has(key) ? mod.get(key) : null
         });
       }
     }
+
+    // Drawables and layouts, compared as files (any qualifier)
+    const isTracked = relPath => /^(drawable|mipmap|layout)(-[^/]+)?\//.test(relPath);
+    const filter = files => new Map([...files].filter(([relPath]) => isTracked(relPath)));
+    this.diffReport.resource_changes.files = this.compareFileMaps(
+      filter(this.collectFiles(this.originalDir, 'res')),
+      filter(this.collectFiles(this.modifiedDir, 'res'))
+    ).map(change => ({ ...change, kind: change.path.split(/[-/]/)[0] }));
+
+    const values = this.diffReport.resource_changes.values;
+    const files = this.diffReport.resource_changes.files;
+    this.diffReport.summary.values_changed = values.length;
+    this.diffReport.summary.resource_files_changed = files.length;
+
+    console.log(`   ✏️  Values entries changed: ${values.length} (${qualifiers.length} values folders)`);
+    console.log(`   🖼️  Drawable/layout files changed: ${files.length}`);
+  }
+
+  analyzeAssetDiff() {
+    console.log('\n📁 Analyzing assets/ changes...');
+
+    this.diffReport.asset_changes = this.compareFileMaps(
+      this.collectFiles(this.originalDir, 'assets'),
+      this.collectFiles(this.modifiedDir, 'assets')
+    );
+    this.diffReport.summary.assets_changed = this.diffReport.asset_changes.length;
+    console.log(`   ✏️  Asset files changed: ${this.diffReport.asset_changes.length}`);
+  }
+
+  analyzeNativeLibDiff() {
+    console.log('\n⚙️  Analyzing native libraries (lib/<abi>/)...');
+
+    this.diffReport.native_lib_changes = this.compareFileMaps(
+      this.collectFiles(this.originalDir, 'lib'),
+      this.collectFiles(this.modifiedDir, 'lib')
+    ).map(change => {
+      const [abi, ...rest] = change.path.split('/');
+      return { abi, file: rest.join('/'), ...change };
+    });
+    this.diffReport.summary.native_libs_changed = this.diffReport.native_lib_changes.length;
+    console.log(`   ✏️  Native libraries changed: ${this.diffReport.native_lib_changes.length}`);
   }
 
   getAllSmaliDirs(baseDir) {
-    const dirs = [];
-    try {
-      const items = fs.readdirSync(baseDir);
-      for (const item of items) {
-        if (item.startsWith('smali')) {
-          dirs.push(item);
-        }
-      }
-    } catch (e) {
-      // ignore
-    }
-    return dirs;
+    return SmaliDirs.list(baseDir);
   }
 
   walkDirectory(dir, callback) {
@@ -247,8 +625,13 @@ class APKDiffAnalyzer {
       for (const change of this.diffReport.manifest_changes) {
         if (change.type === 'permission_added') {
           console.log(`   ✅ Added: ${change.permissions.join(', ')}`);
-        } else {
+        } else if (change.type === 'permission_removed') {
           console.log(`   ❌ Removed: ${change.permissions.join(', ')}`);
+        } else if (change.type === 'field_changed') {
+          console.log(`   ✏️  ${change.field}: ${change.original} → ${change.modified}`);
+        } else {
+          const label = change.type === 'component_changed' ? 'Components' : 'Declared permissions';
+          console.log(`   ✏️  ${label}: +${change.added.join(', +') || '0'} / -${change.removed.join(', -') || '0'}`);
         }
       }
     }
@@ -270,14 +653,80 @@ class APKDiffAnalyzer {
       }
     }
 
+    const changedClasses = this.diffReport.smali_changes.filter(c => c.status === 'changed');
+    if (changedClasses.length > 0) {
+      console.log(`\n✏️  Changed Classes: ${changedClasses.length}`);
+      for (const change of changedClasses.slice(0, 10)) {
+        console.log(`   • ${change.class || change.file}${change.parseError ? ` (not parsed: ${change.parseError})` : ''}`);
+        for (const key of change.methods.added) console.log(`     + ${key}`);
+        for (const key of change.methods.removed) console.log(`     - ${key}`);
+        for (const method of change.methods.changed) {
+          console.log(`     ~ ${method.method}`);
+          for (const line of method.diff.split('\n').slice(2, 12)) {
+            console.log(`       ${line}`);
+          }
+        }
+        for (const key of change.fields.added) console.log(`     + field ${key}`);
+        for (const key of change.fields.removed) console.log(`     - field ${key}`);
+        for (const field of change.fields.changed) console.log(`     ~ field ${field.field}`);
+      }
+    }
+
+    const { values, files } = this.diffReport.resource_changes;
+    if (values.length > 0 || files.length > 0) {
+      console.log(`\n🎨 Resource Changes:`);
+      for (const change of values.slice(0, 20)) {
+        const detail = change.status === 'changed'
+          ? `"${change.original}" → "${change.modified}"`
+          : `"${change.original !== null ? change.original : change.modified}"`;
+        console.log(`   ${this.statusMarker(change.status)} ${change.qualifier}/${change.type}/${change.name}: ${detail}`);
+      }
+      if (values.length > 20) console.log(`   ... ${values.length - 20} more values`);
+      for (const change of files.slice(0, 20)) {
+        console.log(`   ${this.statusMarker(change.status)} res/${change.path}`);
+      }
+      if (files.length > 20) console.log(`   ... ${files.length - 20} more files`);
+    }
+
+    if (this.diffReport.asset_changes.length > 0) {
+      console.log(`\n📁 Asset Changes: ${this.diffReport.asset_changes.length}`);
+      for (const change of this.diffReport.asset_changes.slice(0, 20)) {
+        console.log(`   ${this.statusMarker(change.status)} assets/${change.path}`);
+      }
+    }
+
+    if (this.diffReport.native_lib_changes.length > 0) {
+      console.log(`\n⚙️  Native Library Changes: ${this.diffReport.native_lib_changes.length}`);
+      for (const change of this.diffReport.native_lib_changes) {
+        console.log(`   ${this.statusMarker(change.status)} [${change.abi}] ${change.file}` +
+          (change.status === 'changed' ? ` (${change.original_size} → ${change.modified_size} bytes)` : ''));
+      }
+    }
+
+    const summary = this.diffReport.summary;
     console.log(`\n📈 Summary:`);
-    console.log(`   Files analyzed: ${this.diffReport.summary.files_analyzed}`);
-    console.log(`   Files changed: ${this.diffReport.summary.files_changed}`);
+    console.log(`   Files analyzed: ${summary.files_analyzed}`);
+    console.log(`   Files changed: ${summary.files_changed}`);
+    console.log(`   Classes: +${summary.classes_added} / -${summary.classes_removed} / ~${summary.classes_changed}`);
+    console.log(`   Methods: +${summary.methods_added} / -${summary.methods_removed} / ~${summary.methods_changed}`);
+    console.log(`   Fields: +${summary.fields_added} / -${summary.fields_removed} / ~${summary.fields_changed}`);
     console.log(`   Method replacements: ${this.diffReport.method_replacements.length}`);
+    console.log(`   Resources: ${summary.values_changed} values, ${summary.resource_files_changed} files`);
+    console.log(`   Assets: ${summary.assets_changed}, Native libs: ${summary.native_libs_changed}`);
+  }
+
+  // Static, offline HTML view of the same report
+  saveHTMLReport(htmlPath, meta = {}) {
+    DiffHTMLReport.write(this.diffReport, htmlPath, meta);
+    console.log(`🌐 HTML report saved to: ${htmlPath}`);
+  }
+
+  statusMarker(status) {
+    return { added: '➕', removed: '➖', changed: '✏️ ' }[status];
   }
 
-  saveReport() {
-    const reportPath = 'diff-analysis-report.json';
+  saveReport(reportPath = this.reportPath) {
+    this.diffReport.tools = ToolManager.shared().describe();
     fs.writeFileSync(reportPath, JSON.stringify(this.diffReport, null, 2));
     console.log(`\n📄 Report saved to: ${reportPath}`);
   }
@@ -286,16 +735,31 @@ class APKDiffAnalyzer {
 // Main
 async function main() {
   const args = process.argv.slice(2);
+
+  // Optional: --html <report.html>, --java
+  const htmlIndex = args.indexOf('--html');
+  const htmlPath = htmlIndex !== -1 ? args.splice(htmlIndex, 2)[1] : null;
+  const javaIndex = args.indexOf('--java');
+  if (javaIndex !== -1) args.splice(javaIndex, 1);
+  const java = javaIndex !== -1 ? {} : null;
   
-  if (args.length < 2) {
-    console.log('\n📖 Usage: node apk-diff-analyzer.js <original.apk> <modified.apk>');
+  if (args.length < 2 || (htmlIndex !== -1 && !htmlPath)) {
+    console.log('\n📖 Usage: node apk-diff-analyzer.js <original.apk> <modified.apk> [--html report.html] [--java]');
     console.log('\nExample:');
-    console.log('  node apk-diff-analyzer.js apk/base.apk final-signed.apk');
+    console.log('  node apk-diff-analyzer.js apk/base.apk output/com.example.app-1.0-1.apk');
+    console.log('  node apk-diff-analyzer.js apk/base.apk output/com.example.app-1.0-1.apk --html diff-report.html');
     process.exit(1);
   }
 
-  const analyzer = new APKDiffAnalyzer();
+  const analyzer = new APKDiffAnalyzer({ htmlPath, java });
   await analyzer.analyzeAPKs(args[0], args[1]);
 }
 
-main().catch(console.error);
+if (require.main === module) {
+  main().catch(error => {
+    console.error(error);
+    process.exit(ProcessRunner.isCancelled(error) ? 130 : 1);
+  });
+}
+
+module.exports = APKDiffAnalyzer;
@@ -0,0 +1,134 @@
+const fs = require('fs');
+const path = require('path');
+const AndroidBuildTools = require('./android-build-tools');
+const ProcessRunner = require('./process-runner');
+const { STORE_PASS_ENV, KEY_PASS_ENV } = require('./keystore');
+
+// Devices before Android 7.0 (API 24) only understand v1 (JAR) signatures
+const V2_MIN_SDK = 24;
+// SHA-256 JAR digests are only accepted from Android 4.3 (API 18)
+const SHA256_JAR_MIN_SDK = 18;
+// Android 11 (API 30) rejects packages targeting it that lack a v2+ signature
+const V2_REQUIRED_TARGET_SDK = 30;
+
+// ============================================================================
+// CLASS: APKSigner
+// ============================================================================
+// Signs with apksigner (v1/v2/v3, optional v4 sidecar) and verifies the result.
+// Falls back to jarsigner (v1 only) when no Android build-tools are installed
+// and the app does not target API 30+.
+class APKSigner {
+  // options.keystore is a Keystore (see keystore.js)
+  constructor(options = {}) {
+    this.keystore = options.keystore;
+    this.minSdk = options.minSdk || 1;
+    this.targetSdk = options.targetSdk || null;
+    this.schemes = APKSigner.schemesFor(this.minSdk, { v4: options.v4 });
+    this.apksigner = options.apksigner !== undefined ? options.apksigner : APKSigner.findApksigner();
+  }
+
+  // Locate apksigner: $APKSIGNER, then PATH, then the newest SDK build-tools
+  static findApksigner() {
+    return AndroidBuildTools.find('apksigner', 'APKSIGNER');
+  }
+
+  // Signature schemes to produce for a given minSdk
+  static schemesFor(minSdk, options = {}) {
+    return {
+      v1: (minSdk || 1) < V2_MIN_SDK,
+      v2: true,
+      v3: true,
+      v4: options.v4 === true
+    };
+  }
+
+  describeSchemes(schemes = this.schemes) {
+    return Object.keys(schemes).filter(key => schemes[key]).join('+') || 'none';
+  }
+
+  // Sign inputApk into outputApk (inputApk is left untouched)
+  async sign(inputApk, outputApk) {
+    const ks = this.keystore;
+
+    if (!this.apksigner) {
+      if (this.targetSdk !== null && this.targetSdk >= V2_REQUIRED_TARGET_SDK) {
+        throw new Error(
+          `apksigner not found, but targetSdk ${this.targetSdk} requires APK Signature Scheme v2+ ` +
+          '(install Android build-tools or set APKSIGNER)'
+        );
+      }
+      console.log('   ⚠️  apksigner not found - falling back to jarsigner (v1 signature only)');
+      this.schemes = { v1: true, v2: false, v3: false, v4: false };
+      return this.signWithJarsigner(inputApk, outputApk);
+    }
+
+    const flag = enabled => (enabled ? 'true' : 'false');
+    await ProcessRunner.run(this.apksigner, [
+      'sign',
+      '--ks', ks.path, ...ks.typeArgs('--ks-type'), '--ks-key-alias', ks.alias,
+      '--ks-pass', `env:${STORE_PASS_ENV}`, '--key-pass', `env:${KEY_PASS_ENV}`,
+      '--min-sdk-version', String(this.minSdk),
+      '--v1-signing-enabled', flag(this.schemes.v1), '--v2-signing-enabled', flag(this.schemes.v2),
+      '--v3-signing-enabled', flag(this.schemes.v3), '--v4-signing-enabled', flag(this.schemes.v4),
+      '--out', outputApk, inputApk
+    ], { label: 'apksigner sign', env: ks.toolEnv(), echo: false, timeout: 600000 });
+  }
+
+  async signWithJarsigner(inputApk, outputApk) {
+    const ks = this.keystore;
+    const sha256 = this.minSdk >= SHA256_JAR_MIN_SDK;
+
+    if (path.resolve(inputApk) !== path.resolve(outputApk)) {
+      fs.copyFileSync(inputApk, outputApk);
+    }
+
+    await ProcessRunner.run('jarsigner', [
+      '-sigalg', sha256 ? 'SHA256withRSA' : 'SHA1withRSA', '-digestalg', sha256 ? 'SHA-256' : 'SHA1',
+      '-keystore', ks.path, ...ks.typeArgs('-storetype'),
+      '-storepass:env', STORE_PASS_ENV, '-keypass:env', KEY_PASS_ENV,
+      outputApk, ks.alias
+    ], { label: 'jarsigner', env: ks.toolEnv(), echo: false, timeout: 600000 });
+  }
+
+  // Verify apkPath and check that every expected scheme is present
+  // Returns { verified, tool, schemes, missing, error }
+  async verify(apkPath) {
+    const result = { verified: false, tool: this.apksigner ? 'apksigner' : 'jarsigner', schemes: {}, missing: [], error: null };
+
+    let output;
+    try {
+      const run = this.apksigner
+        ? await ProcessRunner.run(this.apksigner, ['verify', '--verbose', '--min-sdk-version', String(this.minSdk), apkPath],
+          { label: 'apksigner verify', echo: false, capture: true, timeout: 300000 })
+        : await ProcessRunner.run('jarsigner', ['-verify', apkPath], { label: 'jarsigner -verify', echo: false, capture: true, timeout: 300000 });
+      output = run.stdout;
+    } catch (error) {
+      if (ProcessRunner.isCancelled(error)) throw error;
+      result.error = (error.result ? (error.result.stderr + error.result.stdout).trim() : '') || error.message;
+      return result;
+    }
+
+    if (this.apksigner) {
+      // e.g. "Verified using v2 scheme (APK Signature Scheme v2): true"
+      for (const match of output.matchAll(/Verified using v(\d) scheme[^:]*:\s*(true|false)/g)) {
+        result.schemes[`v${match[1]}`] = match[2] === 'true';
+      }
+    } else {
+      result.schemes.v1 = output.includes('jar verified.');
+    }
+
+    // apksigner only checks v4 when handed the .idsig; the sidecar being written is enough here
+    if (this.schemes.v4) {
+      result.schemes.v4 = result.schemes.v4 === true || fs.existsSync(`${apkPath}.idsig`);
+    }
+
+    result.missing = Object.keys(this.schemes).filter(key => this.schemes[key] && !result.schemes[key]);
+    if (result.missing.length > 0) {
+      result.error = `missing signature scheme(s): ${result.missing.join(', ')}`;
+    }
+    result.verified = result.missing.length === 0;
+    return result;
+  }
+}
+
+module.exports = APKSigner;
@@ -0,0 +1,372 @@
+const ZipReader = require('./zip-reader');
+const AXMLDecoder = require('./axml-decoder');
+
+const CHUNK = {
+  STRING_POOL: 0x0001,
+  TABLE: 0x0002,
+  PACKAGE: 0x0200,
+  TYPE: 0x0201,
+  TYPE_SPEC: 0x0202
+};
+
+const NO_ENTRY = 0xffffffff;
+const TYPE_FLAG_SPARSE = 0x01;
+const TYPE_FLAG_OFFSET16 = 0x02;
+const ENTRY_FLAG_COMPLEX = 0x0001;
+const ENTRY_FLAG_COMPACT = 0x0008;
+
+// Bag keys with a fixed meaning (ResTable_map)
+const PLURAL_QUANTITIES = {
+  0x01000004: 'other',
+  0x01000005: 'zero',
+  0x01000006: 'one',
+  0x01000007: 'two',
+  0x01000008: 'few',
+  0x01000009: 'many'
+};
+
+const DENSITIES = {
+  120: 'ldpi', 160: 'mdpi', 213: 'tvdpi', 240: 'hdpi', 320: 'xhdpi',
+  480: 'xxhdpi', 640: 'xxxhdpi', 0xfffe: 'anydpi', 0xffff: 'nodpi'
+};
+const ORIENTATIONS = { 1: 'port', 2: 'land', 3: 'square' };
+const SCREEN_SIZES = { 1: 'small', 2: 'normal', 3: 'large', 4: 'xlarge' };
+const UI_MODE_TYPES = { 2: 'desk', 3: 'car', 4: 'television', 5: 'appliance', 6: 'watch', 7: 'vrheadset' };
+const TOUCHSCREENS = { 1: 'notouch', 2: 'stylus', 3: 'finger' };
+const KEYBOARDS = { 1: 'nokeys', 2: 'qwerty', 3: '12key' };
+const NAVIGATIONS = { 1: 'nonav', 2: 'dpad', 3: 'trackball', 4: 'wheel' };
+
+// ============================================================================
+// CLASS: ResourceTable
+// ============================================================================
+// Decodes resources.arsc: every package, type, configuration (as an
+// apktool-style qualifier such as "in", "night-v21" or "xxhdpi") and entry.
+class ResourceTable {
+  constructor() {
+    this.strings = [];
+    this.packages = [];
+    this.byId = new Map(); // resource id -> { packageName, type, name, values: Map(qualifier -> value) }
+  }
+
+  static decode(buffer) {
+    const table = new ResourceTable();
+    table.read(buffer);
+    return table;
+  }
+
+  // Decode the resources.arsc of an APK; null when the APK has none
+  static fromAPK(apkPath) {
+    const zip = ZipReader.open(apkPath);
+    try {
+      return zip.has('resources.arsc') ? ResourceTable.decode(zip.read('resources.arsc')) : null;
+    } finally {
+      zip.close();
+    }
+  }
+
+  read(buffer) {
+    if (buffer.length < 12 || buffer.readUInt16LE(0) !== CHUNK.TABLE) {
+      throw new Error('Not a resources.arsc table');
+    }
+
+    const end = Math.min(buffer.length, buffer.readUInt32LE(4));
+    let offset = buffer.readUInt16LE(2);
+    while (offset + 8 <= end) {
+      const type = buffer.readUInt16LE(offset);
+      const size = buffer.readUInt32LE(offset + 4);
+      if (size < 8) {
+        throw new Error(`Corrupt resource table chunk at offset ${offset}`);
+      }
+
+      if (type === CHUNK.STRING_POOL) {
+        this.strings = AXMLDecoder.readStringPool(buffer, offset);
+      } else if (type === CHUNK.PACKAGE) {
+        this.packages.push(this.readPackage(buffer, offset, size));
+      }
+      offset += size;
+    }
+  }
+
+  readPackage(buffer, start, size) {
+    const headerSize = buffer.readUInt16LE(start + 2);
+    const pkg = {
+      id: buffer.readUInt32LE(start + 8),
+      name: buffer.toString('utf16le', start + 12, start + 12 + 256).replace(/\0.*$/s, ''),
+      types: new Map() // type id -> { id, name, configs: Map(qualifier -> Map(entryIndex -> entry)) }
+    };
+
+    const typeStrings = AXMLDecoder.readStringPool(buffer, start + buffer.readUInt32LE(start + 268));
+    const keyStrings = AXMLDecoder.readStringPool(buffer, start + buffer.readUInt32LE(start + 276));
+
+    let offset = start + headerSize;
+    const end = start + size;
+    while (offset + 8 <= end) {
+      const type = buffer.readUInt16LE(offset);
+      const chunkSize = buffer.readUInt32LE(offset + 4);
+      if (chunkSize < 8) break;
+
+      if (type === CHUNK.TYPE_SPEC || type === CHUNK.TYPE) {
+        const typeId = buffer[offset + 8];
+        if (!pkg.types.has(typeId)) {
+          pkg.types.set(typeId, { id: typeId, name: typeStrings[typeId - 1] || `type${typeId}`, configs: new Map() });
+        }
+        if (type === CHUNK.TYPE) {
+          this.readType(buffer, offset, pkg, pkg.types.get(typeId), keyStrings);
+        }
+      }
+      offset += chunkSize;
+    }
+    return pkg;
+  }
+
+  // Entry offsets of a ResTable_type chunk as [entryIndex, offset] pairs
+  static entryOffsets(buffer, start, headerSize, flags, entryCount) {
+    const offsets = [];
+    const base = start + headerSize;
+
+    for (let i = 0; i < entryCount; i++) {
+      if (flags & TYPE_FLAG_SPARSE) {
+        offsets.push([buffer.readUInt16LE(base + i * 4), buffer.readUInt16LE(base + i * 4 + 2) * 4]);
+      } else if (flags & TYPE_FLAG_OFFSET16) {
+        const value = buffer.readUInt16LE(base + i * 2);
+        if (value !== 0xffff) offsets.push([i, value * 4]);
+      } else {
+        const value = buffer.readUInt32LE(base + i * 4);
+        if (value !== NO_ENTRY) offsets.push([i, value]);
+      }
+    }
+    return offsets;
+  }
+
+  readType(buffer, start, pkg, type, keyStrings) {
+    const headerSize = buffer.readUInt16LE(start + 2);
+    const flags = buffer[start + 9];
+    const entryCount = buffer.readUInt32LE(start + 12);
+    const entriesStart = start + buffer.readUInt32LE(start + 16);
+    const qualifier = ResourceTable.qualifierOf(ResourceTable.readConfig(buffer, start + 20));
+
+    const entries = type.configs.get(qualifier) || new Map();
+    type.configs.set(qualifier, entries);
+
+    for (const [index, entryOffset] of ResourceTable.entryOffsets(buffer, start, headerSize, flags, entryCount)) {
+      const at = entriesStart + entryOffset;
+      const entryFlags = buffer.readUInt16LE(at + 2);
+      let name;
+      let value;
+
+      if (entryFlags & ENTRY_FLAG_COMPACT) {
+        // Compact entry: key index in the size slot, data type in the high byte of flags
+        name = keyStrings[buffer.readUInt16LE(at)];
+        value = this.formatValue(entryFlags >> 8, buffer.readUInt32LE(at + 4));
+      } else if (entryFlags & ENTRY_FLAG_COMPLEX) {
+        name = keyStrings[buffer.readUInt32LE(at + 4)];
+        value = this.readBag(buffer, at, type.name);
+      } else {
+        name = keyStrings[buffer.readUInt32LE(at + 4)];
+        const valueAt = at + buffer.readUInt16LE(at);
+        value = this.formatValue(buffer[valueAt + 3], buffer.readUInt32LE(valueAt + 4));
+      }
+
+      entries.set(index, { name, value });
+
+      const id = ((pkg.id << 24) | (type.id << 16) | index) >>> 0;
+      if (!this.byId.has(id)) {
+        this.byId.set(id, { packageName: pkg.name, type: type.name, name, values: new Map() });
+      }
+      this.byId.get(id).values.set(qualifier, value);
+    }
+  }
+
+  // Styles, arrays, plurals, attrs: { parent, items: { key: value } }
+  readBag(buffer, at, typeName) {
+    const size = buffer.readUInt16LE(at);
+    const parent = buffer.readUInt32LE(at + 8);
+    const count = buffer.readUInt32LE(at + 12);
+    const items = {};
+
+    for (let i = 0; i < count; i++) {
+      const item = at + size + i * 12;
+      const key = buffer.readUInt32LE(item);
+      const label = typeName === 'plurals' && PLURAL_QUANTITIES[key]
+        ? PLURAL_QUANTITIES[key]
+        : `0x${key.toString(16).padStart(8, '0')}`;
+      items[label] = this.formatValue(buffer[item + 7], buffer.readUInt32LE(item + 8));
+    }
+
+    return { parent: parent ? `@0x${parent.toString(16).padStart(8, '0')}` : null, items };
+  }
+
+  formatValue(dataType, data) {
+    return AXMLDecoder.formatTypedValue(dataType, data, this.strings);
+  }
+
+  // The fields of ResTable_config that qualifiers are built from
+  static readConfig(buffer, offset) {
+    const size = buffer.readUInt32LE(offset);
+    const u8 = (at) => (at < size ? buffer[offset + at] : 0);
+    const u16 = (at) => (at + 2 <= size ? buffer.readUInt16LE(offset + at) : 0);
+    const chars = (at, length) => (at + length <= size ? buffer.toString('latin1', offset + at, offset + at + length).replace(/\0+$/, '') : '');
+
+    return {
+      mcc: u16(4),
+      mnc: u16(6),
+      language: ResourceTable.unpackLocalePart(u8(8), u8(9), 'a'),
+      country: ResourceTable.unpackLocalePart(u8(10), u8(11), '0'),
+      orientation: u8(12),
+      touchscreen: u8(13),
+      density: u16(14),
+      keyboard: u8(16),
+      navigation: u8(17),
+      inputFlags: u8(18),
+      screenWidth: u16(20),
+      screenHeight: u16(22),
+      sdkVersion: u16(24),
+      screenLayout: u8(28),
+      uiMode: u8(29),
+      smallestScreenWidthDp: u16(30),
+      screenWidthDp: u16(32),
+      screenHeightDp: u16(34),
+      localeScript: chars(36, 4),
+      localeVariant: chars(40, 8),
+      screenLayout2: u8(48)
+    };
+  }
+
+  // Two-byte language/region fields; three-letter codes are packed with the high bit set
+  static unpackLocalePart(first, second, base) {
+    if (first === 0) return '';
+    if (first & 0x80) {
+      const origin = base.charCodeAt(0);
+      return String.fromCharCode(
+        origin + (second & 0x1f),
+        origin + ((second & 0xe0) >> 5) + ((first & 0x03) << 3),
+        origin + ((first & 0x7c) >> 2)
+      );
+    }
+    return String.fromCharCode(first, second);
+  }
+
+  // apktool/aapt qualifier string ("" for the default configuration)
+  static qualifierOf(c) {
+    const parts = [];
+
+    if (c.mcc) parts.push(`mcc${c.mcc}`);
+    if (c.mnc) parts.push(`mnc${c.mnc === 0xffff ? '00' : c.mnc}`);
+
+    if (c.language) {
+      if (c.localeScript || c.localeVariant) {
+        parts.push(['b', c.language, c.localeScript, c.country, c.localeVariant].filter(Boolean).join('+'));
+      } else {
+        parts.push(c.country ? `${c.language}-r${c.country}` : c.language);
+      }
+    }
+
+    const layoutDir = c.screenLayout & 0xc0;
+    if (layoutDir === 0x40) parts.push('ldltr');
+    if (layoutDir === 0x80) parts.push('ldrtl');
+    if (c.smallestScreenWidthDp) parts.push(`sw${c.smallestScreenWidthDp}dp`);
+    if (c.screenWidthDp) parts.push(`w${c.screenWidthDp}dp`);
+    if (c.screenHeightDp) parts.push(`h${c.screenHeightDp}dp`);
+    if (SCREEN_SIZES[c.screenLayout & 0x0f]) parts.push(SCREEN_SIZES[c.screenLayout & 0x0f]);
+    if ((c.screenLayout & 0x30) === 0x10) parts.push('notlong');
+    if ((c.screenLayout & 0x30) === 0x20) parts.push('long');
+    if ((c.screenLayout2 & 0x03) === 0x01) parts.push('notround');
+    if ((c.screenLayout2 & 0x03) === 0x02) parts.push('round');
+    if (ORIENTATIONS[c.orientation]) parts.push(ORIENTATIONS[c.orientation]);
+    if (UI_MODE_TYPES[c.uiMode & 0x0f]) parts.push(UI_MODE_TYPES[c.uiMode & 0x0f]);
+    if ((c.uiMode & 0x30) === 0x10) parts.push('notnight');
+    if ((c.uiMode & 0x30) === 0x20) parts.push('night');
+    if (c.density) parts.push(DENSITIES[c.density] || `${c.density}dpi`);
+    if (TOUCHSCREENS[c.touchscreen]) parts.push(TOUCHSCREENS[c.touchscreen]);
+    if ((c.inputFlags & 0x03) === 1) parts.push('keysexposed');
+    if ((c.inputFlags & 0x03) === 2) parts.push('keyshidden');
+    if ((c.inputFlags & 0x03) === 3) parts.push('keyssoft');
+    if (KEYBOARDS[c.keyboard]) parts.push(KEYBOARDS[c.keyboard]);
+    if ((c.inputFlags & 0x0c) === 0x04) parts.push('navexposed');
+    if ((c.inputFlags & 0x0c) === 0x08) parts.push('navhidden');
+    if (NAVIGATIONS[c.navigation]) parts.push(NAVIGATIONS[c.navigation]);
+    if (c.screenWidth && c.screenHeight) parts.push(`${c.screenWidth}x${c.screenHeight}`);
+    if (c.sdkVersion) parts.push(`v${c.sdkVersion}`);
+
+    return parts.join('-');
+  }
+
+  // Resolve "@0x7f..." or "@type/name" to { type, name, values }
+  lookup(reference) {
+    if (!reference || !reference.startsWith('@')) return null;
+
+    if (reference.startsWith('@0x')) {
+      return this.byId.get(parseInt(reference.slice(3), 16)) || null;
+    }
+
+    const [type, name] = reference.slice(1).split('/');
+    for (const resource of this.byId.values()) {
+      if (resource.type === type && resource.name === name) return resource;
+    }
+    return null;
+  }
+
+  // Value in the default configuration (or the first one present) of a reference
+  resolve(reference) {
+    const resource = this.lookup(reference);
+    if (!resource) return null;
+    return resource.values.has('') ? resource.values.get('') : resource.values.values().next().value;
+  }
+
+  // Distinct entries per type, e.g. { string: 120, drawable: 45 }
+  countsByType() {
+    const counts = {};
+    for (const resource of this.byId.values()) {
+      counts[resource.type] = (counts[resource.type] || 0) + 1;
+    }
+    return counts;
+  }
+
+  // Every qualifier present, with the types that use it ("default" for "")
+  configurations() {
+    const configs = {};
+    for (const pkg of this.packages) {
+      for (const type of pkg.types.values()) {
+        for (const qualifier of type.configs.keys()) {
+          const key = qualifier || 'default';
+          configs[key] = configs[key] || [];
+          if (!configs[key].includes(type.name)) configs[key].push(type.name);
+        }
+      }
+    }
+    return configs;
+  }
+
+  // { default: { app_name: '...' }, in: { ... }, 'zh-rCN': { ... } }
+  stringsByLocale() {
+    const locales = {};
+    for (const resource of this.byId.values()) {
+      if (resource.type !== 'string') continue;
+      for (const [qualifier, value] of resource.values) {
+        const key = qualifier || 'default';
+        locales[key] = locales[key] || {};
+        locales[key][resource.name] = value;
+      }
+    }
+    return locales;
+  }
+
+  // Report-friendly overview of the table
+  summary() {
+    return {
+      packages: this.packages.map(pkg => ({
+        id: `0x${pkg.id.toString(16)}`,
+        name: pkg.name,
+        types: [...pkg.types.values()].map(type => ({
+          name: type.name,
+          configs: [...type.configs.keys()].map(q => q || 'default')
+        }))
+      })),
+      totalEntries: this.byId.size,
+      countsByType: this.countsByType(),
+      configurations: this.configurations()
+    };
+  }
+}
+
+module.exports = ResourceTable;
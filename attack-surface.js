@@ -0,0 +1,202 @@
+// Protection levels that actually restrict who can call a component
+const STRONG_PROTECTION = ['signature', 'signatureOrSystem', 'knownSigner', 'privileged'];
+
+// Platform permissions that only the system (or the platform signer) can hold, with their
+// protectionLevel. Other undeclared permissions may be normal or dangerous, so they are not strong.
+const PLATFORM_SIGNATURE_PERMISSIONS = new Map([
+  ['BIND_ACCESSIBILITY_SERVICE', 'signature'],
+  ['BIND_APPWIDGET', 'signature|privileged'],
+  ['BIND_AUTOFILL_SERVICE', 'signature'],
+  ['BIND_CARRIER_SERVICES', 'signature|privileged'],
+  ['BIND_CHOOSER_TARGET_SERVICE', 'signature'],
+  ['BIND_CONDITION_PROVIDER_SERVICE', 'signature'],
+  ['BIND_DEVICE_ADMIN', 'signature'],
+  ['BIND_DREAM_SERVICE', 'signature'],
+  ['BIND_INCALL_SERVICE', 'signature|privileged'],
+  ['BIND_INPUT_METHOD', 'signature'],
+  ['BIND_JOB_SERVICE', 'signature'],
+  ['BIND_MIDI_DEVICE_SERVICE', 'signature'],
+  ['BIND_NFC_SERVICE', 'signature'],
+  ['BIND_NOTIFICATION_LISTENER_SERVICE', 'signature'],
+  ['BIND_PRINT_SERVICE', 'signature'],
+  ['BIND_QUICK_SETTINGS_TILE', 'signature'],
+  ['BIND_REMOTEVIEWS', 'signature|privileged'],
+  ['BIND_SCREENING_SERVICE', 'signature|privileged'],
+  ['BIND_TELECOM_CONNECTION_SERVICE', 'signature|privileged'],
+  ['BIND_TEXT_SERVICE', 'signature'],
+  ['BIND_TV_INPUT', 'signature|privileged'],
+  ['BIND_VOICE_INTERACTION', 'signature'],
+  ['BIND_VPN_SERVICE', 'signature'],
+  ['BIND_VR_LISTENER_SERVICE', 'signature'],
+  ['BIND_WALLPAPER', 'signature|privileged'],
+  ['BROADCAST_SMS', 'signature|privileged'],
+  ['BROADCAST_WAP_PUSH', 'signature|privileged']
+].map(([name, level]) => [`android.permission.${name}`, level]));
+
+// ============================================================================
+// CLASS: AttackSurface
+// ============================================================================
+// Exported components, their permission protection and deep links, computed
+// from an AndroidManifest model (see manifest-parser.js).
+class AttackSurface {
+  constructor(manifest) {
+    this.manifest = manifest;
+    this.declaredLevels = new Map(
+      manifest.declaredPermissions.map(p => [p.name, p.protectionLevel])
+    );
+    this.appPermission = manifest.applicationElement
+      ? manifest.attr(manifest.applicationElement, 'permission')
+      : null;
+  }
+
+  // Is the component reachable from other apps, and why
+  exportState(component) {
+    if (component.exported !== null) {
+      return { exported: component.exported, reason: 'explicit' };
+    }
+
+    if (component.type === 'provider') {
+      // Providers default to exported only for apps targeting API 16 or lower;
+      // Android treats a missing SDK level as 1
+      const target = this.manifest.targetSdk || this.manifest.minSdk || 1;
+      const exported = target <= 16;
+      return { exported, reason: exported ? 'provider-default-sdk16' : 'default' };
+    }
+
+    if (component.intentFilters.length > 0) {
+      return { exported: true, reason: 'intent-filter' };
+    }
+
+    return { exported: false, reason: 'default' };
+  }
+
+  // Describe the permission guarding a permission name
+  describePermission(name) {
+    if (!name) return null;
+
+    const level = this.declaredLevels.get(name) || PLATFORM_SIGNATURE_PERMISSIONS.get(name) || 'unknown';
+    const strong = level.split('|').some(l => STRONG_PROTECTION.includes(l));
+
+    return { name, protectionLevel: level, strong };
+  }
+
+  // Collapse <data> elements of one filter into scheme://host[:port]/path URIs
+  deepLinksOf(filter) {
+    const schemes = new Set();
+    const authorities = new Set();
+    const paths = new Set();
+
+    for (const data of filter.data) {
+      if (data.scheme) schemes.add(data.scheme);
+      if (data.host) authorities.add(data.host + (data.port ? `:${data.port}` : ''));
+      for (const key of ['path', 'pathPrefix', 'pathPattern', 'pathAdvancedPattern', 'pathSuffix']) {
+        if (data[key]) paths.add(key === 'path' ? data[key] : `${data[key]} (${key})`);
+      }
+    }
+
+    const links = [];
+    for (const scheme of schemes) {
+      const hosts = authorities.size > 0 ? [...authorities] : [''];
+      for (const host of hosts) {
+        links.push({
+          uri: host ? `${scheme}://${host}` : `${scheme}:`,
+          scheme,
+          host: host || null,
+          paths: [...paths],
+          autoVerify: filter.autoVerify
+        });
+      }
+    }
+    return links;
+  }
+
+  isBrowsableView(filter) {
+    return filter.actions.includes('android.intent.action.VIEW') &&
+      filter.categories.includes('android.intent.category.BROWSABLE');
+  }
+
+  componentEntry(component, state) {
+    const entry = {
+      type: component.type,
+      name: component.name,
+      exportedBy: state.reason,
+      enabled: component.enabled,
+      permission: this.describePermission(component.permission || this.appPermission),
+      actions: [...new Set(component.intentFilters.flatMap(f => f.actions))],
+      deepLinks: component.intentFilters
+        .filter(f => this.isBrowsableView(f))
+        .flatMap(f => this.deepLinksOf(f))
+    };
+
+    if (component.type === 'activity-alias') {
+      entry.targetActivity = component.targetActivity;
+    }
+
+    if (component.type === 'provider') {
+      entry.authorities = component.authorities;
+      entry.readPermission = this.describePermission(component.readPermission);
+      entry.writePermission = this.describePermission(component.writePermission);
+      entry.grantUriPermissions = component.grantUriPermissions;
+    }
+
+    // Unprotected = callable by any installed app
+    const guards = [entry.permission, entry.readPermission, entry.writePermission].filter(Boolean);
+    entry.unprotected = guards.length === 0 || !guards.some(g => g.strong);
+
+    return entry;
+  }
+
+  build() {
+    const exported = [];
+
+    for (const component of this.manifest.components) {
+      const state = this.exportState(component);
+      if (state.exported) {
+        exported.push(this.componentEntry(component, state));
+      }
+    }
+
+    const deepLinks = exported.flatMap(entry =>
+      entry.deepLinks.map(link => ({ component: entry.name, ...link }))
+    );
+
+    const grantUriProviders = this.manifest.providers
+      .filter(p => p.grantUriPermissions)
+      .map(p => ({
+        name: p.name,
+        authorities: p.authorities,
+        exported: this.exportState(p).exported,
+        paths: p.grantUriPermissionPaths
+      }));
+
+    const count = type => exported.filter(e => e.type === type).length;
+    const flags = this.manifest.application ? this.manifest.application.flags : {};
+
+    return {
+      summary: {
+        exported_activities: count('activity') + count('activity-alias'),
+        exported_services: count('service'),
+        exported_receivers: count('receiver'),
+        exported_providers: count('provider'),
+        unprotected: exported.filter(e => e.unprotected).length,
+        deep_links: deepLinks.length,
+        grant_uri_providers: grantUriProviders.length
+      },
+      applicationFlags: {
+        debuggable: flags.debuggable === true,
+        allowBackup: flags.allowBackup === true,
+        usesCleartextTraffic: flags.usesCleartextTraffic,
+        networkSecurityConfig: this.manifest.application ? this.manifest.application.networkSecurityConfig : null
+      },
+      exportedComponents: exported,
+      deepLinks,
+      grantUriProviders
+    };
+  }
+
+  static fromManifest(manifest) {
+    return new AttackSurface(manifest).build();
+  }
+}
+
+module.exports = AttackSurface;
@@ -0,0 +1,319 @@
+// Chunk types from frameworks/base/libs/androidfw/include/androidfw/ResourceTypes.h
+const CHUNK = {
+  STRING_POOL: 0x0001,
+  XML: 0x0003,
+  XML_START_NAMESPACE: 0x0100,
+  XML_END_NAMESPACE: 0x0101,
+  XML_START_ELEMENT: 0x0102,
+  XML_END_ELEMENT: 0x0103,
+  XML_CDATA: 0x0104,
+  XML_RESOURCE_MAP: 0x0180
+};
+
+// Res_value data types
+const TYPE = {
+  NULL: 0x00,
+  REFERENCE: 0x01,
+  ATTRIBUTE: 0x02,
+  STRING: 0x03,
+  FLOAT: 0x04,
+  DIMENSION: 0x05,
+  FRACTION: 0x06,
+  INT_DEC: 0x10,
+  INT_HEX: 0x11,
+  INT_BOOLEAN: 0x12,
+  INT_COLOR_ARGB8: 0x1c,
+  INT_COLOR_RGB8: 0x1d,
+  INT_COLOR_ARGB4: 0x1e,
+  INT_COLOR_RGB4: 0x1f
+};
+
+const UTF8_FLAG = 0x100;
+const NO_INDEX = 0xffffffff;
+
+const DIMENSION_UNITS = ['px', 'dp', 'sp', 'pt', 'in', 'mm'];
+const FRACTION_UNITS = ['%', '%p'];
+const RADIX_MULTIPLIERS = [1 / (1 << 8), 1 / (1 << 15), 1 / (1 << 23), 1 / 2 ** 31];
+
+// Obfuscators blank attribute names in the string pool; the resource map still
+// carries the android:attr id, so the attributes the manifest model reads are
+// recovered from it.
+const ANDROID_ATTR_NAMES = {
+  0x01010000: 'theme',
+  0x01010001: 'label',
+  0x01010002: 'icon',
+  0x01010003: 'name',
+  0x01010006: 'permission',
+  0x01010007: 'readPermission',
+  0x01010008: 'writePermission',
+  0x01010009: 'protectionLevel',
+  0x0101000c: 'hasCode',
+  0x0101000e: 'enabled',
+  0x0101000f: 'debuggable',
+  0x01010010: 'exported',
+  0x01010011: 'process',
+  0x01010018: 'authorities',
+  0x0101001b: 'grantUriPermissions',
+  0x0101001c: 'priority',
+  0x01010024: 'value',
+  0x01010025: 'resource',
+  0x01010026: 'mimeType',
+  0x01010027: 'scheme',
+  0x01010028: 'host',
+  0x01010029: 'port',
+  0x0101002a: 'path',
+  0x0101002b: 'pathPrefix',
+  0x0101002c: 'pathPattern',
+  0x01010202: 'targetActivity',
+  0x0101020c: 'minSdkVersion',
+  0x0101021b: 'versionCode',
+  0x0101021c: 'versionName',
+  0x01010270: 'targetSdkVersion',
+  0x01010271: 'maxSdkVersion',
+  0x01010280: 'allowBackup',
+  0x010104ea: 'extractNativeLibs',
+  0x010104ec: 'usesCleartextTraffic',
+  0x01010527: 'networkSecurityConfig',
+  0x01010572: 'compileSdkVersion'
+};
+
+// ============================================================================
+// CLASS: AXMLDecoder
+// ============================================================================
+// Decodes Android binary XML (AndroidManifest.xml inside an APK) back into
+// XML text, so the text-based AndroidManifest model can read it unchanged.
+// Resource references come out as @0x7f...; names need resources.arsc.
+class AXMLDecoder {
+  constructor(buffer) {
+    this.buffer = buffer;
+    this.strings = [];
+    this.resourceIds = [];
+    this.namespaces = new Map(); // uri -> prefix
+    this.pendingNamespaces = [];
+  }
+
+  static escape(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  // Read a string pool chunk starting at offset
+  static readStringPool(buffer, offset) {
+    const headerSize = buffer.readUInt16LE(offset + 2);
+    const stringCount = buffer.readUInt32LE(offset + 8);
+    const flags = buffer.readUInt32LE(offset + 16);
+    const stringsStart = offset + buffer.readUInt32LE(offset + 20);
+    const utf8 = (flags & UTF8_FLAG) !== 0;
+    const strings = [];
+
+    for (let i = 0; i < stringCount; i++) {
+      let pos = stringsStart + buffer.readUInt32LE(offset + headerSize + i * 4);
+
+      if (utf8) {
+        // UTF-16 length then UTF-8 byte length, each 1 or 2 bytes
+        pos += buffer[pos] & 0x80 ? 2 : 1;
+        let length = buffer[pos];
+        if (length & 0x80) {
+          length = ((length & 0x7f) << 8) | buffer[pos + 1];
+          pos += 2;
+        } else {
+          pos += 1;
+        }
+        strings.push(buffer.toString('utf8', pos, pos + length));
+      } else {
+        let length = buffer.readUInt16LE(pos);
+        if (length & 0x8000) {
+          length = ((length & 0x7fff) << 16) | buffer.readUInt16LE(pos + 2);
+          pos += 4;
+        } else {
+          pos += 2;
+        }
+        strings.push(buffer.toString('utf16le', pos, pos + length * 2));
+      }
+    }
+    return strings;
+  }
+
+  // Fixed-point value of a DIMENSION / FRACTION
+  static complexToFloat(data) {
+    const mantissa = data & 0xffffff00;
+    return mantissa * RADIX_MULTIPLIERS[(data >> 4) & 0x3];
+  }
+
+  static formatNumber(value) {
+    return String(Math.round(value * 1e6) / 1e6);
+  }
+
+  // Textual form of a typed value (same notation as `aapt dump xmltree`); shared with arsc-decoder.js
+  static formatTypedValue(dataType, data, strings, rawValue = null) {
+    switch (dataType) {
+      case TYPE.NULL:
+        return '';
+      case TYPE.STRING:
+        return strings[data] !== undefined ? strings[data] : '';
+      case TYPE.REFERENCE:
+        return data === 0 ? '@null' : `@0x${(data >>> 0).toString(16).padStart(8, '0')}`;
+      case TYPE.ATTRIBUTE:
+        return `?0x${(data >>> 0).toString(16).padStart(8, '0')}`;
+      case TYPE.FLOAT: {
+        const buffer = Buffer.alloc(4);
+        buffer.writeInt32LE(data | 0);
+        return AXMLDecoder.formatNumber(buffer.readFloatLE(0));
+      }
+      case TYPE.DIMENSION:
+        return AXMLDecoder.formatNumber(AXMLDecoder.complexToFloat(data | 0)) + (DIMENSION_UNITS[data & 0xf] || '');
+      case TYPE.FRACTION:
+        return AXMLDecoder.formatNumber(AXMLDecoder.complexToFloat(data | 0) * 100) + (FRACTION_UNITS[data & 0xf] || '');
+      case TYPE.INT_DEC:
+        return String(data | 0);
+      case TYPE.INT_HEX:
+        return `0x${(data >>> 0).toString(16)}`;
+      case TYPE.INT_BOOLEAN:
+        return data !== 0 ? 'true' : 'false';
+      default:
+        if (dataType >= TYPE.INT_COLOR_ARGB8 && dataType <= TYPE.INT_COLOR_RGB4) {
+          return `#${(data >>> 0).toString(16).padStart(8, '0')}`;
+        }
+        return rawValue !== null ? rawValue : `0x${(data >>> 0).toString(16)}`;
+    }
+  }
+
+  attributeName(nameIndex, namespaceUri) {
+    const name = this.strings[nameIndex];
+    if (name) return name;
+
+    const id = this.resourceIds[nameIndex];
+    if (namespaceUri && id !== undefined && ANDROID_ATTR_NAMES[id]) {
+      return ANDROID_ATTR_NAMES[id];
+    }
+    return id !== undefined ? `attr_0x${id.toString(16)}` : `attr_${nameIndex}`;
+  }
+
+  prefixFor(uri) {
+    if (!this.namespaces.has(uri)) {
+      // Namespace used without a declaration: invent a stable prefix
+      this.namespaces.set(uri, `ns${this.namespaces.size}`);
+      this.pendingNamespaces.push(uri);
+    }
+    return this.namespaces.get(uri);
+  }
+
+  readStartElement(offset, headerSize, depth) {
+    const b = this.buffer;
+    const body = offset + headerSize;
+    const nameIndex = b.readUInt32LE(body + 4);
+    const attributeStart = b.readUInt16LE(body + 8);
+    const attributeSize = b.readUInt16LE(body + 10);
+    const attributeCount = b.readUInt16LE(body + 12);
+
+    const attributes = [];
+    for (let i = 0; i < attributeCount; i++) {
+      const at = body + attributeStart + i * attributeSize;
+      const nsIndex = b.readUInt32LE(at);
+      const uri = nsIndex === NO_INDEX ? null : this.strings[nsIndex];
+      const rawIndex = b.readUInt32LE(at + 8);
+      const rawValue = rawIndex === NO_INDEX ? null : this.strings[rawIndex];
+      const dataType = b[at + 15];
+      const data = b.readUInt32LE(at + 16);
+
+      const name = this.attributeName(b.readUInt32LE(at + 4), uri);
+      const value = dataType === TYPE.STRING && rawValue !== null
+        ? rawValue
+        : AXMLDecoder.formatTypedValue(dataType, data, this.strings, rawValue);
+      attributes.push({ name: uri ? `${this.prefixFor(uri)}:${name}` : name, value });
+    }
+
+    // Declarations go on the element where the namespace scope started (the root, in practice)
+    const declarations = this.pendingNamespaces.splice(0)
+      .map(uri => ` xmlns:${this.namespaces.get(uri)}="${AXMLDecoder.escape(uri)}"`)
+      .join('');
+
+    const attrText = attributes.map(a => `\n${'    '.repeat(depth + 1)}${a.name}="${AXMLDecoder.escape(a.value)}"`).join('');
+    return `${'    '.repeat(depth)}<${this.strings[nameIndex]}${declarations}${attrText}`;
+  }
+
+  // Decode the whole document into XML text
+  decode() {
+    const b = this.buffer;
+    if (b.length < 8 || b.readUInt16LE(0) !== CHUNK.XML) {
+      throw new Error('Not an Android binary XML document');
+    }
+
+    const end = Math.min(b.length, b.readUInt32LE(4));
+    const lines = ['<?xml version="1.0" encoding="utf-8"?>'];
+    const stack = [];
+    let openTag = null; // start tag awaiting '>' or '/>'
+
+    let offset = b.readUInt16LE(2);
+    while (offset + 8 <= end) {
+      const type = b.readUInt16LE(offset);
+      const headerSize = b.readUInt16LE(offset + 2);
+      const size = b.readUInt32LE(offset + 4);
+      if (size < 8) {
+        throw new Error(`Corrupt binary XML chunk at offset ${offset}`);
+      }
+
+      switch (type) {
+        case CHUNK.STRING_POOL:
+          this.strings = AXMLDecoder.readStringPool(b, offset);
+          break;
+        case CHUNK.XML_RESOURCE_MAP:
+          for (let pos = offset + headerSize; pos + 4 <= offset + size; pos += 4) {
+            this.resourceIds.push(b.readUInt32LE(pos));
+          }
+          break;
+        case CHUNK.XML_START_NAMESPACE: {
+          const prefix = this.strings[b.readUInt32LE(offset + headerSize)];
+          const uri = this.strings[b.readUInt32LE(offset + headerSize + 4)];
+          if (!this.namespaces.has(uri)) {
+            this.namespaces.set(uri, prefix || `ns${this.namespaces.size}`);
+            this.pendingNamespaces.push(uri);
+          }
+          break;
+        }
+        case CHUNK.XML_START_ELEMENT:
+          if (openTag !== null) lines.push(openTag + '>');
+          openTag = this.readStartElement(offset, headerSize, stack.length);
+          stack.push(this.strings[b.readUInt32LE(offset + headerSize + 4)]);
+          break;
+        case CHUNK.XML_END_ELEMENT: {
+          const name = stack.pop();
+          if (openTag !== null) {
+            lines.push(openTag + ' />');
+            openTag = null;
+          } else {
+            lines.push(`${'    '.repeat(stack.length)}</${name}>`);
+          }
+          break;
+        }
+        case CHUNK.XML_CDATA: {
+          if (openTag !== null) {
+            lines.push(openTag + '>');
+            openTag = null;
+          }
+          const text = this.strings[b.readUInt32LE(offset + headerSize)];
+          if (text && text.trim()) lines.push(`${'    '.repeat(stack.length)}${AXMLDecoder.escape(text.trim())}`);
+          break;
+        }
+        default:
+          // XML_END_NAMESPACE and unknown chunks carry nothing we render
+          break;
+      }
+      offset += size;
+    }
+
+    if (openTag !== null) lines.push(openTag + ' />');
+    return lines.join('\n') + '\n';
+  }
+
+  static toXML(buffer) {
+    return new AXMLDecoder(buffer).decode();
+  }
+}
+
+module.exports = AXMLDecoder;
+module.exports.CHUNK = CHUNK;
+module.exports.TYPE = TYPE;
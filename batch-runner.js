@@ -0,0 +1,224 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const JobWorkspace = require('./job-workspace');
+const BundleContainer = require('./bundle-container');
+const ProcessRunner = require('./process-runner');
+const ToolManager = require('./tool-manager');
+
+const CLI_ENTRY = path.join(__dirname, 'index.js');
+
+// Every APK is decompiled by its own JVM (-Xmx1536m), so stay well below the core count
+const DEFAULT_CONCURRENCY = Math.max(1, Math.floor(os.cpus().length / 2));
+
+// Exit codes of a batch: all succeeded, some failed, all failed
+const EXIT_OK = 0;
+const EXIT_FAILED = 1;
+const EXIT_PARTIAL = 2;
+const EXIT_CANCELLED = 130;
+
+// ============================================================================
+// CLASS: BatchRunner
+// ============================================================================
+// Runs `analyze` (or the full `run` pipeline with a job file) over a list of
+// APKs/bundles. Each APK is a separate CLI process with its own job directory
+// and log file, at most `concurrency` at a time; one failure never stops the
+// others. Results end up in a summary table and <batch dir>/batch-summary.json.
+class BatchRunner {
+  constructor(options = {}) {
+    this.concurrency = options.concurrency || DEFAULT_CONCURRENCY;
+    this.build = options.build === true;
+    this.jobFile = options.jobFile || null;
+    this.fast = options.fast === true;
+    // Analyze mode only; a --build job file has its own java section
+    this.java = options.java || null;
+    this.outputDir = options.outputDir || null;
+    this.workspace = new JobWorkspace({ root: options.workRoot, outputDir: options.outputDir });
+    this.results = [];
+  }
+
+  async run(apks) {
+    this.workspace.create();
+    fs.mkdirSync(this.workspace.path('logs'), { recursive: true });
+    console.log(`🗂️  Batch ${this.workspace.id}: ${apks.length} APK(s), ${this.concurrency} at a time`);
+    console.log(`   Logs: ${this.workspace.path('logs')}\n`);
+
+    this.prepareBundles(apks);
+
+    const tasks = apks.map((apk, index) => this.task(apk, index));
+    let next = 0;
+    // After Ctrl-C the running workers stop their APK and no new one is started
+    const worker = async () => {
+      while (next < tasks.length && !ProcessRunner.interrupted) {
+        const task = tasks[next++];
+        this.results[task.index] = await this.runTask(task);
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(this.concurrency, tasks.length) }, worker));
+    tasks.filter(task => !this.results[task.index]).forEach(task => {
+      this.results[task.index] = { ...this.collect(task, null, 0), status: 'cancelled', error: 'not started' };
+    });
+
+    this.printSummary();
+    this.saveSummary();
+    return this.results;
+  }
+
+  // Extract bundles once up front, so parallel workers only ever read the cached extraction
+  prepareBundles(apks) {
+    for (const apk of apks.filter(apk => BundleContainer.isContainer(apk.path))) {
+      try {
+        BundleContainer.open(apk.path);
+      } catch (error) {
+        // Reported by the worker for that bundle
+      }
+    }
+  }
+
+  task(apk, index) {
+    const number = String(index + 1).padStart(2, '0');
+    const jobId = `${this.workspace.id}-${number}`;
+    const args = this.build
+      ? ['run', '--job', this.jobFile, '--apk', apk.path]
+      : ['analyze', '--apk', apk.path, ...(this.fast ? ['--fast'] : [])];
+    if (this.java && !this.build) {
+      args.push('--java');
+      if (this.java.timeout) args.push('--java-timeout', String(this.java.timeout / 1000));
+    }
+    args.push('--job-id', jobId, '--work-root', this.workspace.root);
+    if (this.outputDir) {
+      args.push('--output-dir', this.outputDir);
+    }
+
+    return {
+      index,
+      apk,
+      jobId,
+      args,
+      jobDir: path.join(this.workspace.root, jobId),
+      log: this.workspace.path('logs', `${number}-${apk.name.replace(/[^\w.-]+/g, '_')}.log`)
+    };
+  }
+
+  // One CLI process per APK, stdout and stderr both going to its log file
+  runTask(task) {
+    const started = Date.now();
+    console.log(`▶️  [${task.index + 1}] ${task.apk.name}`);
+
+    return new Promise(resolve => {
+      const log = fs.createWriteStream(task.log);
+      log.write(`$ node index.js ${task.args.join(' ')}\n\n`);
+
+      const child = spawn(process.execPath, [CLI_ENTRY, ...task.args], { stdio: ['ignore', 'pipe', 'pipe'] });
+      ProcessRunner.track(child);
+      child.stdout.pipe(log, { end: false });
+      child.stderr.pipe(log, { end: false });
+
+      let finished = false;
+      const finish = (exitCode, error) => {
+        if (finished) return;
+        finished = true;
+        ProcessRunner.untrack(child);
+        log.end(error ? `\n❌ ${error.message}\n` : '', () => {
+          const result = this.collect(task, exitCode, Date.now() - started);
+          const mark = result.status === 'ok' ? '✅' : '❌';
+          console.log(`${mark} [${task.index + 1}] ${task.apk.name} (${result.seconds}s)${result.error ? ` - ${result.error}` : ''}`);
+          resolve(result);
+        });
+      };
+      child.on('error', error => finish(null, error));
+      child.on('close', code => finish(code));
+    });
+  }
+
+  // Summary row from the exit code, the job's analysis report and the log
+  collect(task, exitCode, elapsed) {
+    const result = {
+      apk: task.apk.name,
+      status: exitCode === 0 ? 'ok' : exitCode === EXIT_CANCELLED ? 'cancelled' : 'failed',
+      exitCode,
+      seconds: Math.round(elapsed / 100) / 10,
+      packageName: null,
+      version: null,
+      cacheHit: false,
+      report: null,
+      output: null,
+      jobDir: task.jobDir,
+      log: task.log,
+      error: null
+    };
+
+    const reportPath = path.join(task.jobDir, 'analysis.json');
+    if (fs.existsSync(reportPath)) {
+      try {
+        const analysis = JSON.parse(fs.readFileSync(reportPath, 'utf8'));
+        result.packageName = analysis.packageName;
+        result.version = analysis.version;
+        result.report = reportPath;
+      } catch (error) {
+        // Partially written report: leave the fields empty
+      }
+    }
+
+    const lines = fs.existsSync(task.log) ? fs.readFileSync(task.log, 'utf8').split('\n') : [];
+    result.cacheHit = lines.some(line => line.includes('Decompile cache hit'));
+    const output = lines.map(line => line.match(/📱 Output: (.+)$/)).filter(Boolean).pop();
+    if (output && result.status === 'ok') {
+      result.output = output[1].trim();
+    }
+    if (result.status !== 'ok') {
+      const error = lines.filter(line => line.includes('❌')).pop();
+      result.error = error ? error.replace(/^\s*❌\s*/, '').trim() : `exit code ${exitCode}`;
+    }
+    return result;
+  }
+
+  printSummary() {
+    const rows = this.results.map(result => [
+      result.apk,
+      result.status,
+      result.packageName || '-',
+      result.version || '-',
+      result.cacheHit ? 'hit' : '-',
+      `${result.seconds}s`,
+      result.status === 'ok' ? (result.output || result.report || '-') : result.error
+    ]);
+    const header = ['APK', 'Status', 'Package', 'Version', 'Cache', 'Time', this.build ? 'Output / Error' : 'Report / Error'];
+    const widths = header.map((title, column) =>
+      Math.max(title.length, ...rows.map(row => String(row[column]).length)));
+    const line = (row) => row.map((cell, column) => String(cell).padEnd(widths[column])).join('  ').trimEnd();
+
+    const failed = this.results.filter(result => result.status !== 'ok').length;
+    console.log('\n' + '='.repeat(70));
+    console.log('📊 BATCH SUMMARY');
+    console.log('='.repeat(70));
+    console.log(line(header));
+    rows.forEach(row => console.log(line(row)));
+    console.log('='.repeat(70));
+    console.log(`${this.results.length - failed} succeeded, ${failed} failed`);
+  }
+
+  saveSummary() {
+    const summaryPath = this.workspace.path('batch-summary.json');
+    fs.writeFileSync(summaryPath, JSON.stringify({
+      batch: this.workspace.id,
+      mode: this.build ? 'build' : 'analyze',
+      concurrency: this.concurrency,
+      tools: ToolManager.shared().describe(),
+      results: this.results
+    }, null, 2));
+    console.log(`📄 Summary saved to: ${summaryPath}`);
+  }
+
+  static exitCode(results) {
+    if (results.some(result => result.status === 'cancelled')) return EXIT_CANCELLED;
+    const failed = results.filter(result => result.status !== 'ok').length;
+    if (failed === 0) return EXIT_OK;
+    return failed === results.length ? EXIT_FAILED : EXIT_PARTIAL;
+  }
+}
+
+module.exports = BatchRunner;
+module.exports.DEFAULT_CONCURRENCY = DEFAULT_CONCURRENCY;
+module.exports.EXIT_PARTIAL = EXIT_PARTIAL;
@@ -0,0 +1,233 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { execSync } = require('child_process');
+const AndroidManifest = require('./manifest-parser');
+const ZipReader = require('./zip-reader');
+const SplitMerger = require('./split-merger');
+
+const FORMATS = { '.apks': 'apks', '.xapk': 'xapk', '.apkm': 'apkm' };
+
+// Extracted bundles live in <DEFAULT_ROOT>/<container>-<hash>/
+const DEFAULT_ROOT = 'bundles';
+
+// Metadata files inside containers: XAPK, APKMirror, SAI
+const DECLARED_FILES = ['manifest.json', 'info.json', 'meta.sai_v2.json', 'meta.sai_v1.json'];
+const DECLARED_FIELDS = {
+  packageName: ['package_name', 'pname', 'package'],
+  appName: ['name', 'app_name', 'label'],
+  versionName: ['version_name', 'release_version', 'versionname'],
+  versionCode: ['version_code', 'versioncode'],
+  minSdk: ['min_sdk_version', 'min_api', 'min_sdk'],
+  targetSdk: ['target_sdk_version', 'target_sdk']
+};
+
+const STAMP_FILE = '.bundle.json';
+const ZIP_FLAG_ENCRYPTED = 0x0001;
+
+// ============================================================================
+// CLASS: BundleContainer
+// ============================================================================
+// An .apks / .xapk / .apkm archive extracted into its own directory under
+// root, so two bundles that both contain base.apk never collide. Extraction
+// is cached per container (size + mtime) and metadata is kept in a stamp file.
+class BundleContainer {
+  constructor(containerPath, root = DEFAULT_ROOT) {
+    this.path = containerPath;
+    this.format = BundleContainer.formatOf(containerPath);
+    this.extractDir = BundleContainer.extractDirFor(containerPath, root);
+    this.metadata = null;
+  }
+
+  static formatOf(file) {
+    return FORMATS[path.extname(file).toLowerCase()] || null;
+  }
+
+  static isContainer(file) {
+    return BundleContainer.formatOf(file) !== null;
+  }
+
+  // <root>/<file name>-<hash of the absolute path>
+  static extractDirFor(containerPath, root = DEFAULT_ROOT) {
+    const hash = crypto.createHash('sha1').update(path.resolve(containerPath)).digest('hex').slice(0, 8);
+    return path.join(root, `${path.basename(containerPath)}-${hash}`);
+  }
+
+  // Extract (or reuse the cached extraction of) a container
+  static open(containerPath, root = DEFAULT_ROOT) {
+    if (!BundleContainer.isContainer(containerPath)) {
+      throw new Error(`Not a bundle container (.apks/.xapk/.apkm): ${containerPath}`);
+    }
+    const container = new BundleContainer(containerPath, root);
+    container.metadata = container.readStamp() || container.extract();
+    return container;
+  }
+
+  get base() {
+    return path.join(this.extractDir, this.metadata.base);
+  }
+
+  get splits() {
+    return this.metadata.splits.map(split => path.join(this.extractDir, split.file));
+  }
+
+  // Cached metadata, when the extraction matches the container on disk
+  readStamp() {
+    const stampPath = path.join(this.extractDir, STAMP_FILE);
+    if (!fs.existsSync(stampPath)) return null;
+
+    try {
+      const stamp = JSON.parse(fs.readFileSync(stampPath, 'utf8'));
+      const stat = fs.statSync(this.path);
+      return stamp.size === stat.size && stamp.mtimeMs === stat.mtimeMs ? stamp.metadata : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Unzip into a temporary directory and only move it into place once complete
+  extract() {
+    const zip = ZipReader.open(this.path);
+    try {
+      if (zip.entries.some(entry => entry.flags & ZIP_FLAG_ENCRYPTED)) {
+        throw new Error(`${path.basename(this.path)} is encrypted; export it as a plain .apks/.xapk first`);
+      }
+    } finally {
+      zip.close();
+    }
+
+    const partial = `${this.extractDir}.partial-${process.pid}`;
+    try {
+      fs.rmSync(partial, { recursive: true, force: true });
+      fs.mkdirSync(partial, { recursive: true });
+      execSync(`unzip -q -o "${this.path}" -d "${partial}"`, { stdio: ['ignore', 'ignore', 'pipe'] });
+
+      const metadata = this.describe(partial);
+      const stat = fs.statSync(this.path);
+      fs.writeFileSync(path.join(partial, STAMP_FILE), JSON.stringify({
+        size: stat.size,
+        mtimeMs: stat.mtimeMs,
+        metadata
+      }, null, 2));
+
+      fs.rmSync(this.extractDir, { recursive: true, force: true });
+      fs.renameSync(partial, this.extractDir);
+      return metadata;
+    } finally {
+      fs.rmSync(partial, { recursive: true, force: true });
+    }
+  }
+
+  // Bundle metadata from the extracted files (paths relative to the extraction dir)
+  describe(dir) {
+    const files = BundleContainer.listFiles(dir);
+    const declared = BundleContainer.readDeclared(dir);
+
+    const apks = files.filter(file => file.toLowerCase().endsWith('.apk'));
+    const infos = apks.map(file => {
+      try {
+        return { file, ...SplitMerger.describe(path.join(dir, file)) };
+      } catch (error) {
+        return null;
+      }
+    }).filter(Boolean);
+
+    const base = this.pickBase(infos.filter(info => info.kind === 'base'), declared.raw);
+    if (!base) {
+      throw new Error(`No base APK found in ${path.basename(this.path)}`);
+    }
+
+    // The base manifest wins over what the container declares
+    const manifest = AndroidManifest.fromAPK(path.join(dir, base.file));
+    const splitPaths = SplitMerger.findSplits(path.join(dir, base.file), infos.map(info => path.join(dir, info.file)));
+    const splits = infos
+      .filter(info => splitPaths.includes(path.join(dir, info.file)))
+      .map(info => ({ file: info.file, split: info.split, kind: info.kind }));
+
+    const expansions = Array.isArray(declared.raw.expansions) ? declared.raw.expansions : [];
+    const obb = files
+      .filter(file => file.toLowerCase().endsWith('.obb'))
+      .map(file => {
+        const expansion = expansions.find(e => e.file === file) || {};
+        return {
+          file,
+          size: fs.statSync(path.join(dir, file)).size,
+          installPath: expansion.install_path || file
+        };
+      });
+
+    return {
+      container: path.basename(this.path),
+      format: this.format,
+      extractDir: this.extractDir,
+      packageName: manifest.package || declared.packageName || null,
+      appName: declared.appName || null,
+      versionName: manifest.versionName || declared.versionName || null,
+      versionCode: manifest.versionCode || declared.versionCode || null,
+      minSdk: manifest.minSdk || declared.minSdk || null,
+      targetSdk: manifest.targetSdk || declared.targetSdk || null,
+      metadataFile: declared.file,
+      base: base.file,
+      splits,
+      obb
+    };
+  }
+
+  // The declared base (XAPK split_apks id "base"), else base.apk, else one outside standalones/
+  pickBase(bases, raw) {
+    const declaredBase = Array.isArray(raw.split_apks)
+      ? (raw.split_apks.find(split => split.id === 'base') || {}).file
+      : null;
+
+    return bases.find(info => info.file === declaredBase) ||
+      bases.find(info => path.basename(info.file) === 'base.apk') ||
+      bases.find(info => !info.file.startsWith('standalones/')) ||
+      bases[0] ||
+      null;
+  }
+
+  // Known fields of the first metadata file present: { file, raw, packageName, ... }
+  static readDeclared(dir) {
+    for (const file of DECLARED_FILES) {
+      const filePath = path.join(dir, file);
+      if (!fs.existsSync(filePath)) continue;
+
+      let raw;
+      try {
+        raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      } catch (error) {
+        continue;
+      }
+
+      const declared = { file, raw };
+      for (const [field, keys] of Object.entries(DECLARED_FIELDS)) {
+        const key = keys.find(k => raw[k] !== undefined && raw[k] !== null && raw[k] !== '');
+        declared[field] = key ? String(raw[key]) : null;
+      }
+      return declared;
+    }
+    return { file: null, raw: {} };
+  }
+
+  // Every file below dir, relative and with forward slashes
+  static listFiles(dir, prefix = '') {
+    const files = [];
+    for (const entry of fs.readdirSync(path.join(dir, prefix), { withFileTypes: true })) {
+      const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        files.push(...BundleContainer.listFiles(dir, relative));
+      } else if (entry.name !== STAMP_FILE) {
+        files.push(relative);
+      }
+    }
+    return files;
+  }
+
+  toJSON() {
+    return this.metadata;
+  }
+}
+
+module.exports = BundleContainer;
+module.exports.DEFAULT_ROOT = DEFAULT_ROOT;
+module.exports.FORMATS = FORMATS;
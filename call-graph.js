@@ -0,0 +1,369 @@
+const path = require('path');
+const CodeIndex = require('./code-index');
+
+const FORMATS = ['json', 'dot', 'graphml'];
+
+// Reachability is asked either from exported components (callable by other apps) or from any component
+const FROM_EXPORTED = 'exported';
+const FROM_ENTRY = 'entry';
+
+// Virtual and interface calls may land in any override below the referenced class
+const DISPATCH_OPCODE = /^invoke-(?:virtual|interface)/;
+
+// ============================================================================
+// CLASS: CallGraph
+// ============================================================================
+// Method-level call graph over a CodeIndex. Every invoke-* becomes an edge to
+// the method it resolves to (walking up indexed superclasses); a method that
+// is called virtually gets "dispatch" edges to its overrides in indexed
+// subtypes. Methods outside the index (framework, libraries not decompiled)
+// are external nodes. Entry points are the methods of the components and
+// Application class declared in the manifest.
+class CallGraph {
+  constructor(index) {
+    this.index = index;
+    // { key, owner, name, descriptor, methodId } with methodId null for external methods
+    this.nodes = [];
+    this.nodeIds = new Map();
+    this.out = [];
+    // [from, to, kind]
+    this.edges = [];
+    this.edgeKeys = new Set();
+    // node -> { component, type, exported, unprotected }
+    this.entryPoints = new Map();
+    this.reached = {};
+  }
+
+  // analysis: an analysis report (or the object being built) with manifest and attackSurface
+  static build(index, analysis = {}) {
+    const graph = new CallGraph(index);
+    graph.addMethods();
+    graph.addCalls();
+    graph.addEntryPoints(analysis.manifest, analysis.attackSurface);
+    return graph;
+  }
+
+  node(owner, name, descriptor, methodId = null) {
+    const key = `${owner}->${name}${descriptor}`;
+    let id = this.nodeIds.get(key);
+    if (id === undefined) {
+      id = this.nodes.length;
+      this.nodes.push({ key, owner, name, descriptor, methodId });
+      this.nodeIds.set(key, id);
+      this.out.push([]);
+    }
+    return id;
+  }
+
+  edge(from, to, kind) {
+    const key = `${from}>${to}`;
+    if (this.edgeKeys.has(key)) return;
+    this.edgeKeys.add(key);
+    this.edges.push([from, to, kind]);
+    this.out[from].push(to);
+  }
+
+  addMethods() {
+    const index = this.index;
+    // "<class id>:<name id>:<descriptor id>" -> node of the declared method
+    this.declared = new Map();
+    this.methodNodes = [];
+    this.classNodes = new Map();
+    index.methods.forEach(([classId, name, descriptor], methodId) => {
+      const node = this.node(index.symbol(index.classes[classId][0]), index.symbol(name), index.symbol(descriptor), methodId);
+      this.declared.set(`${classId}:${name}:${descriptor}`, node);
+      this.methodNodes.push(node);
+      if (!this.classNodes.has(classId)) this.classNodes.set(classId, []);
+      this.classNodes.get(classId).push(node);
+    });
+  }
+
+  // The method a reference calls: declared in owner or inherited from an indexed superclass
+  resolve(ownerId, nameId, descriptorId) {
+    const index = this.index;
+    const { byName } = index.hierarchy || index.buildHierarchy();
+    const seen = new Set();
+    let type = ownerId;
+    while (byName.has(type) && !seen.has(type)) {
+      seen.add(type);
+      const classId = byName.get(type);
+      const node = this.declared.get(`${classId}:${nameId}:${descriptorId}`);
+      if (node !== undefined) return node;
+      type = index.classes[classId][1];
+    }
+    return this.node(index.symbol(ownerId), index.symbol(nameId), index.symbol(descriptorId));
+  }
+
+  // Overrides of a method in the indexed subtypes of its owner
+  overrides(ownerId, nameId, descriptorId) {
+    if (!this.subtypeCache.has(ownerId)) {
+      this.subtypeCache.set(ownerId, this.index.subtypes(this.index.symbol(ownerId)).map(({ classId }) => classId));
+    }
+    return this.subtypeCache.get(ownerId)
+      .map(classId => this.declared.get(`${classId}:${nameId}:${descriptorId}`))
+      .filter(node => node !== undefined);
+  }
+
+  // A virtual call goes to the method it resolves to; that method links once to its overrides
+  // ("dispatch" edges), so a call site costs one edge however many subclasses override it
+  addCalls() {
+    this.subtypeCache = new Map();
+    const targets = new Map();
+    for (const [methodId, opcode, owner, name, descriptor] of this.index.invokes) {
+      const key = `${owner}:${name}:${descriptor}`;
+      if (!targets.has(key)) {
+        targets.set(key, { target: this.resolve(owner, name, descriptor), dispatched: false });
+      }
+
+      const call = targets.get(key);
+      this.edge(this.methodNodes[methodId], call.target, 'call');
+      if (!call.dispatched && DISPATCH_OPCODE.test(this.index.symbol(opcode))) {
+        call.dispatched = true;
+        this.overrides(owner, name, descriptor).forEach(override => this.edge(call.target, override, 'dispatch'));
+      }
+    }
+  }
+
+  // Methods the framework can call on a component: its own and the ones inherited from indexed superclasses
+  componentMethods(className) {
+    const index = this.index;
+    const { byName } = index.hierarchy || index.buildHierarchy();
+    const found = new Map();
+    const seen = new Set();
+    let type = index.symbolIds.get(CodeIndex.toDescriptor(className));
+    while (byName.has(type) && !seen.has(type)) {
+      seen.add(type);
+      const classId = byName.get(type);
+      for (const node of this.classNodes.get(classId) || []) {
+        const signature = this.nodes[node].name + this.nodes[node].descriptor;
+        if (!found.has(signature)) found.set(signature, node);
+      }
+      type = index.classes[classId][1];
+    }
+    return [...found.values()];
+  }
+
+  addEntryPoints(manifest, attackSurface) {
+    if (!manifest) return;
+
+    const exported = new Map();
+    for (const entry of (attackSurface && attackSurface.exportedComponents) || []) {
+      exported.set(entry.targetActivity || entry.name, entry);
+    }
+
+    const components = [
+      ...(manifest.application && manifest.application.name ? [{ type: 'application', name: manifest.application.name }] : []),
+      ...['activities', 'services', 'receivers', 'providers'].flatMap(key => manifest[key] || []),
+      ...(manifest.activityAliases || []).map(alias => ({ type: alias.type, name: alias.targetActivity }))
+    ];
+    for (const component of components.filter(component => component.name)) {
+      const entry = exported.get(component.name);
+      for (const node of this.componentMethods(component.name)) {
+        const current = this.entryPoints.get(node);
+        if (current && current.exported) continue;
+        this.entryPoints.set(node, {
+          component: component.name,
+          type: component.type,
+          exported: Boolean(entry),
+          unprotected: entry ? entry.unprotected : false
+        });
+      }
+    }
+  }
+
+  // Breadth-first from the entry points: node -> previous node on a shortest path (-1 at the entry)
+  reachable(from = FROM_EXPORTED) {
+    if (!this.reached[from]) {
+      const parents = new Map();
+      const queue = [];
+      for (const [node, entry] of this.entryPoints) {
+        if (from === FROM_ENTRY || entry.exported) {
+          parents.set(node, -1);
+          queue.push(node);
+        }
+      }
+      for (let i = 0; i < queue.length; i++) {
+        for (const next of this.out[queue[i]]) {
+          if (!parents.has(next)) {
+            parents.set(next, queue[i]);
+            queue.push(next);
+          }
+        }
+      }
+      this.reached[from] = parents;
+    }
+    return this.reached[from];
+  }
+
+  // Method keys from an entry point down to node, or null when it is not reachable
+  pathTo(node, from = FROM_EXPORTED) {
+    const parents = this.reachable(from);
+    if (!parents.has(node)) return null;
+
+    const path = [];
+    for (let current = node; current !== -1; current = parents.get(current)) {
+      path.unshift(current);
+    }
+    return path;
+  }
+
+  describe(node, from) {
+    const path = this.pathTo(node, from);
+    return {
+      method: this.nodes[node].key,
+      external: this.nodes[node].methodId === null,
+      reachable: path !== null,
+      entryPoint: path ? this.entryPoints.get(path[0]) : null,
+      path: path ? path.map(step => this.nodes[step].key) : null
+    };
+  }
+
+  // "Is this method reachable from an exported component?" for every method matching spec
+  query(spec, from = FROM_EXPORTED) {
+    const { owner, name, descriptor } = CodeIndex.parseMember(spec);
+    return this.nodes
+      .map((node, id) => ({ node, id }))
+      .filter(({ node }) => node.name === name &&
+        (!owner || node.owner === owner) &&
+        (!descriptor || node.descriptor.startsWith(descriptor)))
+      .map(({ id }) => this.describe(id, from));
+  }
+
+  // Triage of keyword findings: for each smali file, how its class is reached (exported components first)
+  triage(files, decompiledDir) {
+    const byFile = new Map(this.index.classes.map(([, , , , file], classId) => [this.index.symbol(file), classId]));
+
+    const result = {};
+    for (const file of files) {
+      const classId = byFile.get(path.relative(decompiledDir, file).split(path.sep).join('/'));
+      const methods = classId === undefined ? [] : this.classNodes.get(classId) || [];
+      const finding = {
+        class: classId === undefined ? null : this.index.symbol(this.index.classes[classId][0]),
+        reachableFrom: null,
+        entryPoint: null,
+        path: null
+      };
+
+      for (const from of [FROM_EXPORTED, FROM_ENTRY]) {
+        const node = methods.find(candidate => this.reachable(from).has(candidate));
+        if (node !== undefined) {
+          const { entryPoint, path: steps } = this.describe(node, from);
+          Object.assign(finding, { reachableFrom: from, entryPoint, path: steps });
+          break;
+        }
+      }
+      result[file] = finding;
+    }
+    return result;
+  }
+
+  summary() {
+    const external = this.nodes.filter(node => node.methodId === null).length;
+    return {
+      nodes: this.nodes.length,
+      methods: this.nodes.length - external,
+      external,
+      edges: this.edges.length,
+      dispatchEdges: this.edges.filter(([, , kind]) => kind === 'dispatch').length,
+      entryPoints: this.entryPoints.size,
+      exportedEntryPoints: [...this.entryPoints.values()].filter(entry => entry.exported).length,
+      reachableFromExported: [...this.reachable(FROM_EXPORTED).keys()].filter(node => this.nodes[node].methodId !== null).length,
+      reachableFromEntryPoints: [...this.reachable(FROM_ENTRY).keys()].filter(node => this.nodes[node].methodId !== null).length
+    };
+  }
+
+  // Nodes and edges to export; external: false drops methods outside the index
+  select({ external = true } = {}) {
+    const keep = this.nodes.map(node => external || node.methodId !== null);
+    const exportedReach = this.reachable(FROM_EXPORTED);
+    return {
+      nodes: this.nodes
+        .map((node, id) => ({
+          id: node.key,
+          class: node.owner,
+          name: node.name,
+          descriptor: node.descriptor,
+          external: node.methodId === null,
+          reachableFromExported: exportedReach.has(id),
+          entryPoint: this.entryPoints.get(id) || null
+        }))
+        .filter((node, id) => keep[id]),
+      edges: this.edges
+        .filter(([from, to]) => keep[from] && keep[to])
+        .map(([from, to, kind]) => ({ source: this.nodes[from].key, target: this.nodes[to].key, kind }))
+    };
+  }
+
+  toJSON(options = {}) {
+    return { summary: this.summary(), ...this.select(options) };
+  }
+
+  toDot(options = {}) {
+    const { nodes, edges } = this.select(options);
+    const escape = (text) => String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+    const quote = (text) => `"${escape(text)}"`;
+    const lines = ['digraph calls {', '  node [shape=box, fontsize=10];'];
+    for (const node of nodes) {
+      const style = node.entryPoint
+        ? (node.entryPoint.exported ? ', style=filled, fillcolor="#f8d7da"' : ', style=filled, fillcolor="#d1e7dd"')
+        : node.external ? ', color=gray, fontcolor=gray' : '';
+      lines.push(`  ${quote(node.id)} [label="${escape(node.class)}\\n${escape(node.name + node.descriptor)}"${style}];`);
+    }
+    for (const edge of edges) {
+      lines.push(`  ${quote(edge.source)} -> ${quote(edge.target)}${edge.kind === 'dispatch' ? ' [style=dashed]' : ''};`);
+    }
+    lines.push('}');
+    return lines.join('\n') + '\n';
+  }
+
+  toGraphML(options = {}) {
+    const { nodes, edges } = this.select(options);
+    const escape = (text) => String(text)
+      .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    const data = (key, value) => (value === null || value === undefined ? '' : `<data key="${key}">${escape(value)}</data>`);
+
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+      '  <key id="class" for="node" attr.name="class" attr.type="string"/>',
+      '  <key id="name" for="node" attr.name="name" attr.type="string"/>',
+      '  <key id="descriptor" for="node" attr.name="descriptor" attr.type="string"/>',
+      '  <key id="external" for="node" attr.name="external" attr.type="boolean"/>',
+      '  <key id="reachableFromExported" for="node" attr.name="reachableFromExported" attr.type="boolean"/>',
+      '  <key id="component" for="node" attr.name="component" attr.type="string"/>',
+      '  <key id="exported" for="node" attr.name="exported" attr.type="boolean"/>',
+      '  <key id="kind" for="edge" attr.name="kind" attr.type="string"/>',
+      '  <graph id="calls" edgedefault="directed">'
+    ];
+    for (const node of nodes) {
+      lines.push(`    <node id="${escape(node.id)}">` +
+        data('class', node.class) + data('name', node.name) + data('descriptor', node.descriptor) +
+        data('external', node.external) + data('reachableFromExported', node.reachableFromExported) +
+        (node.entryPoint ? data('component', node.entryPoint.component) + data('exported', node.entryPoint.exported) : '') +
+        '</node>');
+    }
+    edges.forEach((edge, i) => {
+      lines.push(`    <edge id="e${i}" source="${escape(edge.source)}" target="${escape(edge.target)}">${data('kind', edge.kind)}</edge>`);
+    });
+    lines.push('  </graph>', '</graphml>');
+    return lines.join('\n') + '\n';
+  }
+
+  // Serialized graph in one of FORMATS
+  format(format, options = {}) {
+    if (format === 'dot') return this.toDot(options);
+    if (format === 'graphml') return this.toGraphML(options);
+    return JSON.stringify(this.toJSON(options), null, 2);
+  }
+
+  // 'graph.dot' -> 'dot', unknown extensions -> null
+  static formatOf(file) {
+    const extension = String(file).split('.').pop().toLowerCase();
+    return FORMATS.includes(extension) ? extension : extension === 'gv' ? 'dot' : null;
+  }
+}
+
+module.exports = CallGraph;
+module.exports.FORMATS = FORMATS;
+module.exports.FROM_EXPORTED = FROM_EXPORTED;
+module.exports.FROM_ENTRY = FROM_ENTRY;
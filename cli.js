@@ -0,0 +1,1025 @@
+const fs = require('fs');
+const path = require('path');
+const APKEditorWorkflow = require('./index');
+const APKDiffAnalyzer = require('./apk-diff-analyzer');
+const JobConfig = require('./job-config');
+const Keystore = require('./keystore');
+const AndroidManifest = require('./manifest-parser');
+const ZipReader = require('./zip-reader');
+const SplitMerger = require('./split-merger');
+const JobWorkspace = require('./job-workspace');
+const BatchRunner = require('./batch-runner');
+const DecompileCache = require('./decompile-cache');
+const ProcessRunner = require('./process-runner');
+const ToolManager = require('./tool-manager');
+const EnvironmentDoctor = require('./environment-doctor');
+const CodeIndex = require('./code-index');
+const CallGraph = require('./call-graph');
+const AttackSurface = require('./attack-surface');
+
+// Exit code after Ctrl-C, as shells report it for SIGINT
+const EXIT_CANCELLED = 130;
+
+// Flags that never take a value, so `analyze --fast app.apk` keeps app.apk as a positional
+const BOOLEAN_FLAGS = new Set([
+  'help', 'fast', 'json', 'java', 'v4', 'entries', 'build', 'all', 'rebuild', 'regex',
+  'no-cache', 'no-external', 'skip-doctor', 'generate-keystore'
+]);
+
+// search: --<query> option -> CodeIndex method, and rows shown unless --limit says otherwise
+const SEARCH_QUERIES = {
+  calls: 'callers',
+  string: 'stringUses',
+  implements: 'implementors',
+  extends: 'subclasses',
+  class: 'findClasses',
+  method: 'findMethods',
+  field: 'fieldAccesses'
+};
+const DEFAULT_SEARCH_LIMIT = 100;
+
+const { ToolBuilder, APKSelector, APKAnalyzer } = APKEditorWorkflow;
+
+// ============================================================================
+// CLASS: APKEditorCLI
+// ============================================================================
+class APKEditorCLI {
+  // Parse argv into { command, options, positionals }
+  static parseArgs(argv) {
+    const [command, ...rest] = argv;
+    const options = {};
+    const positionals = [];
+
+    for (let i = 0; i < rest.length; i++) {
+      const arg = rest[i];
+
+      if (!arg.startsWith('--')) {
+        positionals.push(arg);
+        continue;
+      }
+
+      const eqIndex = arg.indexOf('=');
+      if (eqIndex !== -1) {
+        options[arg.slice(2, eqIndex)] = arg.slice(eqIndex + 1);
+      } else if (BOOLEAN_FLAGS.has(arg.slice(2))) {
+        options[arg.slice(2)] = true;
+      } else if (rest[i + 1] !== undefined && !rest[i + 1].startsWith('--')) {
+        options[arg.slice(2)] = rest[++i];
+      } else {
+        options[arg.slice(2)] = true;
+      }
+    }
+
+    return { command, options, positionals };
+  }
+
+  static printUsage() {
+    console.log('\n📖 Usage: node index.js <command> [options]');
+    console.log('\nCommands:');
+    console.log('  run        Run the full pipeline from a job file (--job)');
+    console.log('  validate   Validate a job file without running anything');
+    console.log('  analyze    Decompile an APK and write the analysis report');
+    console.log('  decompile  Decompile an APK into the work directory');
+    console.log('  build      Recompile the work directory and sign the result');
+    console.log('  sign       Sign an existing APK');
+    console.log('  merge      Merge a base APK and its config splits into one signed APK');
+    console.log('  diff       Compare two APKs (original vs modified)');
+    console.log('  inspect    Analyze an already decompiled work directory');
+    console.log('  info       Read package/version/SDK and ZIP entries without decompiling');
+    console.log('  batch      Analyze (or with --build, run a job on) every APK/bundle in apk/');
+    console.log('  cache      Decompile cache: cache list | cache prune | cache limit --max-size <MB>');
+    console.log('  doctor     Check Java, signing tools, disk space and the work dir (also runs before run)');
+    console.log('  tools      Tool versions: tools list | tools install [apktool|jadx|build-tools] [version]');
+    console.log('  search     Query the code index of a job: callers, strings, implementors, classes, methods, fields');
+    console.log('  callgraph  Export the call graph (JSON/DOT/GraphML) or check --reachable <method> from exported components');
+    console.log('\nOptions:');
+    console.log('  --job <file>           Job file (.json / .yml / .yaml)');
+    console.log('  --apk <file|pattern>   Input APK or bundle (.apks/.xapk/.apkm): path, or name pattern inside apk/');
+    console.log('  --out <file>           Output path (report or APK, depending on command)');
+    console.log('  --work-dir <dir>       Decompiled directory (default: <work root>/<job id>/decompiled)');
+    console.log(`  --work-root <dir>      Root for per-job directories (default: $${JobWorkspace.WORK_ROOT_ENV} or ${JobWorkspace.DEFAULT_WORK_ROOT})`);
+    console.log(`  --output-dir <dir>     Where signed APKs are named <package>-<version>.apk (default: ${JobWorkspace.DEFAULT_OUTPUT_DIR})`);
+    console.log('  --job-id <id>          Use <work root>/<id> as the job directory instead of a new one');
+    console.log('  --resume <job id>      run: continue an interrupted job from its state.json');
+    console.log(`  --no-cache             Always run apktool, ignoring the decompile cache (also: ${DecompileCache.NO_CACHE_ENV}=1)`);
+    console.log('  --original <file>      diff: original APK');
+    console.log('  --modified <file>      diff: modified APK');
+    console.log('  --html <file>          diff: also write a self-contained HTML report');
+    console.log('  --entries              info: list every ZIP entry (method, sizes, CRC)');
+    console.log('  --fast                 analyze: manifest + resources.arsc only, without apktool');
+    console.log('  --java                 analyze/diff/batch: also decompile to Java with jadx and link findings');
+    console.log('  --java-timeout <s>     analyze/diff/batch: stop jadx after this many seconds (default: 1200)');
+    console.log('  --v4                   build/sign: also write the v4 signature (.idsig)');
+    console.log('  --keystore <file>      build/sign: keystore (.jks / .keystore / .p12)');
+    console.log('  --ks-alias <name>      build/sign: key alias');
+    console.log('  --ks-type <jks|pkcs12> build/sign: keystore type (default: by extension)');
+    console.log('  --ks-pass-env <VAR>    build/sign: read the store password from env VAR');
+    console.log('  --ks-pass-file <file>  build/sign: read the store password from a file');
+    console.log('  --key-pass-env <VAR>   build/sign: key password from env (default: store password)');
+    console.log('  --key-pass-file <file> build/sign: key password from a file');
+    console.log('  --generate-keystore    build/sign: create the keystore if it does not exist');
+    console.log('  --splits <a.apk,b.apk> merge: split APKs (default: splits of the base in its folder)');
+    console.log('  --min-sdk <n>          sign: minSdk of the APK (picks v1/v2/v3 schemes)');
+    console.log('  --target-sdk <n>       sign: targetSdk of the APK');
+    console.log('  --apk-dir <dir>        batch: folder with the APKs/bundles (default: apk)');
+    console.log(`  --concurrency <n>      batch: APKs processed at the same time (default: ${BatchRunner.DEFAULT_CONCURRENCY})`);
+    console.log('  --build                batch: run the --job pipeline on each APK instead of analyze only');
+    console.log('  --all                  cache prune: remove every entry');
+    console.log('  --older-than <days>    cache prune: remove entries unused for that many days');
+    console.log(`  --max-size <MB>        cache limit: evict least recently used entries (default: ${DecompileCache.DEFAULT_MAX_MB})`);
+    console.log('  --json                 cache/tools list, doctor, search, callgraph --reachable: print as JSON');
+    console.log('  --calls <member>       search: invocations of a method (Lcom/a/B;->m(I)V, com.a.B.m or m)');
+    console.log('  --string <text>        search: methods using a string constant');
+    console.log('  --implements <type>    search: classes implementing an interface (also indirectly)');
+    console.log('  --extends <class>      search: subclasses of a class');
+    console.log('  --class <name>         search: classes by name; --method <name>: methods by name');
+    console.log('  --field <member>       search: reads and writes of a field (com.a.B.f or Lcom/a/B;->f:I)');
+    console.log('  --regex                search: --string/--class/--method are regular expressions');
+    console.log(`  --limit <n>            search: rows to show, 0 for all (default: ${DEFAULT_SEARCH_LIMIT})`);
+    console.log('  --index <file>         search/callgraph: code index (default: --job-id, --work-dir or the latest job)');
+    console.log('  --rebuild              search/callgraph: rebuild the index from the decompiled dir first');
+    console.log('  --reachable <member>   callgraph: is the method reachable, and through which calls');
+    console.log(`  --from <exported|entry> callgraph: start from exported components (default) or every component`);
+    console.log(`  --format <${CallGraph.FORMATS.join('|')}> callgraph: export format (default: from --out, else json)`);
+    console.log('  --no-external          callgraph: leave out methods that are not in the APK (framework, ...)');
+    console.log(`  --skip-doctor          run/batch: do not check the environment first (also: ${EnvironmentDoctor.SKIP_ENV}=1)`);
+    console.log(`  --tool-mirror <dir>    Install tools from this directory (also: $${ToolManager.MIRROR_ENV})`);
+    console.log(`  --tool-bundle <file>   Install tools from this offline .zip/.tar.gz (also: $${ToolManager.BUNDLE_ENV})`);
+    console.log('\nExamples:');
+    console.log('  node index.js run --job jobs/app.json');
+    console.log('  node index.js analyze --apk apk/app.apk --out analysis.json');
+    console.log('  node index.js decompile --apk app --work-dir work/app/decompiled');
+    console.log('  node index.js build --work-dir work/app/decompiled');
+    console.log('  node index.js merge --apk apk/base.apk --out merged.apk');
+    console.log('  node index.js batch --concurrency 2 --fast');
+    console.log('  node index.js batch --build --job jobs/app.json');
+    console.log('  node index.js cache prune --older-than 30');
+    console.log('  node index.js tools install --tool-mirror /mnt/mirror');
+    console.log('  node index.js doctor --apk apk/app.apk');
+    console.log('  node index.js search --calls com.example.api.Client.login --job-id <id>');
+    console.log('  node index.js search --implements javax.net.ssl.X509TrustManager --json');
+    console.log('  node index.js callgraph --out calls.graphml');
+    console.log('  node index.js callgraph --reachable com.example.net.Client.rawQuery');
+    console.log('  node index.js diff --original apk/base.apk --modified output/com.example.app-1.0-1.apk\n');
+  }
+
+  // Resolve --apk (or first positional) to a file path, falling back to apk/ pattern lookup
+  static resolveAPK(options, positionals) {
+    const input = options.apk || positionals[0];
+
+    if (!input || input === true) {
+      console.error('❌ Missing --apk <file>');
+      return null;
+    }
+
+    if (fs.existsSync(input)) {
+      return input;
+    }
+
+    const found = new APKSelector().findAPKByPattern(input);
+    return found ? found.path : null;
+  }
+
+  // Bundles (.apks/.xapk/.apkm) resolve to the base APK of their extraction: { path, bundle }
+  static openInput(apkPath) {
+    try {
+      const input = APKSelector.openInput(apkPath);
+      if (input.bundle) {
+        console.log(`📦 ${path.basename(apkPath)}: ${input.bundle.format} bundle, base ${input.path} + ${input.bundle.splits.length} splits`);
+      }
+      return input;
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      return null;
+    }
+  }
+
+  static workRoot(options) {
+    return typeof options['work-root'] === 'string' ? options['work-root'] : null;
+  }
+
+  static outputDir(options) {
+    return typeof options['output-dir'] === 'string' ? options['output-dir'] : null;
+  }
+
+  static jobId(options) {
+    return typeof options['job-id'] === 'string' ? options['job-id'] : null;
+  }
+
+  // --java [--java-timeout <s>] -> JavaSources options, null without --java, false if invalid
+  static javaOptions(options) {
+    if (!options.java) return null;
+    if (options['java-timeout'] === undefined) return {};
+
+    const seconds = parseFloat(options['java-timeout']);
+    if (!(seconds > 0)) {
+      console.error('❌ --java-timeout must be a number of seconds');
+      return false;
+    }
+    return { timeout: seconds * 1000 };
+  }
+
+  // A fresh work/<job id>/ directory for one command (or the one named by --job-id)
+  static createWorkspace(options) {
+    const workspace = new JobWorkspace({
+      root: this.workRoot(options),
+      outputDir: this.outputDir(options),
+      id: this.jobId(options)
+    }).create();
+    console.log(`🗂️  Job ${workspace.id}: ${workspace.dir}`);
+    return workspace;
+  }
+
+  static async run(argv) {
+    const { command, options, positionals } = this.parseArgs(argv);
+    // No --work-dir: commands that decompile get their own job directory
+    const workDir = typeof options['work-dir'] === 'string' ? options['work-dir'] : null;
+
+    if (!command || command === 'help' || options.help) {
+      this.printUsage();
+      return command ? 0 : 1;
+    }
+
+    // Through the environment, so batch workers inherit it
+    if (options['no-cache']) {
+      process.env[DecompileCache.NO_CACHE_ENV] = '1';
+    }
+    if (options['skip-doctor']) {
+      process.env[EnvironmentDoctor.SKIP_ENV] = '1';
+    }
+    if (typeof options['tool-mirror'] === 'string') {
+      process.env[ToolManager.MIRROR_ENV] = path.resolve(options['tool-mirror']);
+    }
+    if (typeof options['tool-bundle'] === 'string') {
+      process.env[ToolManager.BUNDLE_ENV] = path.resolve(options['tool-bundle']);
+    }
+
+    const handler = {
+      run: () => this.runJob(options),
+      validate: () => this.validateJob(options),
+      analyze: () => this.analyze(options, positionals, workDir),
+      decompile: () => this.decompile(options, positionals, workDir),
+      build: () => this.build(options, workDir),
+      sign: () => this.sign(options, positionals),
+      merge: () => this.merge(options, positionals, workDir),
+      diff: () => this.diff(options, positionals),
+      inspect: () => this.inspect(options, workDir),
+      info: () => this.info(options, positionals),
+      batch: () => this.batch(options),
+      cache: () => this.cache(options, positionals),
+      tools: () => this.tools(options, positionals),
+      doctor: () => this.doctor(options, positionals),
+      search: () => this.search(options, workDir),
+      callgraph: () => this.callgraph(options, workDir)
+    }[command];
+
+    if (!handler) {
+      console.error(`❌ Unknown command: ${command}`);
+      this.printUsage();
+      return 1;
+    }
+
+    // Commands that catch tool errors themselves still end as cancelled after Ctrl-C
+    try {
+      const code = await handler();
+      return ProcessRunner.interrupted ? EXIT_CANCELLED : code;
+    } catch (error) {
+      if (!ProcessRunner.isCancelled(error)) throw error;
+      console.error(`⏹️  Cancelled: ${error.message}`);
+      return EXIT_CANCELLED;
+    }
+  }
+
+  // Keystore config from --keystore/--ks-*/--key-* flags; null means the workflow default.
+  // Passwords themselves are never accepted on the command line.
+  static keystoreFromOptions(options) {
+    for (const flag of ['ks-pass', 'key-pass', 'storepass', 'keypass', 'password']) {
+      if (options[flag] !== undefined) {
+        throw new Error(`--${flag} is not supported: pass passwords with --ks-pass-env/--ks-pass-file, never on the command line`);
+      }
+    }
+
+    const source = (envKey, fileKey) => {
+      if (options[envKey] && options[fileKey]) {
+        throw new Error(`Use either --${envKey} or --${fileKey}, not both`);
+      }
+      if (options[envKey]) return { env: options[envKey] };
+      if (options[fileKey]) return { file: options[fileKey] };
+      return undefined;
+    };
+
+    const config = {
+      path: options.keystore || Keystore.DEFAULT_KEYSTORE.path,
+      alias: options['ks-alias'] || Keystore.DEFAULT_KEYSTORE.alias,
+      type: options['ks-type'],
+      storePassword: source('ks-pass-env', 'ks-pass-file'),
+      keyPassword: source('key-pass-env', 'key-pass-file'),
+      generate: options['generate-keystore'] === true
+    };
+
+    const errors = JobConfig.validate(
+      JSON.parse(JSON.stringify(config)),
+      JobConfig.JOB_SCHEMA.properties.keystore,
+      'keystore'
+    );
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+    return config;
+  }
+
+  static async ensureTools() {
+    const toolsReady = await ToolBuilder.setupTools();
+    if (!toolsReady) {
+      console.error('❌ Failed to setup tools');
+    }
+    return toolsReady;
+  }
+
+  // Load the job file given with --job, printing validation errors
+  static loadJob(options) {
+    if (!options.job || options.job === true) {
+      console.error('❌ Missing --job <file>');
+      return null;
+    }
+
+    try {
+      return JobConfig.load(options.job);
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      return null;
+    }
+  }
+
+  static async validateJob(options) {
+    const job = this.loadJob(options);
+    if (!job) return 1;
+
+    console.log(`✅ Job file is valid: ${options.job}`);
+    console.log(`   📦 Input: ${job.input}`);
+    const workspace = new JobWorkspace({ root: this.workRoot(options) || job.workRoot, outputDir: job.outputDir });
+    console.log(`   📁 Work dir: ${job.workDir || path.join(workspace.root, '<job id>', 'decompiled')}`);
+    console.log(`   📱 Output: ${job.output || path.join(workspace.outputDir, '<package>-<version>.apk')}`);
+    if (job.keystore) {
+      const ks = new Keystore(job.keystore).toJSON();
+      console.log(`   🔑 Keystore: ${ks.path} (alias ${ks.alias}, password from ${ks.storePassword}${ks.generate ? ', generate if missing' : ''})`);
+    }
+    const enabled = Object.keys(job.modifications).filter(key => job.modifications[key]);
+    console.log(`   🎯 Modifications: ${enabled.join(', ') || 'none'}`);
+    return 0;
+  }
+
+  static async runJob(options) {
+    // --resume <job id> continues an interrupted job; its job file is optional then
+    const resume = typeof options.resume === 'string' ? options.resume : null;
+    const job = resume && !options.job ? null : this.loadJob(options);
+    if (!job && !resume) return 1;
+    if (options.job && !job) return 1;
+
+    // --apk overrides the job's input, so one job file can be run over several APKs
+    if (job && typeof options.apk === 'string') {
+      job.input = path.resolve(options.apk);
+    }
+
+    const workflow = new APKEditorWorkflow({
+      job,
+      workRoot: this.workRoot(options),
+      outputDir: this.outputDir(options),
+      jobId: resume || this.jobId(options),
+      resume: resume !== null
+    });
+    return workflow.run();
+  }
+
+  static async analyze(options, positionals, workDir) {
+    const apkPath = this.resolveAPK(options, positionals);
+    const input = apkPath && this.openInput(apkPath);
+    const java = this.javaOptions(options);
+    if (!input || java === false) return 1;
+
+    // --fast: manifest and resources.arsc only, decoded in-process (no apktool)
+    if (!options.fast && !(await this.ensureTools())) return 1;
+
+    const workspace = this.createWorkspace(options);
+    const analyzer = new APKAnalyzer(input.path, workDir || workspace.decompiledDir);
+    const analysis = options.fast ? analyzer.analyzeAPKFile() : await analyzer.analyze();
+
+    if (!analysis) {
+      console.error('❌ Analysis failed');
+      return 1;
+    }
+    analysis.bundle = input.bundle;
+    if (java) {
+      await analyzer.decompileJava({ ...java, dir: workspace.path('java') });
+    }
+
+    analyzer.printSummary();
+    analyzer.saveReport(options.out || workspace.reportPath);
+    return 0;
+  }
+
+  static async decompile(options, positionals, workDir) {
+    const apkPath = this.resolveAPK(options, positionals);
+    const input = apkPath && this.openInput(apkPath);
+    if (!input || !(await this.ensureTools())) return 1;
+
+    const outputDir = workDir || this.createWorkspace(options).decompiledDir;
+    const analyzer = new APKAnalyzer(input.path, outputDir);
+    if (!(await analyzer.decompile())) return 1;
+
+    console.log(`📁 Decompiled into ${outputDir} (build with --work-dir ${outputDir})`);
+    return 0;
+  }
+
+  static async build(options, workDir) {
+    if (!workDir) {
+      console.error('❌ build needs --work-dir <decompiled dir>');
+      return 1;
+    }
+    if (!fs.existsSync(workDir)) {
+      console.error(`❌ Work directory not found: ${workDir}`);
+      return 1;
+    }
+    if (!(await this.ensureTools())) return 1;
+
+    let keystore;
+    try {
+      keystore = this.keystoreFromOptions(options);
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      return 1;
+    }
+
+    const workflow = new APKEditorWorkflow({
+      keystore,
+      workDir,
+      unsignedApk: options.unsigned || path.join(path.dirname(workDir), 'modified.apk'),
+      outputApk: options.out || null,
+      outputDir: this.outputDir(options),
+      signing: { v4: options.v4 === true }
+    });
+
+    try {
+      workflow.prepareOutput(AndroidManifest.fromDecompiledDir(workDir));
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      return 1;
+    }
+
+    const success = await workflow.recompileAndSign();
+    if (success) {
+      console.log(`\n📱 Output: ${workflow.outputApk}`);
+    } else {
+      workflow.releaseOutput();
+    }
+    return success ? 0 : 1;
+  }
+
+  static async sign(options, positionals) {
+    const apkPath = this.resolveAPK(options, positionals);
+    if (!apkPath) return 1;
+
+    let keystore;
+    try {
+      keystore = this.keystoreFromOptions(options);
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      return 1;
+    }
+
+    const workflow = new APKEditorWorkflow({
+      keystore,
+      unsignedApk: apkPath,
+      outputApk: options.out || apkPath,
+      signing: { v4: options.v4 === true }
+    });
+
+    try {
+      console.log('🔐 Signing APK...');
+      const signer = await workflow.signAPK(apkPath, workflow.outputApk, {
+        minSdk: parseInt(options['min-sdk'], 10) || null,
+        targetSdk: parseInt(options['target-sdk'], 10) || null
+      });
+
+      if (!(await workflow.verifyOutput(workflow.outputApk, signer))) {
+        return 1;
+      }
+      console.log(`✅ Signed (${signer.describeSchemes()}): ${workflow.outputApk}`);
+      return 0;
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      return 1;
+    }
+  }
+
+  static async merge(options, positionals, workDir) {
+    const resolved = this.resolveAPK(options, positionals);
+    const input = resolved && this.openInput(resolved);
+    if (!input) return 1;
+    const apkPath = input.path;
+
+    let keystore;
+    let splits;
+    try {
+      keystore = this.keystoreFromOptions(options);
+      splits = typeof options.splits === 'string'
+        ? options.splits.split(',').map(s => s.trim()).filter(Boolean)
+        : SplitMerger.findSplitsBeside(apkPath);
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      return 1;
+    }
+
+    const missing = splits.filter(split => !fs.existsSync(split));
+    if (missing.length > 0) {
+      console.error(`❌ Split APK not found: ${missing.join(', ')}`);
+      return 1;
+    }
+    if (splits.length === 0) {
+      console.error(`❌ No split APKs found for ${apkPath}`);
+      return 1;
+    }
+    if (!(await this.ensureTools())) return 1;
+
+    const workflow = new APKEditorWorkflow({
+      keystore,
+      workDir,
+      workRoot: this.workRoot(options),
+      outputDir: this.outputDir(options),
+      jobId: this.jobId(options),
+      outputApk: options.out || null,
+      signing: { v4: options.v4 === true }
+    });
+    let outputApk;
+    try {
+      const workspace = workflow.prepareWorkspace();
+      console.log(`🗂️  Job ${workspace.id}: ${workspace.dir}`);
+      outputApk = workflow.prepareOutput(AndroidManifest.fromAPK(apkPath), 'merged');
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      return 1;
+    }
+
+    const success = await workflow.mergeSplitAPKs(apkPath, splits, outputApk);
+    if (success) {
+      console.log(`\n📱 Merged APK: ${outputApk}`);
+    } else {
+      workflow.releaseOutput();
+    }
+    return success ? 0 : 1;
+  }
+
+  static async diff(options, positionals) {
+    const originalApk = options.original || positionals[0];
+    const modifiedApk = options.modified || positionals[1];
+
+    if (!originalApk || !modifiedApk) {
+      console.error('❌ diff needs --original <file> and --modified <file>');
+      return 1;
+    }
+    // A bare --html or --out would otherwise write a report named "true"
+    for (const flag of ['html', 'out']) {
+      if (options[flag] !== undefined && typeof options[flag] !== 'string') {
+        console.error(`❌ --${flag} needs a file path`);
+        return 1;
+      }
+    }
+    const java = this.javaOptions(options);
+    if (java === false || !(await this.ensureTools())) return 1;
+
+    // Without --work-dir the analyzer decompiles into its own job directory
+    const baseDir = typeof options['work-dir'] === 'string' ? options['work-dir'] : null;
+    const analyzer = new APKDiffAnalyzer({
+      workspace: baseDir ? null : this.createWorkspace(options),
+      originalDir: baseDir && path.join(baseDir, 'decompiled_original'),
+      modifiedDir: baseDir && path.join(baseDir, 'decompiled_modified'),
+      reportPath: options.out,
+      htmlPath: options.html,
+      java
+    });
+
+    try {
+      await analyzer.analyzeAPKs(originalApk, modifiedApk);
+      return 0;
+    } catch (error) {
+      console.error(`❌ Diff failed: ${error.message}`);
+      return 1;
+    }
+  }
+
+  // Fast path: everything here comes from the ZIP central directory and binary manifest
+  static async info(options, positionals) {
+    const resolved = this.resolveAPK(options, positionals);
+    const input = resolved && this.openInput(resolved);
+    if (!input) return 1;
+    const apkPath = input.path;
+
+    let zip;
+    try {
+      zip = ZipReader.open(apkPath);
+      const manifest = AndroidManifest.fromAPK(apkPath);
+      const summary = zip.summary();
+      const info = {
+        file: apkPath,
+        packageName: manifest.package,
+        versionName: manifest.versionName,
+        versionCode: manifest.versionCode,
+        minSdk: manifest.minSdk,
+        targetSdk: manifest.targetSdk,
+        dexFiles: zip.dexFiles(),
+        ...summary,
+        bundle: input.bundle
+      };
+
+      console.log(`\n📱 ${info.packageName} v${info.versionName || '?'} (${info.versionCode || '?'})`);
+      console.log(`🎯 SDK: min ${info.minSdk || '?'}, target ${info.targetSdk || '?'}`);
+      console.log(`🧩 Dex files: ${info.dexCount} (${info.dexFiles.join(', ')})`);
+      console.log(`📦 Entries: ${info.entries}, ${summary.size} bytes uncompressed, ${summary.compressedSize} compressed`);
+
+      if (options.entries) {
+        info.files = zip.entries.filter(entry => !entry.isDirectory).map(entry => ({
+          name: entry.name,
+          method: entry.methodName,
+          size: entry.size,
+          compressedSize: entry.compressedSize,
+          crc32: entry.crc32.toString(16).padStart(8, '0')
+        }));
+        console.log('');
+        for (const file of info.files) {
+          console.log(`   ${file.method.padEnd(8)} ${String(file.size).padStart(10)} ${String(file.compressedSize).padStart(10)}  ${file.crc32}  ${file.name}`);
+        }
+      }
+
+      if (options.out) {
+        fs.writeFileSync(options.out, JSON.stringify(info, null, 2));
+        console.log(`\n💾 Info saved to: ${options.out}`);
+      }
+      return 0;
+    } catch (error) {
+      console.error(`❌ Cannot read ${apkPath}: ${error.message}`);
+      return 1;
+    } finally {
+      if (zip) zip.close();
+    }
+  }
+
+  static async batch(options) {
+    const concurrency = options.concurrency === undefined ? null : parseInt(options.concurrency, 10);
+    if (concurrency !== null && !(concurrency > 0)) {
+      console.error('❌ --concurrency must be a positive number');
+      return 1;
+    }
+    const java = this.javaOptions(options);
+    if (java === false) return 1;
+
+    // Building needs the modifications and keystore from a job file; its input is replaced per APK
+    let job = null;
+    if (options.build) {
+      job = this.loadJob(options);
+      if (!job) return 1;
+      if (job.workDir || job.output) {
+        console.error('❌ batch --build cannot use a job file with a fixed workDir/output (every APK would write to it)');
+        return 1;
+      }
+    }
+
+    const apkDir = typeof options['apk-dir'] === 'string' ? options['apk-dir'] : 'apk';
+    const apks = new APKSelector(apkDir).getAvailableAPKs();
+    if (apks.length === 0) {
+      console.error(`❌ No APKs or bundles found in ${apkDir}/`);
+      return 1;
+    }
+
+    // Tools and the keystore are set up once here, not raced by parallel workers
+    if (job && job.tools) {
+      ToolManager.configure(job.tools);
+    }
+    if (!options.fast || options.build) {
+      if (!(await this.ensureTools())) return 1;
+    }
+    if (job) {
+      // Checked once for the largest APK; the workers skip it
+      if (!EnvironmentDoctor.skipped()) {
+        const largest = apks.reduce((a, b) => (b.size > a.size ? b : a));
+        const doctor = new EnvironmentDoctor({
+          apkPath: largest.path,
+          workRoot: this.workRoot(options) || undefined,
+          outputDir: this.outputDir(options) || job.outputDir || undefined,
+          keystore: new Keystore(job.keystore || Keystore.DEFAULT_KEYSTORE)
+        });
+        await doctor.run();
+        doctor.print({ problemsOnly: true });
+        if (!doctor.ok) return 1;
+        process.env[EnvironmentDoctor.SKIP_ENV] = '1';
+      }
+      try {
+        await new Keystore(job.keystore || Keystore.DEFAULT_KEYSTORE).ensure();
+      } catch (error) {
+        console.error(`❌ ${error.message}`);
+        return 1;
+      }
+    }
+
+    const runner = new BatchRunner({
+      concurrency,
+      build: options.build === true,
+      jobFile: options.job,
+      fast: options.fast === true,
+      java,
+      workRoot: this.workRoot(options),
+      outputDir: this.outputDir(options)
+    });
+    const results = await runner.run(apks);
+    return BatchRunner.exitCode(results);
+  }
+
+  static async cache(options, positionals) {
+    const action = positionals[0] || 'list';
+    const cache = new DecompileCache();
+    const mb = (bytes) => `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+
+    if (action === 'list') {
+      const entries = cache.list();
+      if (options.json) {
+        console.log(JSON.stringify(entries, null, 2));
+        return 0;
+      }
+      console.log(`📦 Decompile cache: ${cache.root} (${entries.length} entries, ${mb(cache.totalSize())} of ${mb(cache.maxBytes)})`);
+      for (const entry of entries) {
+        const flags = entry.flags.length ? ` ${entry.flags.join(' ')}` : '';
+        console.log(`   ${entry.key}  ${mb(entry.size).padStart(9)}  apktool ${entry.apktoolVersion}${flags}  ${entry.hits} hits  last used ${entry.lastUsedAt}  ${entry.apk}`);
+      }
+      return 0;
+    }
+
+    if (action === 'prune') {
+      const olderThanDays = options['older-than'] === undefined ? null : parseFloat(options['older-than']);
+      if (olderThanDays !== null && !(olderThanDays >= 0)) {
+        console.error('❌ --older-than must be a number of days');
+        return 1;
+      }
+      const removed = cache.prune({ all: options.all === true, olderThanDays });
+      const what = options.all ? 'all entries' : olderThanDays !== null ? `entries unused for ${olderThanDays} days` : `entries not made with apktool ${cache.apktoolVersion()}`;
+      console.log(`🧹 Removed ${removed.length} cache entries (${what}), freed ${mb(removed.reduce((sum, entry) => sum + entry.size, 0))}`);
+      return 0;
+    }
+
+    if (action === 'limit') {
+      const maxMB = options['max-size'] === undefined ? cache.maxBytes / 1024 / 1024 : parseFloat(options['max-size']);
+      if (!(maxMB >= 0)) {
+        console.error('❌ --max-size must be a size in MB');
+        return 1;
+      }
+      const removed = cache.limit(maxMB * 1024 * 1024);
+      console.log(`🧹 Evicted ${removed.length} least recently used entries, cache is now ${mb(cache.totalSize())}`);
+      return 0;
+    }
+
+    console.error(`❌ Unknown cache action: ${action} (use list, prune or limit)`);
+    return 1;
+  }
+
+  static async doctor(options, positionals) {
+    const apkPath = options.apk || positionals[0] ? this.resolveAPK(options, positionals) : null;
+    const job = options.job ? this.loadJob(options) : null;
+    if (options.job && !job) return 1;
+    if (job && job.tools) {
+      ToolManager.configure(job.tools);
+    }
+
+    const doctor = new EnvironmentDoctor({
+      apkPath: apkPath || (job && job.input),
+      workRoot: this.workRoot(options) || (job && job.workRoot) || undefined,
+      outputDir: this.outputDir(options) || (job && job.outputDir) || undefined,
+      keystore: job ? new Keystore(job.keystore || Keystore.DEFAULT_KEYSTORE) : null
+    });
+    await doctor.run();
+
+    if (options.json) {
+      console.log(JSON.stringify(doctor, null, 2));
+    } else {
+      doctor.print();
+    }
+    return doctor.ok ? 0 : 1;
+  }
+
+  static async tools(options, positionals) {
+    const action = positionals[0] || 'list';
+    const tools = ToolManager.shared();
+
+    if (action === 'list') {
+      const installed = tools.list();
+      if (options.json) {
+        console.log(JSON.stringify({ selected: tools.versions, installed }, null, 2));
+        return 0;
+      }
+      console.log(`🧰 Tools: ${tools.root}${tools.mirror ? `, mirror ${tools.mirror}` : ''}${tools.bundle ? `, bundle ${tools.bundle}` : ''}`);
+      for (const name of Object.keys(ToolManager.TOOLS)) {
+        for (const [version, entry] of Object.entries(tools.catalog[name].versions)) {
+          const meta = installed.find(item => item.name === name && item.version === version);
+          const selected = tools.versions[name] === version ? '*' : ' ';
+          const state = meta ? `installed ${meta.installedAt}${meta.verified ? '' : ' (unverified)'}` : 'not installed';
+          console.log(`  ${selected} ${name.padEnd(12)} ${version.padEnd(10)} ${entry.sha256 ? 'pinned  ' : 'unpinned'}  ${state}`);
+        }
+      }
+      console.log('  (* = selected version)');
+      return 0;
+    }
+
+    if (action === 'install') {
+      const names = positionals[1] ? [positionals[1]] : ['apktool', 'jadx'];
+      try {
+        for (const name of names) {
+          const version = positionals[2] || tools.versions[name];
+          const meta = tools.meta(name, version) || await tools.install(name, version);
+          console.log(`✅ ${name} ${meta.version}: ${tools.installDir(name, version)} (sha256 ${meta.sha256})`);
+        }
+      } catch (error) {
+        if (ProcessRunner.isCancelled(error)) throw error;
+        console.error(`❌ ${error.message}`);
+        return 1;
+      }
+      return 0;
+    }
+
+    console.error(`❌ Unknown tools action: ${action} (use list or install)`);
+    return 1;
+  }
+
+  // Code index for search: --index, --job-id, --work-dir, else the newest job that has one
+  static findIndex(options, workDir) {
+    if (typeof options.index === 'string') {
+      return { indexPath: options.index, decompiledDir: null };
+    }
+    if (workDir) {
+      return { indexPath: CodeIndex.pathFor(workDir), decompiledDir: workDir };
+    }
+
+    const workspace = new JobWorkspace({ root: this.workRoot(options) });
+    const jobId = this.jobId(options) ||
+      workspace.listJobs().find(id => fs.existsSync(path.join(workspace.root, id, CodeIndex.INDEX_FILE))) ||
+      workspace.listJobs().find(id => fs.existsSync(path.join(workspace.root, id, 'decompiled')));
+    if (!jobId) return null;
+
+    const job = new JobWorkspace({ root: workspace.root, id: jobId });
+    return { indexPath: job.path(CodeIndex.INDEX_FILE), decompiledDir: job.decompiledDir };
+  }
+
+  // Load the index found by findIndex, building it from the decompiled dir if missing (or --rebuild)
+  static loadIndex(found, options) {
+    if (!found) {
+      console.error('❌ No code index found: analyze an APK first, or pass --job-id, --work-dir or --index');
+      return null;
+    }
+
+    const { indexPath, decompiledDir } = found;
+    try {
+      if (decompiledDir && fs.existsSync(decompiledDir) && (options.rebuild || !fs.existsSync(indexPath))) {
+        console.error(`🗃️  Indexing ${decompiledDir}...`);
+        const index = CodeIndex.build(decompiledDir);
+        index.save(indexPath);
+        return index;
+      }
+      return CodeIndex.load(indexPath);
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      return null;
+    }
+  }
+
+  static async search(options, workDir) {
+    const given = Object.keys(SEARCH_QUERIES).filter(key => options[key] !== undefined);
+    if (given.length !== 1 || typeof options[given[0]] !== 'string') {
+      console.error(`❌ search needs exactly one of ${Object.keys(SEARCH_QUERIES).map(key => `--${key} <value>`).join(', ')}`);
+      return 1;
+    }
+    const [key] = given;
+    const limit = options.limit === undefined ? DEFAULT_SEARCH_LIMIT : parseInt(options.limit, 10);
+    if (!(limit >= 0)) {
+      console.error('❌ --limit must be a number of rows (0 for all)');
+      return 1;
+    }
+
+    const found = this.findIndex(options, workDir);
+    const index = this.loadIndex(found, options);
+    if (!index) return 1;
+
+    let results;
+    try {
+      results = index[SEARCH_QUERIES[key]](options[key], { regex: Boolean(options.regex) });
+    } catch (error) {
+      console.error(`❌ Invalid --${key}: ${error.message}`);
+      return 1;
+    }
+    const shown = limit === 0 ? results : results.slice(0, limit);
+
+    if (options.json) {
+      console.log(JSON.stringify({ index: found.indexPath, query: { [key]: options[key] }, total: results.length, results: shown }, null, 2));
+      return 0;
+    }
+
+    console.log(`🔎 ${results.length} result(s) for --${key} ${options[key]} (${found.indexPath})`);
+    if (shown.length > 0) {
+      const header = ['Class', 'Method', 'Line', 'Match'];
+      const rows = shown.map(result => [result.class, result.method || '-', result.line || '-', result.match]);
+      const widths = header.slice(0, -1).map((title, column) =>
+        Math.max(title.length, ...rows.map(row => String(row[column]).length)));
+      const line = (row) => row.map((cell, column) => String(cell).padEnd(widths[column] || 0)).join('  ').trimEnd();
+      console.log(line(header));
+      rows.forEach(row => console.log(line(row)));
+    }
+    if (shown.length < results.length) {
+      console.log(`... ${results.length - shown.length} more (--limit 0 or --json for all)`);
+    }
+    return 0;
+  }
+
+  // Manifest and attack surface for the call graph's entry points: the job's analysis.json, else the decompiled manifest
+  static entryPointSource(found) {
+    const reportPath = path.join(path.dirname(found.indexPath), 'analysis.json');
+    try {
+      if (fs.existsSync(reportPath)) {
+        const { manifest, attackSurface } = JSON.parse(fs.readFileSync(reportPath, 'utf8'));
+        if (manifest) return { manifest, attackSurface };
+      }
+      if (found.decompiledDir && fs.existsSync(path.join(found.decompiledDir, 'AndroidManifest.xml'))) {
+        const manifest = AndroidManifest.fromDecompiledDir(found.decompiledDir);
+        return { manifest: manifest.toJSON(), attackSurface: AttackSurface.fromManifest(manifest) };
+      }
+    } catch (error) {
+      console.error(`⚠️  Cannot read the manifest: ${error.message}`);
+    }
+    return null;
+  }
+
+  static async callgraph(options, workDir) {
+    const from = options.from === undefined ? CallGraph.FROM_EXPORTED : options.from;
+    if (![CallGraph.FROM_EXPORTED, CallGraph.FROM_ENTRY].includes(from)) {
+      console.error(`❌ --from must be ${CallGraph.FROM_EXPORTED} or ${CallGraph.FROM_ENTRY}`);
+      return 1;
+    }
+    const format = typeof options.format === 'string' ? options.format : (options.out && CallGraph.formatOf(options.out)) || 'json';
+    if (!CallGraph.FORMATS.includes(format)) {
+      console.error(`❌ --format must be one of ${CallGraph.FORMATS.join(', ')}`);
+      return 1;
+    }
+
+    const found = this.findIndex(options, workDir);
+    const index = this.loadIndex(found, options);
+    if (!index) return 1;
+    const source = this.entryPointSource(found);
+    if (!source) {
+      console.error('⚠️  No manifest found for this index: the graph has no entry points');
+    }
+    const graph = CallGraph.build(index, source || {});
+
+    if (typeof options.reachable === 'string') {
+      const results = graph.query(options.reachable, from);
+      if (options.json) {
+        console.log(JSON.stringify({ index: found.indexPath, from, query: options.reachable, results }, null, 2));
+        return 0;
+      }
+      if (results.length === 0) {
+        console.log(`🔎 No method matches ${options.reachable}`);
+      }
+      for (const result of results) {
+        if (!result.reachable) {
+          console.log(`⛔ ${result.method}: not reachable from ${from === CallGraph.FROM_EXPORTED ? 'exported components' : 'any component'}`);
+          continue;
+        }
+        const entry = result.entryPoint;
+        console.log(`✅ ${result.method}: reachable from ${entry.type} ${entry.component}` +
+          `${entry.exported ? ` (exported${entry.unprotected ? ', unprotected' : ''})` : ''}`);
+        result.path.forEach((step, i) => console.log(`   ${i === 0 ? '  ' : '→ '}${step}`));
+      }
+      return 0;
+    }
+
+    const outPath = typeof options.out === 'string' ? options.out : path.join(path.dirname(found.indexPath), `call-graph.${format}`);
+    fs.writeFileSync(outPath, graph.format(format, { external: !options['no-external'] }));
+    const summary = graph.summary();
+    console.log(`🕸️  Call graph: ${summary.methods} methods, ${summary.external} external, ${summary.edges} calls, ` +
+      `${summary.entryPoints} entry points (${summary.exportedEntryPoints} exported)`);
+    console.log(`💾 Saved as ${format} to: ${outPath}`);
+    return 0;
+  }
+
+  static async inspect(options, workDir) {
+    if (!workDir) {
+      console.error('❌ inspect needs --work-dir <decompiled dir>');
+      return 1;
+    }
+    const analyzer = new APKAnalyzer(options.apk || null, workDir);
+    const analysis = analyzer.analyzeDecompiled();
+
+    if (!analysis) return 1;
+
+    analyzer.printSummary();
+    if (options.out) {
+      analyzer.saveReport(options.out);
+    }
+    return 0;
+  }
+}
+
+module.exports = APKEditorCLI;
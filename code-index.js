@@ -0,0 +1,363 @@
+const fs = require('fs');
+const path = require('path');
+const SmaliDirs = require('./smali-dirs');
+const SmaliParser = require('./smali-parser');
+
+// Written next to the decompiled dir (work/<job id>/code-index.json), so it outlives its cleanup
+const INDEX_FILE = 'code-index.json';
+// Bumped whenever the record layout below changes; older files have to be rebuilt
+const INDEX_VERSION = 1;
+
+// Records are arrays of symbol ids (plus line numbers), see add():
+//   classes:    [name, super, [interfaces], flags, file, dexDir]
+//   methods:    [class, name, descriptor, flags, line]
+//   fields:     [class, name, type, flags, line]
+//   strings:    [method, value, line]
+//   invokes:    [method, opcode, owner, name, descriptor, line]
+//   fieldRefs:  [method, opcode, owner, name, type, line]
+const RECORDS = ['classes', 'methods', 'fields', 'strings', 'invokes', 'fieldRefs'];
+
+const FIELD_OPCODE = /^[is](?:get|put)/;
+
+class CodeIndexError extends Error {
+  constructor(message, indexPath) {
+    super(message);
+    this.name = 'CodeIndexError';
+    this.indexPath = indexPath;
+  }
+}
+
+// ============================================================================
+// CLASS: CodeIndex
+// ============================================================================
+// Searchable index of a decompiled tree: classes and their hierarchy, method
+// and field declarations, string constants, invoked methods and field
+// accesses. Built once from the parsed smali (the analyzer fills it during
+// its own walk) and saved as one JSON file with every string interned, so
+// `search` never has to touch the smali again.
+class CodeIndex {
+  constructor() {
+    this.version = INDEX_VERSION;
+    this.createdAt = new Date().toISOString();
+    this.source = null;
+    this.parseErrors = 0;
+    this.symbols = [];
+    this.symbolIds = new Map();
+    for (const record of RECORDS) {
+      this[record] = [];
+    }
+    this.hierarchy = null;
+  }
+
+  // Where the index of a decompiled dir lives
+  static pathFor(decompiledDir) {
+    return path.join(path.dirname(decompiledDir), INDEX_FILE);
+  }
+
+  // Parse every .smali file under decompiledDir
+  static build(decompiledDir) {
+    const index = new CodeIndex();
+    index.source = decompiledDir;
+    SmaliDirs.walkFiles(decompiledDir, (fullPath, file, dexDir) => {
+      try {
+        index.add(SmaliParser.parseFile(fullPath), path.relative(decompiledDir, fullPath), dexDir);
+      } catch (e) {
+        index.parseErrors++;
+      }
+    });
+    return index;
+  }
+
+  static load(indexPath) {
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+    } catch (error) {
+      throw new CodeIndexError(`Cannot read code index ${indexPath}: ${error.message}`, indexPath);
+    }
+    if (data.version !== INDEX_VERSION) {
+      throw new CodeIndexError(`Code index ${indexPath} has format ${data.version}, expected ${INDEX_VERSION} (rebuild it with search --rebuild)`, indexPath);
+    }
+
+    const index = new CodeIndex();
+    Object.assign(index, data);
+    index.symbolIds = new Map(index.symbols.map((symbol, id) => [symbol, id]));
+    return index;
+  }
+
+  // Write to a partial file first, so a reader never sees half an index
+  save(indexPath) {
+    const partial = `${indexPath}.partial-${process.pid}`;
+    const data = { version: this.version, createdAt: this.createdAt, source: this.source, parseErrors: this.parseErrors, symbols: this.symbols };
+    for (const record of RECORDS) {
+      data[record] = this[record];
+    }
+    fs.writeFileSync(partial, JSON.stringify(data));
+    fs.renameSync(partial, indexPath);
+    return indexPath;
+  }
+
+  intern(symbol) {
+    if (symbol === null || symbol === undefined) return -1;
+    let id = this.symbolIds.get(symbol);
+    if (id === undefined) {
+      id = this.symbols.length;
+      this.symbols.push(symbol);
+      this.symbolIds.set(symbol, id);
+    }
+    return id;
+  }
+
+  symbol(id) {
+    return id === -1 ? null : this.symbols[id];
+  }
+
+  // Add one parsed class (file relative to the decompiled dir)
+  add(smaliClass, file, dexDir) {
+    const classId = this.classes.length;
+    this.classes.push([
+      this.intern(smaliClass.name),
+      this.intern(smaliClass.superClass),
+      smaliClass.interfaces.map(type => this.intern(type)),
+      this.intern(smaliClass.accessFlags.join(' ')),
+      this.intern(file.split(path.sep).join('/')),
+      this.intern(dexDir)
+    ]);
+
+    for (const field of smaliClass.fields) {
+      this.fields.push([classId, this.intern(field.name), this.intern(field.type), this.intern(field.accessFlags.join(' ')), field.line]);
+    }
+
+    for (const method of smaliClass.methods) {
+      const methodId = this.methods.length;
+      this.methods.push([classId, this.intern(method.name), this.intern(method.descriptor), this.intern(method.accessFlags.join(' ')), method.line]);
+
+      for (const instruction of method.instructions) {
+        const reference = instruction.reference;
+        if (instruction.string !== undefined) {
+          this.strings.push([methodId, this.intern(instruction.string), instruction.line]);
+        } else if (reference && reference.kind === 'method' && instruction.opcode.startsWith('invoke-')) {
+          this.invokes.push([methodId, this.intern(instruction.opcode), this.intern(reference.owner),
+            this.intern(reference.name), this.intern(reference.descriptor), instruction.line]);
+        } else if (reference && reference.kind === 'field' && FIELD_OPCODE.test(instruction.opcode)) {
+          this.fieldRefs.push([methodId, this.intern(instruction.opcode), this.intern(reference.owner),
+            this.intern(reference.name), this.intern(reference.descriptor), instruction.line]);
+        }
+      }
+    }
+    this.hierarchy = null;
+  }
+
+  stats() {
+    return {
+      classes: this.classes.length,
+      methods: this.methods.length,
+      fields: this.fields.length,
+      strings: this.strings.length,
+      invokes: this.invokes.length,
+      fieldAccesses: this.fieldRefs.length,
+      parseErrors: this.parseErrors
+    };
+  }
+
+  // 'com.foo.Bar' or 'Lcom/foo/Bar;' -> 'Lcom/foo/Bar;'
+  static toDescriptor(name) {
+    if (/^\[|^L.*;$|^[VZBSCIJFD]$/.test(name)) return name;
+    return `L${name.replace(/\./g, '/')};`;
+  }
+
+  // 'Lcom/a/B;->m(I)V', 'com.a.B->m', 'com.a.B.m(I)V', 'B->f:I' or just 'm' -> { owner, name, descriptor }
+  static parseMember(text) {
+    let rest = text.trim();
+    let owner = null;
+    const arrow = rest.indexOf('->');
+    if (arrow !== -1) {
+      owner = rest.slice(0, arrow);
+      rest = rest.slice(arrow + 2);
+    } else {
+      const end = rest.search(/[(:]|$/);
+      const dot = rest.lastIndexOf('.', end);
+      if (dot !== -1) {
+        owner = rest.slice(0, dot);
+        rest = rest.slice(dot + 1);
+      }
+    }
+
+    const start = rest.search(/[(:]/);
+    return {
+      owner: owner ? CodeIndex.toDescriptor(owner) : null,
+      name: start === -1 ? rest : rest.slice(0, start),
+      descriptor: start === -1 ? null : rest.slice(start).replace(/^:/, '')
+    };
+  }
+
+  // Case-insensitive substring, or a regular expression with regex: true
+  static matcher(pattern, { regex = false } = {}) {
+    if (regex) {
+      const expression = new RegExp(pattern);
+      return value => expression.test(value);
+    }
+    const needle = pattern.toLowerCase();
+    return value => value.toLowerCase().includes(needle);
+  }
+
+  // One result row: where (class, method, file:line) and what matched
+  row(kind, classId, methodId, line, match) {
+    const [name, , , , file] = this.classes[classId];
+    const method = methodId === null ? null : this.methods[methodId];
+    return {
+      kind,
+      class: this.symbol(name),
+      method: method ? this.symbol(method[1]) + this.symbol(method[2]) : null,
+      file: this.symbol(file),
+      line,
+      match
+    };
+  }
+
+  // Class id by descriptor, and the direct subtypes of every type ({ super, interfaces } edges)
+  buildHierarchy() {
+    const byName = new Map();
+    const children = new Map();
+    const link = (parent, child, edge) => {
+      if (!children.has(parent)) children.set(parent, []);
+      children.get(parent).push({ child, edge });
+    };
+
+    this.classes.forEach(([name, superClass, interfaces], classId) => {
+      byName.set(name, classId);
+      if (superClass !== -1) link(superClass, classId, 'extends');
+      interfaces.forEach(type => link(type, classId, 'implements'));
+    });
+    this.hierarchy = { byName, children };
+    return this.hierarchy;
+  }
+
+  // Every indexed class below type: [{ classId, path: [descriptors from type down] }]
+  subtypes(type, { interfaces = true } = {}) {
+    const { children } = this.hierarchy || this.buildHierarchy();
+    const root = this.symbolIds.get(CodeIndex.toDescriptor(type));
+    if (root === undefined) return [];
+
+    const found = [];
+    const seen = new Set();
+    const queue = [{ id: root, path: [this.symbol(root)] }];
+    for (let i = 0; i < queue.length; i++) {
+      const { id, path: chain } = queue[i];
+      for (const { child, edge } of children.get(id) || []) {
+        if (seen.has(child) || (!interfaces && edge !== 'extends')) continue;
+        seen.add(child);
+        const name = this.classes[child][0];
+        const next = [...chain, this.symbol(name)];
+        found.push({ classId: child, edge, path: next });
+        queue.push({ id: name, path: next });
+      }
+    }
+    return found;
+  }
+
+  // "who calls X": invoke-* of the method, also through subclasses that do not override it
+  callers(spec) {
+    return this.references(this.invokes, spec, (owner, name, descriptor) => `${owner}->${name}${descriptor}`, 'call');
+  }
+
+  // Reads (iget/sget) and writes (iput/sput) of a field
+  fieldAccesses(spec) {
+    return this.references(this.fieldRefs, spec, (owner, name, type) => `${owner}->${name}:${type}`, 'field');
+  }
+
+  references(records, spec, describe, kind) {
+    const { owner, name, descriptor } = CodeIndex.parseMember(spec);
+    const nameId = this.symbolIds.get(name);
+    if (nameId === undefined) return [];
+    const owners = owner ? this.inheritingOwners(owner, nameId, descriptor, kind === 'call' ? this.methods : this.fields) : null;
+
+    const results = [];
+    for (const [methodId, opcode, ownerId, memberName, memberDescriptor, line] of records) {
+      if (memberName !== nameId) continue;
+      const refOwner = this.symbol(ownerId);
+      const refDescriptor = this.symbol(memberDescriptor);
+      if (owners && !owners.has(refOwner)) continue;
+      if (descriptor && !refDescriptor.startsWith(descriptor)) continue;
+      results.push(this.row(kind, this.methods[methodId][0], methodId, line,
+        `${this.symbol(opcode)} ${describe(refOwner, name, refDescriptor)}`));
+    }
+    return results;
+  }
+
+  // owner plus the subclasses that inherit the member from it (a redeclaration hides it below)
+  inheritingOwners(owner, nameId, descriptor, declarations) {
+    const { children } = this.hierarchy || this.buildHierarchy();
+    const declaring = new Set(declarations
+      .filter(([, name, type]) => name === nameId && (!descriptor || this.symbol(type).startsWith(descriptor)))
+      .map(([classId]) => classId));
+
+    const owners = new Set([owner]);
+    const root = this.symbolIds.get(owner);
+    const queue = root === undefined ? [] : [root];
+    const seen = new Set();
+    while (queue.length > 0) {
+      for (const { child } of children.get(queue.shift()) || []) {
+        if (seen.has(child) || declaring.has(child)) continue;
+        seen.add(child);
+        owners.add(this.symbol(this.classes[child][0]));
+        queue.push(this.classes[child][0]);
+      }
+    }
+    return owners;
+  }
+
+  // "where is string Y used"
+  stringUses(pattern, options = {}) {
+    const matches = CodeIndex.matcher(pattern, options);
+    const hit = new Map();
+    const results = [];
+    for (const [methodId, value, line] of this.strings) {
+      if (!hit.has(value)) hit.set(value, matches(this.symbol(value)));
+      if (!hit.get(value)) continue;
+      results.push(this.row('string', this.methods[methodId][0], methodId, line, JSON.stringify(this.symbol(value))));
+    }
+    return results;
+  }
+
+  // "classes implementing Z": directly, through a superclass or through a sub-interface
+  implementors(type) {
+    return this.subtypes(type).map(({ classId, edge, path: chain }) =>
+      this.row('class', classId, null, null, chain.length === 2
+        ? `${edge} ${chain[0]}`
+        : `implements ${chain[0]} via ${chain.slice(1, -1).reverse().join(' -> ')}`));
+  }
+
+  // Subclasses of a class, following .super only
+  subclasses(type) {
+    return this.subtypes(type, { interfaces: false }).map(({ classId, path: chain }) =>
+      this.row('class', classId, null, null, `extends ${chain.slice(0, -1).reverse().join(' -> ')}`));
+  }
+
+  // Classes by name ('com.foo.Login' or 'Lcom/foo/Login' style)
+  findClasses(pattern, options = {}) {
+    const matches = CodeIndex.matcher(options.regex ? pattern : pattern.replace(/\./g, '/'), options);
+    return this.classes
+      .map(([name, superClass, , flags], classId) => ({ name: this.symbol(name), superClass, flags, classId }))
+      .filter(({ name }) => matches(name))
+      .map(({ classId, superClass, flags }) =>
+        this.row('class', classId, null, null, [this.symbol(flags), superClass !== -1 ? `extends ${this.symbol(superClass)}` : ''].filter(Boolean).join(' ')));
+  }
+
+  // Method declarations by name
+  findMethods(pattern, options = {}) {
+    const matches = CodeIndex.matcher(pattern, options);
+    const results = [];
+    this.methods.forEach(([classId, name, , flags, line], methodId) => {
+      if (matches(this.symbol(name))) {
+        results.push(this.row('method', classId, methodId, line, this.symbol(flags)));
+      }
+    });
+    return results;
+  }
+}
+
+module.exports = CodeIndex;
+module.exports.CodeIndexError = CodeIndexError;
+module.exports.INDEX_FILE = INDEX_FILE;
+module.exports.INDEX_VERSION = INDEX_VERSION;
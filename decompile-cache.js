@@ -0,0 +1,202 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const ToolManager = require('./tool-manager');
+
+const CACHE_DIR_ENV = 'APK_EDITOR_CACHE_DIR';
+const CACHE_MAX_ENV = 'APK_EDITOR_CACHE_MAX_MB';
+const NO_CACHE_ENV = 'APK_EDITOR_NO_CACHE';
+
+const DEFAULT_CACHE_DIR = path.join('cache', 'decompile');
+const DEFAULT_MAX_MB = 5120;
+
+// Each entry: <root>/<key>/tree/ (pristine apktool output) + <root>/<key>/cache.json
+const TREE_DIR = 'tree';
+const META_FILE = 'cache.json';
+const PARTIAL_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+// ============================================================================
+// CLASS: DecompileCache
+// ============================================================================
+// apktool output keyed by SHA-256 of the APK, the apktool version and the
+// decompile flags. Entries are never modified in place: a hit is copied into
+// the caller's work dir, and new entries are written to a partial dir and
+// renamed, so parallel jobs can share one cache. Least recently used entries
+// are evicted once the cache grows past maxBytes.
+class DecompileCache {
+  constructor(options = {}) {
+    this.root = options.root || process.env[CACHE_DIR_ENV] || DEFAULT_CACHE_DIR;
+    const maxMB = options.maxMB !== undefined ? options.maxMB : parseInt(process.env[CACHE_MAX_ENV], 10);
+    this.maxBytes = (Number.isFinite(maxMB) ? maxMB : DEFAULT_MAX_MB) * 1024 * 1024;
+    this.tools = options.tools || ToolManager.shared();
+    this.hashes = new Map();
+    this.version = null;
+  }
+
+  // The shared cache, or null when disabled (--no-cache / APK_EDITOR_NO_CACHE=1)
+  static fromEnv() {
+    return process.env[NO_CACHE_ENV] ? null : new DecompileCache();
+  }
+
+  // SHA-256 of an APK, hashed once per process unless the file changes
+  sha256(apkPath) {
+    const stat = fs.statSync(apkPath);
+    const id = `${path.resolve(apkPath)}:${stat.size}:${stat.mtimeMs}`;
+    if (!this.hashes.has(id)) {
+      this.hashes.set(id, ToolManager.hashFile(apkPath));
+    }
+    return this.hashes.get(id);
+  }
+
+  // Version of the selected apktool install (see tool-manager.js)
+  apktoolVersion() {
+    if (!this.version) {
+      const meta = this.tools.meta('apktool');
+      this.version = meta ? meta.version : 'unknown';
+    }
+    return this.version;
+  }
+
+  key(apkPath, flags) {
+    const settings = crypto.createHash('sha256')
+      .update(`${this.apktoolVersion()}\n${flags.join(' ')}`)
+      .digest('hex');
+    return `${this.sha256(apkPath).slice(0, 24)}-${settings.slice(0, 8)}`;
+  }
+
+  // Copy the first cached tree matching one of flagSets into outputDir; returns its metadata or null
+  restore(apkPath, flagSets, outputDir) {
+    for (const flags of flagSets) {
+      const entryDir = path.join(this.root, this.key(apkPath, flags));
+      const meta = DecompileCache.readMeta(entryDir);
+      if (!meta) continue;
+
+      fs.rmSync(outputDir, { recursive: true, force: true });
+      fs.mkdirSync(path.dirname(path.resolve(outputDir)), { recursive: true });
+      fs.cpSync(path.join(entryDir, TREE_DIR), outputDir, { recursive: true });
+
+      meta.lastUsedAt = new Date().toISOString();
+      meta.hits = (meta.hits || 0) + 1;
+      fs.writeFileSync(path.join(entryDir, META_FILE), JSON.stringify(meta, null, 2));
+      return meta;
+    }
+    return null;
+  }
+
+  // Keep a pristine copy of a fresh apktool output
+  store(apkPath, flags, decompiledDir) {
+    const key = this.key(apkPath, flags);
+    const entryDir = path.join(this.root, key);
+    if (fs.existsSync(path.join(entryDir, META_FILE))) return null;
+
+    const partial = `${entryDir}.partial-${process.pid}`;
+    try {
+      fs.rmSync(partial, { recursive: true, force: true });
+      fs.mkdirSync(partial, { recursive: true });
+      fs.cpSync(decompiledDir, path.join(partial, TREE_DIR), { recursive: true });
+
+      const now = new Date().toISOString();
+      const meta = {
+        key,
+        apk: path.basename(apkPath),
+        sha256: this.sha256(apkPath),
+        apktoolVersion: this.apktoolVersion(),
+        flags,
+        size: DecompileCache.dirSize(path.join(partial, TREE_DIR)),
+        createdAt: now,
+        lastUsedAt: now,
+        hits: 0
+      };
+      fs.writeFileSync(path.join(partial, META_FILE), JSON.stringify(meta, null, 2));
+
+      // Another job may have stored the same key meanwhile; theirs wins
+      if (fs.existsSync(entryDir)) return null;
+      fs.renameSync(partial, entryDir);
+
+      this.limit(this.maxBytes, key);
+      return meta;
+    } finally {
+      fs.rmSync(partial, { recursive: true, force: true });
+    }
+  }
+
+  static readMeta(entryDir) {
+    try {
+      return JSON.parse(fs.readFileSync(path.join(entryDir, META_FILE), 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  static dirSize(dir) {
+    let size = 0;
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const entryPath = path.join(dir, entry.name);
+      size += entry.isDirectory() ? DecompileCache.dirSize(entryPath) : fs.statSync(entryPath).size;
+    }
+    return size;
+  }
+
+  // Complete entries, most recently used first
+  list() {
+    if (!fs.existsSync(this.root)) return [];
+
+    return fs.readdirSync(this.root)
+      .filter(name => !name.includes('.partial-'))
+      .map(name => DecompileCache.readMeta(path.join(this.root, name)))
+      .filter(Boolean)
+      .sort((a, b) => b.lastUsedAt.localeCompare(a.lastUsedAt));
+  }
+
+  totalSize() {
+    return this.list().reduce((sum, entry) => sum + entry.size, 0);
+  }
+
+  remove(entry) {
+    fs.rmSync(path.join(this.root, entry.key), { recursive: true, force: true });
+  }
+
+  // Remove entries from other apktool versions (or all / unused for olderThanDays) and stale partial dirs
+  prune({ all = false, olderThanDays = null } = {}) {
+    const cutoff = olderThanDays !== null ? Date.now() - olderThanDays * 24 * 60 * 60 * 1000 : null;
+    const version = this.apktoolVersion();
+
+    const removed = this.list().filter(entry =>
+      all ||
+      (cutoff !== null ? Date.parse(entry.lastUsedAt) < cutoff : entry.apktoolVersion !== version));
+    removed.forEach(entry => this.remove(entry));
+
+    if (fs.existsSync(this.root)) {
+      for (const name of fs.readdirSync(this.root).filter(name => name.includes('.partial-'))) {
+        const partial = path.join(this.root, name);
+        if (all || Date.now() - fs.statSync(partial).mtimeMs > PARTIAL_MAX_AGE_MS) {
+          fs.rmSync(partial, { recursive: true, force: true });
+        }
+      }
+    }
+    return removed;
+  }
+
+  // Evict least recently used entries until the cache fits in maxBytes (keepKey is never evicted)
+  limit(maxBytes, keepKey = null) {
+    const entries = this.list();
+    let total = entries.reduce((sum, entry) => sum + entry.size, 0);
+    const removed = [];
+
+    for (const entry of entries.reverse()) {
+      if (total <= maxBytes) break;
+      if (entry.key === keepKey) continue;
+      this.remove(entry);
+      total -= entry.size;
+      removed.push(entry);
+    }
+    return removed;
+  }
+}
+
+module.exports = DecompileCache;
+module.exports.CACHE_DIR_ENV = CACHE_DIR_ENV;
+module.exports.CACHE_MAX_ENV = CACHE_MAX_ENV;
+module.exports.NO_CACHE_ENV = NO_CACHE_ENV;
+module.exports.DEFAULT_CACHE_DIR = DEFAULT_CACHE_DIR;
+module.exports.DEFAULT_MAX_MB = DEFAULT_MAX_MB;
@@ -0,0 +1,296 @@
+const fs = require('fs');
+const TextDiff = require('./text-diff');
+
+// Inline styles: the report must open offline, so nothing is loaded from a CDN
+const STYLES = `
+  * { box-sizing: border-box; }
+  body { margin: 0; font: 14px/1.45 -apple-system, "Segoe UI", Roboto, sans-serif; color: #1f2328; background: #f6f8fa; }
+  header { padding: 16px 24px; background: #24292f; color: #fff; }
+  header h1 { margin: 0 0 4px; font-size: 20px; }
+  header .meta { font-size: 12px; opacity: .8; word-break: break-all; }
+  .layout { display: flex; align-items: flex-start; }
+  nav { position: sticky; top: 0; width: 320px; max-height: 100vh; overflow: auto; padding: 12px; background: #fff; border-right: 1px solid #d0d7de; font-size: 13px; }
+  nav input { width: 100%; padding: 6px 8px; margin-bottom: 8px; border: 1px solid #d0d7de; border-radius: 6px; }
+  nav details { margin-left: 10px; }
+  nav summary { cursor: pointer; color: #57606a; }
+  nav a { display: block; margin-left: 12px; color: #0969da; text-decoration: none; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+  main { flex: 1; min-width: 0; padding: 16px 24px; }
+  section { margin-bottom: 24px; }
+  h2 { font-size: 17px; border-bottom: 1px solid #d0d7de; padding-bottom: 4px; }
+  h3 { font-size: 15px; margin: 16px 0 6px; word-break: break-all; }
+  .counters { display: flex; flex-wrap: wrap; gap: 10px; }
+  .counter { min-width: 120px; padding: 10px 14px; background: #fff; border: 1px solid #d0d7de; border-radius: 8px; }
+  .counter b { display: block; font-size: 22px; }
+  .counter span { font-size: 12px; color: #57606a; }
+  table { width: 100%; border-collapse: collapse; background: #fff; }
+  th, td { padding: 4px 8px; border: 1px solid #d0d7de; text-align: left; vertical-align: top; word-break: break-all; }
+  .status { font-weight: 600; text-transform: uppercase; font-size: 11px; }
+  .added { color: #1a7f37; } .removed { color: #cf222e; } .changed { color: #9a6700; }
+  .class-block { margin-bottom: 16px; padding: 8px 12px; background: #fff; border: 1px solid #d0d7de; border-radius: 8px; }
+  .method { margin: 8px 0 4px; font-family: ui-monospace, Menlo, Consolas, monospace; font-size: 12px; }
+  table.sbs { table-layout: fixed; font-family: ui-monospace, Menlo, Consolas, monospace; font-size: 12px; }
+  table.sbs td { border: none; border-right: 1px solid #d0d7de; white-space: pre-wrap; padding: 1px 6px; }
+  table.sbs td.num { width: 44px; color: #8c959f; text-align: right; user-select: none; }
+  td.del { background: #ffebe9; } td.ins { background: #dafbe1; } td.empty { background: #f6f8fa; }
+  .hidden { display: none; }
+`;
+
+// Filters the sidebar tree as the user types
+const SCRIPT = `
+  document.getElementById('filter').addEventListener('input', function (event) {
+    var term = event.target.value.toLowerCase();
+    document.querySelectorAll('nav a').forEach(function (link) {
+      link.classList.toggle('hidden', term !== '' && link.textContent.toLowerCase().indexOf(term) === -1);
+    });
+    document.querySelectorAll('nav details').forEach(function (node) {
+      if (term !== '') node.open = true;
+    });
+  });
+`;
+
+// ============================================================================
+// CLASS: DiffHTMLReport
+// ============================================================================
+// Renders diff-analysis-report.json as one static, self-contained HTML page.
+class DiffHTMLReport {
+  constructor(diffReport, meta = {}) {
+    this.report = diffReport;
+    this.meta = meta;
+    this.anchors = new Map();
+  }
+
+  static escape(value) {
+    return String(value === null || value === undefined ? '' : value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  // Stable id for a file path in the page
+  anchor(key) {
+    if (!this.anchors.has(key)) {
+      this.anchors.set(key, `f${this.anchors.size + 1}`);
+    }
+    return this.anchors.get(key);
+  }
+
+  status(status) {
+    return `<span class="status ${status}">${status}</span>`;
+  }
+
+  renderCounters() {
+    const s = this.report.summary || {};
+    const counters = [
+      ['Files analyzed', s.files_analyzed],
+      ['Files changed', s.files_changed],
+      ['Classes +/-/~', `${s.classes_added || 0} / ${s.classes_removed || 0} / ${s.classes_changed || 0}`],
+      ['Methods +/-/~', `${s.methods_added || 0} / ${s.methods_removed || 0} / ${s.methods_changed || 0}`],
+      ['Fields +/-/~', `${s.fields_added || 0} / ${s.fields_removed || 0} / ${s.fields_changed || 0}`],
+      ['Manifest changes', this.report.manifest_changes.length],
+      ['Values changed', s.values_changed || 0],
+      ['Resource files', s.resource_files_changed || 0],
+      ['Assets', s.assets_changed || 0],
+      ['Native libs', s.native_libs_changed || 0]
+    ];
+
+    return '<section><h2>Summary</h2><div class="counters">' +
+      counters.map(([label, value]) =>
+        `<div class="counter"><b>${DiffHTMLReport.escape(value === undefined ? 0 : value)}</b><span>${label}</span></div>`
+      ).join('') +
+      '</div></section>';
+  }
+
+  // Nested <details> tree built from "a/b/c" paths
+  renderTree() {
+    const root = {};
+    const add = (filePath, key) => {
+      const parts = filePath.split('/');
+      let node = root;
+      for (const part of parts.slice(0, -1)) {
+        node[part] = node[part] || {};
+        node = node[part];
+      }
+      node[`\u0000${parts[parts.length - 1]}`] = key;
+    };
+
+    for (const change of this.report.smali_changes) add(`smali/${change.file}`, `smali:${change.file}`);
+    for (const change of this.report.resource_changes.files) add(`res/${change.path}`, 'resource-files');
+    for (const change of this.report.asset_changes) add(`assets/${change.path}`, 'assets');
+    for (const change of this.report.native_lib_changes) add(`lib/${change.path}`, 'native-libs');
+
+    const render = (node) => Object.keys(node).sort().map(name => {
+      if (name.startsWith('\u0000')) {
+        return `<a href="#${this.anchor(node[name])}">${DiffHTMLReport.escape(name.slice(1))}</a>`;
+      }
+      return `<details open><summary>${DiffHTMLReport.escape(name)}</summary>${render(node[name])}</details>`;
+    }).join('');
+
+    return '<nav><input id="filter" type="search" placeholder="Filter files...">' +
+      `<a href="#${this.anchor('manifest')}">AndroidManifest.xml</a>` + render(root) + '</nav>';
+  }
+
+  renderManifest() {
+    const rows = this.report.manifest_changes.map(change => {
+      let lines;
+      if (change.type === 'field_changed') {
+        lines = [`${change.field}: ${change.original} → ${change.modified}`];
+      } else if (change.permissions) {
+        lines = change.permissions;
+      } else {
+        lines = [...change.added.map(x => `+ ${x}`), ...change.removed.map(x => `- ${x}`)];
+      }
+      const detail = lines.map(line => DiffHTMLReport.escape(line)).join('<br>');
+      return `<tr><td>${DiffHTMLReport.escape(change.type)}</td><td>${detail}</td></tr>`;
+    });
+
+    return `<section id="${this.anchor('manifest')}"><h2>Manifest</h2>` +
+      (rows.length ? `<table><tr><th>Change</th><th>Detail</th></tr>${rows.join('')}</table>` : '<p>No manifest changes.</p>') +
+      '</section>';
+  }
+
+  // Two-column diff table: original on the left, modified on the right
+  renderSideBySide(origLines, modLines) {
+    const escape = DiffHTMLReport.escape;
+    const rows = [];
+    const script = TextDiff.diffLines(origLines, modLines);
+
+    for (let i = 0; i < script.length; i++) {
+      const entry = script[i];
+      if (entry.op === ' ') {
+        rows.push(`<tr><td class="num">${entry.oldIndex + 1}</td><td>${escape(entry.line)}</td>` +
+          `<td class="num">${entry.newIndex + 1}</td><td>${escape(entry.line)}</td></tr>`);
+        continue;
+      }
+
+      // Pair a run of deletions with the following run of insertions
+      const deleted = [];
+      const inserted = [];
+      while (i < script.length && script[i].op === '-') deleted.push(script[i++]);
+      while (i < script.length && script[i].op === '+') inserted.push(script[i++]);
+      i--;
+
+      for (let j = 0; j < Math.max(deleted.length, inserted.length); j++) {
+        const del = deleted[j];
+        const ins = inserted[j];
+        rows.push('<tr>' +
+          (del ? `<td class="num">${del.oldIndex + 1}</td><td class="del">${escape(del.line)}</td>` : '<td class="num"></td><td class="empty"></td>') +
+          (ins ? `<td class="num">${ins.newIndex + 1}</td><td class="ins">${escape(ins.line)}</td>` : '<td class="num"></td><td class="empty"></td>') +
+          '</tr>');
+      }
+    }
+
+    return `<table class="sbs"><colgroup><col style="width:44px"><col><col style="width:44px"><col></colgroup>${rows.join('')}</table>`;
+  }
+
+  renderSmali() {
+    const escape = DiffHTMLReport.escape;
+    const blocks = this.report.smali_changes.map(change => {
+      const parts = [`<div class="class-block" id="${this.anchor(`smali:${change.file}`)}">`,
+        `<h3>${this.status(change.status)} ${escape(change.class || change.file)}</h3>`,
+        `<div>${escape(change.file)}</div>`];
+
+      if (change.parseError) {
+        parts.push(`<div class="method">Not parsed: ${escape(change.parseError)}</div>`);
+      }
+      for (const [key, value] of Object.entries(change.header || {})) {
+        parts.push(`<div class="method">${escape(key)}: ${escape(JSON.stringify(value.original))} → ${escape(JSON.stringify(value.modified))}</div>`);
+      }
+      // Reports written before unparsed files carried empty lists may lack fields/methods
+      const lists = kind => ({ added: [], removed: [], changed: [], ...change[kind] });
+      const fields = lists('fields');
+      const methods = lists('methods');
+      for (const { added, removed } of [fields, methods]) {
+        for (const key of added) parts.push(`<div class="method added">+ ${escape(key)}</div>`);
+        for (const key of removed) parts.push(`<div class="method removed">- ${escape(key)}</div>`);
+      }
+      for (const field of fields.changed) {
+        parts.push(`<div class="method changed">~ ${escape(field.field)}: ${escape(JSON.stringify(field.original))} → ${escape(JSON.stringify(field.modified))}</div>`);
+      }
+      for (const method of methods.changed) {
+        parts.push(`<div class="method changed">~ ${escape(method.method)}</div>`);
+        parts.push(this.renderSideBySide(method.original_lines, method.modified_lines));
+      }
+
+      parts.push('</div>');
+      return parts.join('');
+    });
+
+    return `<section><h2>Smali</h2>${blocks.join('') || '<p>No smali changes.</p>'}</section>`;
+  }
+
+  renderFileTable(title, id, changes, pathPrefix) {
+    const escape = DiffHTMLReport.escape;
+    const rows = changes.map(change =>
+      `<tr><td>${this.status(change.status)}</td><td>${escape(pathPrefix + change.path)}</td>` +
+      `<td>${escape(change.original_size)}</td><td>${escape(change.modified_size)}</td>` +
+      `<td>${escape((change.modified_sha256 || change.original_sha256 || '').slice(0, 16))}</td></tr>`
+    );
+
+    return `<section id="${this.anchor(id)}"><h2>${title}</h2>` +
+      (rows.length
+        ? `<table><tr><th>Status</th><th>Path</th><th>Original size</th><th>Modified size</th><th>SHA-256</th></tr>${rows.join('')}</table>`
+        : '<p>No changes.</p>') +
+      '</section>';
+  }
+
+  renderValues() {
+    const escape = DiffHTMLReport.escape;
+    const rows = this.report.resource_changes.values.map(change =>
+      `<tr><td>${this.status(change.status)}</td><td>${escape(change.qualifier)}</td><td>${escape(change.type)}</td>` +
+      `<td>${escape(change.name)}</td><td>${escape(change.original)}</td><td>${escape(change.modified)}</td></tr>`
+    );
+
+    return `<section id="${this.anchor('resources')}"><h2>Resource values</h2>` +
+      (rows.length
+        ? `<table><tr><th>Status</th><th>Folder</th><th>Type</th><th>Name</th><th>Original</th><th>Modified</th></tr>${rows.join('')}</table>`
+        : '<p>No value changes.</p>') +
+      '</section>';
+  }
+
+  render() {
+    const escape = DiffHTMLReport.escape;
+    const title = 'APK Differential Analysis';
+    const nav = this.renderTree();
+
+    const body = [
+      this.renderCounters(),
+      this.renderManifest(),
+      this.renderSmali(),
+      this.renderValues(),
+      this.renderFileTable('Resource files', 'resource-files', this.report.resource_changes.files, 'res/'),
+      this.renderFileTable('Assets', 'assets', this.report.asset_changes, 'assets/'),
+      this.renderFileTable('Native libraries', 'native-libs', this.report.native_lib_changes, 'lib/')
+    ].join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${title}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<header>
+  <h1>${title}</h1>
+  <div class="meta">Original: ${escape(this.meta.originalApk)} &nbsp;·&nbsp; Modified: ${escape(this.meta.modifiedApk)} &nbsp;·&nbsp; Generated: ${escape(this.meta.generatedAt || new Date().toISOString())}</div>
+</header>
+<div class="layout">
+${nav}
+<main>
+${body}
+</main>
+</div>
+<script>${SCRIPT}</script>
+</body>
+</html>
+`;
+  }
+
+  static write(diffReport, outputPath, meta = {}) {
+    fs.writeFileSync(outputPath, new DiffHTMLReport(diffReport, meta).render());
+    return outputPath;
+  }
+}
+
+module.exports = DiffHTMLReport;
@@ -0,0 +1,282 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execSync } = require('child_process');
+const AndroidBuildTools = require('./android-build-tools');
+const JobWorkspace = require('./job-workspace');
+const ProcessRunner = require('./process-runner');
+const ToolManager = require('./tool-manager');
+
+// Set (e.g. by batch for its workers) to skip the check before a workflow run
+const SKIP_ENV = 'APK_EDITOR_SKIP_DOCTOR';
+
+// apktool is started with -Xmx2048m (decompile) and needs Java 8+
+const JAVA_HEAP_MB = 2048;
+const MIN_JAVA_VERSION = 8;
+// Decompiled tree, its cache copy and the unsigned / aligned / signed APKs, relative to the input
+const DISK_FACTOR = 8;
+const MIN_FREE_BYTES = 512 * 1024 * 1024;
+
+const JDK_FIX = 'Install a full JDK, not just a JRE (e.g. apt install openjdk-17-jdk-headless)';
+const BUILD_TOOLS_FIX = 'node index.js tools install build-tools --tool-mirror <dir>, or install Android SDK build-tools';
+
+// info: missing but not needed (never printed as a problem)
+const STATUS = { OK: 'ok', INFO: 'info', WARN: 'warn', FAIL: 'fail' };
+const MARKS = { ok: '✅', info: 'ℹ️ ', warn: '⚠️ ', fail: '❌' };
+
+// ============================================================================
+// CLASS: EnvironmentDoctor
+// ============================================================================
+// Checks everything a pipeline run needs before it starts: Java and its heap,
+// the JDK and build-tools binaries used for signing, the managed tools, a
+// writable work/output directory and enough free disk for the input APK.
+// Every check is { name, status, detail, fix }; only "fail" blocks a run.
+class EnvironmentDoctor {
+  constructor(options = {}) {
+    this.apkPath = options.apkPath || null;
+    this.apkDir = options.apkDir || 'apk';
+    this.workRoot = options.workRoot || process.env[JobWorkspace.WORK_ROOT_ENV] || JobWorkspace.DEFAULT_WORK_ROOT;
+    this.outputDir = options.outputDir || JobWorkspace.DEFAULT_OUTPUT_DIR;
+    this.keystore = options.keystore || null;
+    this.checks = [];
+  }
+
+  static skipped() {
+    return Boolean(process.env[SKIP_ENV]);
+  }
+
+  // Absolute path of a command on PATH, or null
+  static onPath(name) {
+    try {
+      return execSync(`command -v ${name}`, { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim() || null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  add(name, status, detail, fix = null) {
+    this.checks.push({ name, status, detail, fix });
+  }
+
+  get ok() {
+    return !this.checks.some(check => check.status === STATUS.FAIL);
+  }
+
+  async run() {
+    this.checks = [];
+    await this.checkJava();
+    this.checkKeytool();
+    this.checkSigning();
+    this.checkBuildTool('zipalign', 'ZIPALIGN', STATUS.FAIL, 'aligns every built APK');
+    this.checkBuildTool('aapt2', null, STATUS.INFO, 'optional, apktool uses its bundled aapt2');
+    this.checkManagedTools();
+    this.checkWritable('work dir', this.workRoot, 'Use another directory with --work-root or APK_EDITOR_WORK_ROOT');
+    this.checkWritable('output dir', this.outputDir, 'Use another directory with --output-dir or outputDir in the job file');
+    this.checkDisk();
+    return this.checks;
+  }
+
+  async checkJava() {
+    const java = EnvironmentDoctor.onPath('java');
+    if (!java) {
+      this.add('java', STATUS.FAIL, 'not found on PATH', `${JDK_FIX}, or add $JAVA_HOME/bin to PATH`);
+      return;
+    }
+
+    try {
+      const result = await ProcessRunner.run('java', ['-version'], { label: 'java -version', echo: false, capture: true, timeout: 60000 });
+      const text = result.stderr + result.stdout;
+      const match = text.match(/version "(\d+)(?:\.(\d+))?[^"]*"/);
+      const version = match ? (match[1] === '1' ? parseInt(match[2], 10) : parseInt(match[1], 10)) : null;
+      const line = text.split('\n').find(l => l.includes('version')) || text.split('\n')[0];
+      if (version !== null && version < MIN_JAVA_VERSION) {
+        this.add('java', STATUS.FAIL, `${line.trim()} (apktool needs Java ${MIN_JAVA_VERSION}+)`, JDK_FIX);
+        return;
+      }
+      this.add('java', STATUS.OK, `${line.trim()} (${java})`);
+    } catch (error) {
+      if (ProcessRunner.isCancelled(error)) throw error;
+      this.add('java', STATUS.FAIL, error.message, JDK_FIX);
+      return;
+    }
+
+    // The JVM refuses to start when it cannot reserve the heap apktool is given
+    const totalMB = Math.round(os.totalmem() / 1024 / 1024);
+    try {
+      await ProcessRunner.run('java', [`-Xmx${JAVA_HEAP_MB}m`, '-version'], { label: 'java heap check', echo: false, timeout: 60000 });
+      if (totalMB < JAVA_HEAP_MB * 1.25) {
+        this.add('java heap', STATUS.WARN, `-Xmx${JAVA_HEAP_MB}m accepted, but only ${totalMB} MB RAM`,
+          'Large APKs may be killed for running out of memory; close other programs or add swap');
+      } else {
+        this.add('java heap', STATUS.OK, `-Xmx${JAVA_HEAP_MB}m (${totalMB} MB RAM)`);
+      }
+    } catch (error) {
+      if (ProcessRunner.isCancelled(error)) throw error;
+      this.add('java heap', STATUS.FAIL, `cannot reserve a ${JAVA_HEAP_MB} MB heap: ${error.message}`,
+        'Use a 64-bit JVM and free memory (apktool runs with -Xmx2048m)');
+    }
+  }
+
+  // A JDK tool on PATH; one that only exists in $JAVA_HOME/bin is not found by the pipeline either
+  jdkTool(name) {
+    const found = EnvironmentDoctor.onPath(name);
+    if (found) return { path: found, fix: null };
+
+    const javaHome = process.env.JAVA_HOME;
+    if (javaHome && fs.existsSync(path.join(javaHome, 'bin', name))) {
+      return { path: null, fix: `Found in ${path.join(javaHome, 'bin')} but not on PATH: export PATH="$JAVA_HOME/bin:$PATH"` };
+    }
+    return { path: null, fix: JDK_FIX };
+  }
+
+  // Only needed to generate a keystore
+  checkKeytool() {
+    const keytool = this.jdkTool('keytool');
+    if (keytool.path) {
+      this.add('keytool', STATUS.OK, keytool.path);
+      return;
+    }
+
+    const mustGenerate = this.keystore && this.keystore.generate && !fs.existsSync(this.keystore.path);
+    this.add('keytool', mustGenerate ? STATUS.FAIL : STATUS.WARN,
+      mustGenerate ? `not found, but ${this.keystore.path} has to be generated` : 'not found (needed to generate a keystore)',
+      keytool.fix);
+  }
+
+  // apksigner signs v1-v4; without it jarsigner is the (v1 only) fallback, and one of them must exist
+  checkSigning() {
+    const apksigner = AndroidBuildTools.find('apksigner', 'APKSIGNER');
+    const jarsigner = this.jdkTool('jarsigner');
+
+    if (apksigner) {
+      this.add('apksigner', STATUS.OK, apksigner);
+    } else {
+      this.add('apksigner', jarsigner.path ? STATUS.WARN : STATUS.FAIL,
+        'not found: only v1 signatures via jarsigner, apps targeting SDK 30+ cannot be signed',
+        `${BUILD_TOOLS_FIX}, or set APKSIGNER`);
+    }
+
+    if (jarsigner.path) {
+      this.add('jarsigner', STATUS.OK, jarsigner.path);
+    } else {
+      this.add('jarsigner', apksigner ? STATUS.INFO : STATUS.FAIL,
+        apksigner ? 'not found (not needed, apksigner signs)' : 'not found, and no apksigner either: nothing can sign the APK',
+        apksigner ? null : jarsigner.fix);
+    }
+  }
+
+  checkBuildTool(name, envVar, missingStatus, purpose) {
+    const found = AndroidBuildTools.find(name, envVar);
+    if (found) {
+      this.add(name, STATUS.OK, found);
+    } else {
+      const fix = missingStatus === STATUS.INFO ? null : `${BUILD_TOOLS_FIX}${envVar ? `, or set ${envVar}` : ''}`;
+      this.add(name, missingStatus, `not found (${purpose})`, fix);
+    }
+  }
+
+  // apktool / jadx are installed at tool setup, so a missing one is only a warning here
+  checkManagedTools() {
+    const tools = ToolManager.shared();
+    for (const name of ['apktool', 'jadx']) {
+      const meta = tools.meta(name);
+      if (meta) {
+        this.add(name, STATUS.OK, `${meta.version}${meta.verified ? '' : ' (unverified)'} (${tools.installDir(name)})`);
+      } else {
+        this.add(name, STATUS.WARN, `${tools.versions[name]} not installed yet (installed at tool setup)`,
+          `node index.js tools install ${name} --tool-mirror <dir> (see "Manajemen Tool" in replit.md)`);
+      }
+    }
+  }
+
+  checkWritable(name, dir, fix) {
+    const probe = path.join(dir, `.doctor-${process.pid}`);
+    try {
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(probe, '');
+      fs.unlinkSync(probe);
+      this.add(name, STATUS.OK, `${path.resolve(dir)} is writable`);
+    } catch (error) {
+      this.add(name, STATUS.FAIL, `${path.resolve(dir)} is not writable (${error.code || error.message})`, fix);
+    }
+  }
+
+  // The given input, else the largest APK/bundle in apk/ (the one selected later is not known yet)
+  inputSize() {
+    if (this.apkPath && fs.existsSync(this.apkPath)) {
+      return { file: this.apkPath, size: fs.statSync(this.apkPath).size };
+    }
+    if (!fs.existsSync(this.apkDir)) return null;
+
+    return fs.readdirSync(this.apkDir)
+      .map(name => path.join(this.apkDir, name))
+      .filter(file => fs.statSync(file).isFile())
+      .map(file => ({ file, size: fs.statSync(file).size }))
+      .sort((a, b) => b.size - a.size)[0] || null;
+  }
+
+  checkDisk() {
+    const free = EnvironmentDoctor.freeBytes(fs.existsSync(this.workRoot) ? this.workRoot : '.');
+    if (free === null) {
+      this.add('disk space', STATUS.WARN, 'free space could not be determined');
+      return;
+    }
+
+    const input = this.inputSize();
+    const forInput = input ? input.size * DISK_FACTOR : 0;
+    const needed = Math.max(MIN_FREE_BYTES, forInput);
+    const gb = bytes => `${(bytes / 1024 / 1024 / 1024).toFixed(1)} GB`;
+    const detail = `${gb(free)} free, ~${gb(needed)} needed` +
+      (forInput > MIN_FREE_BYTES ? ` for ${path.basename(input.file)} (${DISK_FACTOR}x its size)` : ' (minimum)');
+
+    if (free < needed) {
+      this.add('disk space', STATUS.FAIL, detail,
+        'Free space (node index.js cache prune, remove old work/<job id>/ dirs) or use another --work-root');
+    } else {
+      this.add('disk space', STATUS.OK, detail);
+    }
+  }
+
+  // Free bytes on the filesystem holding dir (df on Node versions without statfs)
+  static freeBytes(dir) {
+    try {
+      if (fs.statfsSync) {
+        const stats = fs.statfsSync(dir);
+        return stats.bavail * stats.bsize;
+      }
+      const output = execSync(`df -Pk "${dir}"`, { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] });
+      return parseInt(output.trim().split('\n').pop().split(/\s+/)[3], 10) * 1024;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // problemsOnly: print warnings and failures, plus a one-line verdict
+  print({ problemsOnly = false } = {}) {
+    const problems = [STATUS.WARN, STATUS.FAIL];
+    const shown = problemsOnly ? this.checks.filter(check => problems.includes(check.status)) : this.checks;
+    const width = Math.max(...this.checks.map(check => check.name.length));
+
+    console.log('🩺 Environment check');
+    for (const check of shown) {
+      console.log(`   ${MARKS[check.status]} ${check.name.padEnd(width)}  ${check.detail}`);
+      if (check.fix) console.log(`      💡 ${check.fix}`);
+    }
+
+    const failed = this.checks.filter(check => check.status === STATUS.FAIL).length;
+    const warned = this.checks.filter(check => check.status === STATUS.WARN).length;
+    if (failed > 0) {
+      console.log(`❌ ${failed} problem(s) must be fixed first${warned ? `, ${warned} warning(s)` : ''}\n`);
+    } else {
+      console.log(`✅ Environment OK${warned ? ` (${warned} warning(s))` : ''}\n`);
+    }
+  }
+
+  toJSON() {
+    return { ok: this.ok, checks: this.checks };
+  }
+}
+
+module.exports = EnvironmentDoctor;
+module.exports.SKIP_ENV = SKIP_ENV;
+module.exports.STATUS = STATUS;
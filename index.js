@@ -3,40 +3,57 @@ const fs = require('fs');
 const path = require('path');
 const { execSync } = require('child_process');
 const readline = require('readline');
+const JobConfig = require('./job-config');
+const AndroidManifest = require('./manifest-parser');
+const AttackSurface = require('./attack-surface');
+const SmaliDirs = require('./smali-dirs');
+const SmaliParser = require('./smali-parser');
+const APKSigner = require('./apk-signer');
+const Keystore = require('./keystore');
+const PostBuild = require('./post-build');
+const ZipReader = require('./zip-reader');
+const ResourceTable = require('./arsc-decoder');
+const SplitMerger = require('./split-merger');
+const BundleContainer = require('./bundle-container');
+const JobWorkspace = require('./job-workspace');
+const DecompileCache = require('./decompile-cache');
+const ProcessRunner = require('./process-runner');
+const ToolManager = require('./tool-manager');
+const AndroidBuildTools = require('./android-build-tools');
+const EnvironmentDoctor = require('./environment-doctor');
+const JavaSources = require('./java-sources');
+const CodeIndex = require('./code-index');
+const CallGraph = require('./call-graph');
 
 // ============================================================================
 // CLASS: ToolBuilder
 // ============================================================================
 class ToolBuilder {
+  // apktool and jadx are required; managed build-tools are only installed from a mirror or bundle
   static async setupTools() {
     console.log('📦 Preparing APK tools...\n');
+    const tools = ToolManager.shared();
 
     try {
-      // Check if tools already exist
-      if (fs.existsSync('apktool.jar') && fs.existsSync('jadx/bin/jadx')) {
-        console.log('✅ Tools already installed\n');
-        return true;
-      }
-
-      // Download apktool
-      if (!fs.existsSync('apktool.jar')) {
-        console.log('⬇️  Downloading apktool...');
-        execSync('wget -q https://bitbucket.org/iBotPeaches/apktool/downloads/apktool_2.9.1.jar -O apktool.jar');
-        console.log('✅ apktool downloaded');
+      for (const name of ['apktool', 'jadx']) {
+        const meta = await tools.ensure(name);
+        console.log(`✅ ${name} ${meta.version} (${tools.installDir(name)})`);
       }
 
-      // Download and setup jadx
-      if (!fs.existsSync('jadx/bin/jadx')) {
-        console.log('⬇️  Downloading jadx...');
-        execSync('wget -q https://github.com/skylot/jadx/releases/download/v1.4.7/jadx-1.4.7.zip');
-        execSync('unzip -q jadx-1.4.7.zip -d jadx');
-        execSync('chmod +x jadx/bin/jadx');
-        console.log('✅ jadx downloaded and extracted');
+      if (tools.mirror || tools.bundle) {
+        try {
+          const meta = await tools.ensure('build-tools', { online: false });
+          console.log(`✅ build-tools ${meta.version} (${tools.installDir('build-tools')})`);
+        } catch (error) {
+          if (ProcessRunner.isCancelled(error)) throw error;
+          console.log(`ℹ️  Using system build-tools: ${error.message}`);
+        }
       }
 
       console.log('\n✅ All tools ready!\n');
       return true;
     } catch (error) {
+      if (ProcessRunner.isCancelled(error)) throw error;
       console.error('❌ Tool setup failed:', error.message);
       return false;
     }
@@ -47,11 +64,11 @@ class ToolBuilder {
 // CLASS: APKSelector
 // ============================================================================
 class APKSelector {
-  constructor() {
-    this.apkDir = 'apk';
+  constructor(apkDir = 'apk') {
+    this.apkDir = apkDir;
   }
 
-  // Get all APK files
+  // Get all APKs and bundles (.apks/.xapk/.apkm); loose split APKs are listed under their base
   getAvailableAPKs() {
     if (!fs.existsSync(this.apkDir)) {
       console.log(`⚠️  Directory not found: ${this.apkDir}`);
@@ -59,12 +76,49 @@ class APKSelector {
     }
 
     const files = fs.readdirSync(this.apkDir);
-    return files.filter(file => file.toLowerCase().endsWith('.apk'))
-      .map(file => ({
-        name: file,
-        path: path.join(this.apkDir, file),
-        size: fs.statSync(path.join(this.apkDir, file)).size
-      }));
+    const entry = (file) => ({
+      name: file,
+      path: path.join(this.apkDir, file),
+      size: fs.statSync(path.join(this.apkDir, file)).size
+    });
+
+    const apks = files.filter(file => file.toLowerCase().endsWith('.apk')).map(entry);
+    const described = apks.map(apk => {
+      try {
+        return SplitMerger.describe(apk.path);
+      } catch (e) {
+        return null;
+      }
+    });
+
+    const basePackages = new Set(described.filter(info => info && !info.split).map(info => info.packageName));
+    const listed = [];
+    apks.forEach((apk, index) => {
+      const info = described[index];
+      if (info && info.split && basePackages.has(info.packageName)) return;
+
+      if (info && !info.split) {
+        apk.splits = apks.filter((other, i) =>
+          described[i] && described[i].split && described[i].packageName === info.packageName).map(other => other.name);
+      }
+      listed.push(apk);
+    });
+
+    const bundles = files.filter(file => BundleContainer.isContainer(file)).map(file => ({
+      ...entry(file),
+      format: BundleContainer.formatOf(file)
+    }));
+
+    return [...listed, ...bundles];
+  }
+
+  // Bundles resolve to the base APK of their extraction; plain APKs pass through
+  static openInput(inputPath) {
+    if (!BundleContainer.isContainer(inputPath)) {
+      return { path: inputPath, bundle: null };
+    }
+    const container = BundleContainer.open(inputPath);
+    return { path: container.base, bundle: container.toJSON() };
   }
 
   // Format file size
@@ -81,6 +135,46 @@ class APKSelector {
     return `${size.toFixed(2)} ${units[unitIndex]}`;
   }
 
+  // Package/version/SDK read straight from the APK (no decompile); null if unreadable
+  readAPKInfo(apkPath) {
+    let zip;
+    try {
+      zip = ZipReader.open(apkPath);
+      const manifest = AndroidManifest.fromAPK(apkPath);
+      return {
+        packageName: manifest.package,
+        versionName: manifest.versionName,
+        versionCode: manifest.versionCode,
+        minSdk: manifest.minSdk,
+        targetSdk: manifest.targetSdk,
+        dexCount: zip.dexFiles().length
+      };
+    } catch (e) {
+      return null;
+    } finally {
+      if (zip) zip.close();
+    }
+  }
+
+  // Same fields as readAPKInfo, from a bundle's metadata (extracts it if needed)
+  readBundleInfo(containerPath) {
+    try {
+      const bundle = BundleContainer.open(containerPath).toJSON();
+      return {
+        packageName: bundle.packageName,
+        versionName: bundle.versionName,
+        versionCode: bundle.versionCode,
+        minSdk: bundle.minSdk,
+        targetSdk: bundle.targetSdk,
+        appName: bundle.appName,
+        splits: bundle.splits.length,
+        obb: bundle.obb.length
+      };
+    } catch (e) {
+      return null;
+    }
+  }
+
   // Display available APKs
   displayAPKs() {
     const apks = this.getAvailableAPKs();
@@ -92,7 +186,24 @@ class APKSelector {
 
     console.log('\n📦 Available APK files:\n');
     apks.forEach((apk, index) => {
-      console.log(`${index + 1}. ${apk.name}`);
+      if (apk.format) {
+        apk.info = this.readBundleInfo(apk.path);
+        console.log(`${index + 1}. ${apk.name} [${apk.format.toUpperCase()} bundle]`);
+      } else {
+        apk.info = this.readAPKInfo(apk.path);
+        console.log(`${index + 1}. ${apk.name}${apk.splits && apk.splits.length ? ` [+${apk.splits.length} splits]` : ''}`);
+      }
+
+      if (apk.info) {
+        const { packageName, versionName, versionCode, minSdk, targetSdk } = apk.info;
+        console.log(`   📱 ${apk.info.appName ? `${apk.info.appName} - ` : ''}${packageName} v${versionName || '?'} (${versionCode || '?'})`);
+        const contents = apk.format
+          ? `splits: ${apk.info.splits}${apk.info.obb ? `, OBB: ${apk.info.obb}` : ''}`
+          : `dex: ${apk.info.dexCount}`;
+        console.log(`   🎯 SDK: min ${minSdk || '?'}, target ${targetSdk || '?'} | ${contents}`);
+      } else {
+        console.log(`   ⚠️  Could not read ${apk.format ? 'bundle' : 'manifest (not a valid APK?)'}`);
+      }
       console.log(`   📊 Size: ${this.formatSize(apk.size)}`);
       console.log(`   📍 Path: ${apk.path}\n`);
     });
@@ -156,79 +267,136 @@ class APKSelector {
 // CLASS: APKAnalyzer
 // ============================================================================
 class APKAnalyzer {
-  constructor(apkPath) {
+  constructor(apkPath, outputDir = 'decompiled', cache = DecompileCache.fromEnv()) {
     this.apkPath = apkPath;
-    this.outputDir = 'decompiled';
+    this.outputDir = outputDir;
+    this.cache = cache;
+    this.manifest = null;
+    this.codeIndex = null;
     this.analysis = {
       packageName: null,
       appName: null,
       version: null,
+      minSdk: null,
+      targetSdk: null,
       permissions: [],
+      declaredPermissions: [],
       activities: [],
       services: [],
+      receivers: [],
+      providers: [],
+      manifest: null,
+      attackSurface: null,
+      smaliCoverage: null,
+      resources: null,
+      bundle: null,
       vipPatterns: [],
       episodePatterns: [],
       loginPatterns: [],
       vpnBlockPatterns: [],
-      stringResources: {}
+      stringResources: {},
+      codeIndex: null,
+      callGraph: null,
+      javaSources: null,
+      tools: null
     };
   }
 
-  // Parse AndroidManifest.xml
-  analyzeManifest() {
+  // Parse AndroidManifest.xml (from the decompiled dir, or the binary one inside the APK)
+  analyzeManifest(fromAPK = false) {
     console.log('\n📋 Analyzing AndroidManifest.xml...');
 
-    const manifestPath = path.join(this.outputDir, 'AndroidManifest.xml');
+    const manifestPath = fromAPK ? this.apkPath : path.join(this.outputDir, 'AndroidManifest.xml');
 
-    if (!fs.existsSync(manifestPath)) {
+    if (!manifestPath || !fs.existsSync(manifestPath)) {
       console.log('⚠️  AndroidManifest.xml not found');
       return;
     }
 
     try {
-      const content = fs.readFileSync(manifestPath, 'utf8');
+      const manifest = fromAPK ? AndroidManifest.fromAPK(this.apkPath) : AndroidManifest.fromDecompiledDir(this.outputDir);
+      this.manifest = manifest;
+      this.analysis.manifest = manifest.toJSON();
 
-      // Extract package name
-      const pkgMatch = content.match(/package="([^"]+)"/);
-      if (pkgMatch) {
-        this.analysis.packageName = pkgMatch[1];
-        console.log(`✅ Package: ${this.analysis.packageName}`);
+      this.analysis.packageName = manifest.package;
+      if (manifest.package) {
+        console.log(`✅ Package: ${manifest.package}`);
       }
 
-      // Extract version
-      const verMatch = content.match(/android:versionName="([^"]+)"/);
-      if (verMatch) {
-        this.analysis.version = verMatch[1];
-        console.log(`✅ Version: ${this.analysis.version}`);
+      this.analysis.version = manifest.versionName;
+      if (manifest.versionName) {
+        console.log(`✅ Version: ${manifest.versionName}`);
       }
 
-      // Extract permissions
-      const permMatches = content.matchAll(/android:name="([^"]+)"/g);
-      for (const match of permMatches) {
-        if (match[1].startsWith('android.permission.')) {
-          this.analysis.permissions.push(match[1]);
-        }
-      }
-      console.log(`✅ Found ${this.analysis.permissions.length} permissions`);
+      this.analysis.minSdk = manifest.minSdk;
+      this.analysis.targetSdk = manifest.targetSdk;
+      console.log(`✅ SDK: min ${manifest.minSdk || '?'}, target ${manifest.targetSdk || '?'}`);
 
-      // Extract activities
-      const activityMatches = content.matchAll(/<activity\s+android:name="([^"]+)"/g);
-      for (const match of activityMatches) {
-        this.analysis.activities.push(match[1]);
-      }
+      this.analysis.permissions = manifest.usesPermissions.map(p => p.name);
+      this.analysis.declaredPermissions = manifest.declaredPermissions.map(p => p.name);
+      console.log(`✅ Found ${this.analysis.permissions.length} permissions (${this.analysis.declaredPermissions.length} declared)`);
+
+      this.analysis.activities = manifest.activities.map(c => c.name);
       console.log(`✅ Found ${this.analysis.activities.length} activities`);
 
-      // Extract services
-      const serviceMatches = content.matchAll(/<service\s+android:name="([^"]+)"/g);
-      for (const match of serviceMatches) {
-        this.analysis.services.push(match[1]);
-      }
+      this.analysis.services = manifest.services.map(c => c.name);
       console.log(`✅ Found ${this.analysis.services.length} services`);
+
+      this.analysis.receivers = manifest.receivers.map(c => c.name);
+      this.analysis.providers = manifest.providers.map(c => c.name);
+      console.log(`✅ Found ${this.analysis.receivers.length} receivers, ${this.analysis.providers.length} providers`);
+
+      this.analysis.attackSurface = AttackSurface.fromManifest(manifest);
+      const surface = this.analysis.attackSurface.summary;
+      console.log(`✅ Exported components: ${surface.exported_activities + surface.exported_services + surface.exported_receivers + surface.exported_providers} (${surface.unprotected} unprotected)`);
     } catch (e) {
       console.log('⚠️  Error parsing manifest:', e.message);
     }
   }
 
+  // Decode resources.arsc (from the APK, or from a decompiled dir built with -r)
+  analyzeResourceTable() {
+    console.log('\n🗂️  Analyzing resources.arsc...');
+
+    let table;
+    try {
+      const rawArsc = path.join(this.outputDir, 'resources.arsc');
+      if (this.apkPath && fs.existsSync(this.apkPath)) {
+        table = ResourceTable.fromAPK(this.apkPath);
+      } else if (fs.existsSync(rawArsc)) {
+        table = ResourceTable.decode(fs.readFileSync(rawArsc));
+      }
+    } catch (e) {
+      console.log('⚠️  Error decoding resources.arsc:', e.message);
+      return;
+    }
+
+    if (!table) {
+      console.log('⚠️  resources.arsc not found');
+      return;
+    }
+
+    const stringsByLocale = table.stringsByLocale();
+    this.analysis.resources = {
+      ...table.summary(),
+      locales: Object.keys(stringsByLocale).filter(key => key !== 'default').sort(),
+      stringsByLocale
+    };
+
+    // android:label is usually a @string reference
+    const label = this.manifest && this.manifest.application ? this.manifest.application.label : null;
+    if (label) {
+      this.analysis.appName = label.startsWith('@') ? table.resolve(label) : label;
+    }
+
+    const configs = Object.keys(this.analysis.resources.configurations).length;
+    console.log(`✅ ${this.analysis.resources.totalEntries} resources in ${configs} configurations`);
+    console.log(`✅ Strings in ${this.analysis.resources.locales.length} locales besides default`);
+    if (this.analysis.appName) {
+      console.log(`✅ App name: ${this.analysis.appName}`);
+    }
+  }
+
   // Analyze strings.xml
   analyzeStrings() {
     console.log('\n📝 Analyzing strings.xml...');
@@ -272,9 +440,9 @@ class APKAnalyzer {
   analyzeSmaliPatterns() {
     console.log('\n🔍 Analyzing Smali code patterns...');
 
-    const smaliDir = path.join(this.outputDir, 'smali');
+    const dexDirs = SmaliDirs.list(this.outputDir);
 
-    if (!fs.existsSync(smaliDir)) {
+    if (dexDirs.length === 0) {
       console.log('⚠️  Smali directory not found');
       return;
     }
@@ -285,67 +453,74 @@ class APKAnalyzer {
       let episodeFound = 0;
       let loginFound = 0;
       let vpnFound = 0;
+      let methodCount = 0;
+      let fieldCount = 0;
+      let parseErrors = 0;
+      const perDex = {};
+      const index = new CodeIndex();
+      index.source = this.outputDir;
 
-      const walkDir = (dir) => {
-        try {
-          const files = fs.readdirSync(dir);
-
-          for (const file of files) {
-            try {
-              const fullPath = path.join(dir, file);
-              const stat = fs.statSync(fullPath);
+      SmaliDirs.walkFiles(this.outputDir, (fullPath, file, dexDir) => {
+        smaliCount++;
+        perDex[dexDir] = (perDex[dexDir] || 0) + 1;
 
-              if (stat.isDirectory()) {
-                walkDir(fullPath);
-              } else if (file.endsWith('.smali')) {
-                smaliCount++;
+        try {
+          const content = fs.readFileSync(fullPath, 'utf8');
 
-                try {
-                  const content = fs.readFileSync(fullPath, 'utf8');
+          try {
+            const smaliClass = SmaliParser.parse(content, fullPath);
+            methodCount += smaliClass.methods.length;
+            fieldCount += smaliClass.fields.length;
+            index.add(smaliClass, path.relative(this.outputDir, fullPath), dexDir);
+          } catch (e) {
+            parseErrors++;
+          }
 
-                  // Check for VIP patterns
-                  if (content.match(/isPremium|isVIP|hasPremium|vipCheck|premiumCheck/i)) {
-                    vipFound++;
-                  }
+          // Check for VIP patterns
+          if (content.match(/isPremium|isVIP|hasPremium|vipCheck|premiumCheck/i)) {
+            vipFound++;
+          }
 
-                  // Check for Episode patterns
-                  if (content.match(/unlock|episode|locked|isLocked/i) ||
-                      fullPath.includes('RequestApiLib') ||
-                      fullPath.includes('AlbumVM')) {
-                    episodeFound++;
-                    this.analysis.episodePatterns.push(fullPath);
-                  }
+          // Check for Episode patterns
+          if (content.match(/unlock|episode|locked|isLocked/i) ||
+              fullPath.includes('RequestApiLib') ||
+              fullPath.includes('AlbumVM')) {
+            episodeFound++;
+            this.analysis.episodePatterns.push(fullPath);
+          }
 
-                  // Check for Login patterns
-                  if (content.match(/isLoggedIn|checkLogin|requireLogin|auth|Auth|login/i) ||
-                      fullPath.includes('RequestApiLib') ||
-                      fullPath.includes('MainActivity') ||
-                      fullPath.includes('Authentication')) {
-                    loginFound++;
-                    this.analysis.loginPatterns.push(fullPath);
-                  }
+          // Check for Login patterns
+          if (content.match(/isLoggedIn|checkLogin|requireLogin|auth|Auth|login/i) ||
+              fullPath.includes('RequestApiLib') ||
+              fullPath.includes('MainActivity') ||
+              fullPath.includes('Authentication')) {
+            loginFound++;
+            this.analysis.loginPatterns.push(fullPath);
+          }
 
-                  // Check for VPN block patterns
-                  if (content.match(/VPN|vpn|proxy|Proxy|checkVPN|isVPN/i)) {
-                    vpnFound++;
-                    this.analysis.vpnBlockPatterns.push(fullPath);
-                  }
-                } catch (e) {
-                  // Skip if can't read
-                }
-              }
-            } catch (e) {
-              // Skip inaccessible files
-            }
+          // Check for VPN block patterns
+          if (content.match(/VPN|vpn|proxy|Proxy|checkVPN|isVPN/i)) {
+            vpnFound++;
+            this.analysis.vpnBlockPatterns.push(fullPath);
           }
         } catch (e) {
-          // Skip inaccessible dirs
+          // Skip if can't read
         }
-      };
+      });
 
-      walkDir(smaliDir);
+      this.analysis.smaliCoverage = {
+        dexDirectories: dexDirs.length,
+        classes: smaliCount,
+        methods: methodCount,
+        fields: fieldCount,
+        parseErrors,
+        perDex
+      };
+      index.parseErrors = parseErrors;
+      this.codeIndex = index;
 
-      console.log(`✅ Scanned ${smaliCount} Smali files`);
+      console.log(`✅ Scanned ${smaliCount} Smali files across ${dexDirs.length} dex directories (${dexDirs.join(', ')})`);
+      console.log(`   📐 ${methodCount} methods, ${fieldCount} fields${parseErrors ? `, ${parseErrors} unparsable files` : ''}`);
       console.log(`   🔸 VIP methods: ${vipFound}`);
       console.log(`   🔸 Episode files: ${episodeFound}`);
       console.log(`   🔸 Login methods: ${loginFound}`);
@@ -355,14 +530,23 @@ class APKAnalyzer {
     }
   }
 
-  // Full analysis
-  async analyze() {
-    console.log('\n🚀 Starting APK Analysis...');
-    console.log(`📦 APK: ${this.apkPath}\n`);
-
+  // Decompile APK into outputDir (from the decompile cache when this APK was decompiled before)
+  async decompile() {
     if (!fs.existsSync(this.apkPath)) {
       console.error(`❌ APK not found: ${this.apkPath}`);
-      return null;
+      return false;
+    }
+
+    if (this.restoreFromCache()) {
+      return true;
+    }
+
+    let apktool;
+    try {
+      apktool = ToolManager.shared().path('apktool');
+    } catch (e) {
+      console.error(`❌ Decompile failed: ${e.message}`);
+      return false;
     }
 
     // Decompile first with optimized settings for large APKs
@@ -370,44 +554,180 @@ class APKAnalyzer {
       console.log('🔓 Decompiling APK (this may take a few minutes for large files)...');
 
       // Use increased heap and only-main-classes for large APKs
-      const decompileCmd = `java -Xmx2048m -jar apktool.jar d "${this.apkPath}" -o ${this.outputDir} -f`;
-
-      execSync(decompileCmd, { 
-        timeout: 600000, // 10 minutes
-        maxBuffer: 200 * 1024 * 1024,
-        stdio: 'inherit'
+      await ProcessRunner.run('java', ['-Xmx2048m', '-jar', apktool, 'd', this.apkPath, '-o', this.outputDir, '-f'], {
+        label: 'apktool d',
+        timeout: 600000 // 10 minutes
       });
       console.log('✅ Decompiled');
+      this.storeInCache([]);
+      return true;
     } catch (e) {
-      console.error('❌ Decompile failed, trying without resources...');
+      // Ctrl-C and a missing java are not worth a second attempt
+      if (ProcessRunner.isCancelled(e)) throw e;
+      if (e.status === ProcessRunner.STATUS.NOT_FOUND) {
+        console.error('❌ Decompile failed:', e.message);
+        return false;
+      }
+      console.error(`❌ Decompile failed (${e.message}), trying without resources...`);
 
       // Fallback: try without resources
       try {
-        const fallbackCmd = `java -Xmx2048m -jar apktool.jar d "${this.apkPath}" -o ${this.outputDir} -f -r`;
-        execSync(fallbackCmd, { 
-          timeout: 600000,
-          maxBuffer: 50 * 1024 * 1024,
-          stdio: 'inherit'
+        await ProcessRunner.run('java', ['-Xmx2048m', '-jar', apktool, 'd', this.apkPath, '-o', this.outputDir, '-f', '-r'], {
+          label: 'apktool d -r',
+          timeout: 600000
         });
         console.log('✅ Decompiled (without resources)');
+        this.storeInCache(['-r']);
+        return true;
       } catch (e2) {
+        if (ProcessRunner.isCancelled(e2)) throw e2;
         console.error('❌ Decompile completely failed:', e2.message);
-        return null;
+        return false;
       }
     }
+  }
+
+  // A full decompile is preferred; a resource-less one only exists if the full one failed before
+  restoreFromCache() {
+    if (!this.cache) return false;
+
+    try {
+      const hit = this.cache.restore(this.apkPath, [[], ['-r']], this.outputDir);
+      if (!hit) return false;
+
+      console.log(`♻️  Decompile cache hit: ${hit.key} (apktool ${hit.apktoolVersion}${hit.flags.length ? ', without resources' : ''}) -> ${this.outputDir}`);
+      return true;
+    } catch (e) {
+      console.log(`⚠️  Decompile cache unavailable: ${e.message}`);
+      return false;
+    }
+  }
+
+  storeInCache(flags) {
+    if (!this.cache) return;
+
+    try {
+      const stored = this.cache.store(this.apkPath, flags, this.outputDir);
+      if (stored) {
+        console.log(`   💾 Cached as ${stored.key} (${(stored.size / 1024 / 1024).toFixed(1)} MB)`);
+      }
+    } catch (e) {
+      console.log(`⚠️  Could not cache decompile output: ${e.message}`);
+    }
+  }
+
+  // Analyze an already decompiled outputDir (no apktool run)
+  analyzeDecompiled() {
+    if (!fs.existsSync(this.outputDir)) {
+      console.error(`❌ Decompiled directory not found: ${this.outputDir}`);
+      return null;
+    }
 
-    // Run analysis
     this.analyzeManifest();
+    this.analyzeResourceTable();
     this.analyzeStrings();
     this.analyzeSmaliPatterns();
+    this.saveCodeIndex();
+    this.analyzeCallGraph();
 
     console.log('\n📊 Analysis Complete!');
     return this.analysis;
   }
 
+  // Persist the index filled by analyzeSmaliPatterns next to the decompiled dir, for `search`
+  saveCodeIndex(indexPath = CodeIndex.pathFor(this.outputDir)) {
+    if (!this.codeIndex) return null;
+
+    try {
+      this.codeIndex.save(indexPath);
+      const stats = this.codeIndex.stats();
+      this.analysis.codeIndex = { path: indexPath, ...stats };
+      console.log(`   🗃️  Code index: ${stats.classes} classes, ${stats.methods} methods, ${stats.strings} strings, ` +
+        `${stats.invokes} invokes, ${stats.fieldAccesses} field accesses -> ${indexPath}`);
+      return indexPath;
+    } catch (e) {
+      console.log('⚠️  Could not save code index:', e.message);
+      return null;
+    }
+  }
+
+  // Call graph over the code index; each keyword finding records whether its class is reached, and from where
+  analyzeCallGraph() {
+    if (!this.codeIndex) return null;
+    console.log('\n🕸️  Building call graph...');
+
+    try {
+      const graph = CallGraph.build(this.codeIndex, this.analysis);
+      const summary = graph.summary();
+      this.analysis.callGraph = { ...summary, findings: {} };
+      for (const key of ['episodePatterns', 'loginPatterns', 'vpnBlockPatterns']) {
+        this.analysis.callGraph.findings[key] = graph.triage(this.analysis[key], this.outputDir);
+      }
+
+      console.log(`✅ ${summary.methods} methods, ${summary.external} external, ${summary.edges} calls (${summary.dispatchEdges} virtual dispatch)`);
+      console.log(`   🔸 Entry points: ${summary.entryPoints} (${summary.exportedEntryPoints} in exported components)`);
+      console.log(`   🔸 Reachable from exported components: ${summary.reachableFromExported} methods`);
+      return graph;
+    } catch (e) {
+      console.log('⚠️  Could not build call graph:', e.message);
+      return null;
+    }
+  }
+
+  // Fast path: manifest + resource table straight from the APK, no apktool
+  analyzeAPKFile() {
+    if (!this.apkPath || !fs.existsSync(this.apkPath)) {
+      console.error(`❌ APK not found: ${this.apkPath}`);
+      return null;
+    }
+
+    this.analyzeManifest(true);
+    this.analyzeResourceTable();
+
+    console.log('\n📊 Analysis Complete (no decompile)!');
+    return this.analysis;
+  }
+
+  // Full analysis
+  async analyze() {
+    console.log('\n🚀 Starting APK Analysis...');
+    console.log(`📦 APK: ${this.apkPath}\n`);
+
+    if (!(await this.decompile())) {
+      return null;
+    }
+
+    // Run analysis
+    return this.analyzeDecompiled();
+  }
+
+  // Optional Java sources (jadx) in options.dir, linked from the findings; failures are recorded, not fatal
+  async decompileJava(options = {}) {
+    console.log('\n☕ Decompiling Java sources (jadx)...');
+    const sources = new JavaSources(options.dir || path.join(path.dirname(this.outputDir), 'java'), options);
+    const summary = await sources.decompile(this.apkPath);
+    if (summary.classes > 0) {
+      summary.links = sources.link(this.analysis);
+    }
+    this.analysis.javaSources = summary;
+
+    const seconds = Math.round(summary.durationMs / 1000);
+    if (summary.classes === 0) {
+      console.log(`⚠️  No Java sources (${summary.status}): ${summary.error}`);
+    } else {
+      console.log(`${summary.status === 'ok' ? '✅' : '⚠️ '} ${summary.classes} Java files in ${summary.dir} (${summary.status}, ${seconds}s)`);
+      if (summary.failedClassCount > 0) {
+        console.log(`   🔸 ${summary.failedClassCount} classes not (fully) decompiled`);
+      }
+      if (summary.error) console.log(`   🔸 ${summary.error}`);
+    }
+    return summary;
+  }
+
   // Save analysis report
   saveReport(reportPath = 'analysis.json') {
     try {
+      this.analysis.tools = { ...ToolManager.shared().describe(), 'build-tools': AndroidBuildTools.describe() };
       fs.writeFileSync(reportPath, JSON.stringify(this.analysis, null, 2));
       console.log(`📄 Report saved to: ${reportPath}`);
     } catch (e) {
@@ -415,21 +735,92 @@ class APKAnalyzer {
     }
   }
 
+  // Print exported components / deep links section
+  printAttackSurface() {
+    const surface = this.analysis.attackSurface;
+    if (!surface) return;
+
+    const { summary, applicationFlags } = surface;
+    console.log(`\n🛡️  Attack Surface:`);
+    console.log(`   Exported: ${summary.exported_activities} activities, ${summary.exported_services} services, ` +
+      `${summary.exported_receivers} receivers, ${summary.exported_providers} providers`);
+    console.log(`   Unprotected: ${summary.unprotected}`);
+    console.log(`   Flags: debuggable=${applicationFlags.debuggable}, allowBackup=${applicationFlags.allowBackup}, ` +
+      `usesCleartextTraffic=${applicationFlags.usesCleartextTraffic}`);
+
+    for (const entry of surface.exportedComponents) {
+      const guard = [entry.permission, entry.readPermission, entry.writePermission]
+        .filter(Boolean)
+        .map(p => `${p.name} (${p.protectionLevel})`)
+        .join(', ') || 'none';
+      const marker = entry.unprotected ? '⚠️ ' : '🔒';
+      console.log(`   ${marker} [${entry.type}] ${entry.name}`);
+      console.log(`      exported: ${entry.exportedBy}, permission: ${guard}`);
+      for (const link of entry.deepLinks) {
+        console.log(`      🔗 ${link.uri}${link.paths.length ? ' ' + link.paths.join(', ') : ''}`);
+      }
+    }
+
+    for (const provider of surface.grantUriProviders) {
+      console.log(`   📂 grantUriPermissions: ${provider.name} (${provider.authorities.join(';')})` +
+        `${provider.exported ? ' [exported]' : ''}`);
+    }
+  }
+
   // Print summary
   printSummary() {
     console.log('\n' + '='.repeat(60));
     console.log('📋 APK ANALYSIS SUMMARY');
     console.log('='.repeat(60));
     console.log(`Package: ${this.analysis.packageName}`);
+    if (this.analysis.appName) {
+      console.log(`App name: ${this.analysis.appName}`);
+    }
     console.log(`Version: ${this.analysis.version}`);
+    if (this.analysis.bundle) {
+      const bundle = this.analysis.bundle;
+      console.log(`Bundle: ${bundle.container} (${bundle.format}, ${bundle.splits.length} splits${bundle.obb.length ? `, ${bundle.obb.length} OBB` : ''})`);
+    }
+    console.log(`SDK: min ${this.analysis.minSdk}, target ${this.analysis.targetSdk}`);
     console.log(`Permissions: ${this.analysis.permissions.length}`);
     console.log(`Activities: ${this.analysis.activities.length}`);
     console.log(`Services: ${this.analysis.services.length}`);
+    console.log(`Receivers: ${this.analysis.receivers.length}`);
+    console.log(`Providers: ${this.analysis.providers.length}`);
+    if (this.analysis.smaliCoverage) {
+      const coverage = this.analysis.smaliCoverage;
+      console.log(`Smali coverage: ${coverage.classes} classes, ${coverage.methods} methods in ${coverage.dexDirectories} dex directories`);
+    }
+    if (this.analysis.codeIndex) {
+      console.log(`Code index: ${this.analysis.codeIndex.path} (query with: node index.js search)`);
+    }
+    if (this.analysis.resources) {
+      const resources = this.analysis.resources;
+      const types = Object.entries(resources.countsByType).map(([type, count]) => `${type} ${count}`).join(', ');
+      console.log(`Resources: ${resources.totalEntries} (${types})`);
+      console.log(`Locales: ${resources.locales.join(', ') || 'default only'}`);
+    }
+    if (this.analysis.javaSources) {
+      const java = this.analysis.javaSources;
+      console.log(`Java sources: ${java.classes} files, ${java.failedClassCount} failed classes (${java.status}) -> ${java.dir}`);
+    }
+    this.printAttackSurface();
+    if (this.analysis.callGraph) {
+      const graph = this.analysis.callGraph;
+      console.log(`Call graph: ${graph.methods} methods, ${graph.edges} calls, ${graph.entryPoints} entry points (${graph.exportedEntryPoints} exported)`);
+    }
+    // "(n reachable from exported components)" once the call graph triaged the files
+    const reached = (key) => {
+      const findings = this.analysis.callGraph && this.analysis.callGraph.findings[key];
+      if (!findings) return '';
+      const count = Object.values(findings).filter(finding => finding.reachableFrom === CallGraph.FROM_EXPORTED).length;
+      return ` (${count} reachable from exported components)`;
+    };
     console.log(`\n🔍 Detected Patterns:`);
     console.log(`   VIP: ${this.analysis.vipPatterns.length} strings`);
-    console.log(`   Episodes: ${this.analysis.episodePatterns.length} files`);
-    console.log(`   Login: ${this.analysis.loginPatterns.length} files`);
-    console.log(`   VPN: ${this.analysis.vpnBlockPatterns.length} files`);
+    console.log(`   Episodes: ${this.analysis.episodePatterns.length} files${reached('episodePatterns')}`);
+    console.log(`   Login: ${this.analysis.loginPatterns.length} files${reached('loginPatterns')}`);
+    console.log(`   VPN: ${this.analysis.vpnBlockPatterns.length} files${reached('vpnBlockPatterns')}`);
     console.log('='.repeat(60));
   }
 }
@@ -438,10 +829,9 @@ class APKAnalyzer {
 // CLASS: APKModifier
 // ============================================================================
 class APKModifier {
-  constructor(apkPath, analysis) {
+  constructor(apkPath, analysis, workDir = 'decompiled') {
     this.apkPath = apkPath;
-    this.outputDir = 'decompiled';
-    this.modifiedApk = 'modified.apk';
+    this.outputDir = workDir;
     this.analysis = analysis;
     this.modifications = {
       applied: 0,
@@ -485,7 +875,7 @@ class APKModifier {
       packages.push(mainPkg);
       
       // Check for common sub-packages
-      const smaliDirs = ['decompiled/smali', 'decompiled/smali_classes2', 'decompiled/smali_classes3'];
+      const smaliDirs = [path.join(this.outputDir, 'smali'), path.join(this.outputDir, 'smali_classes2'), path.join(this.outputDir, 'smali_classes3')];
       
       for (const dir of smaliDirs) {
         if (fs.existsSync(dir)) {
@@ -620,20 +1010,13 @@ class APKModifier {
         return;
       }
 
-      let content = fs.readFileSync(manifestPath, 'utf8');
+      const manifest = AndroidManifest.fromDecompiledDir(this.outputDir);
       
-      if (!content.includes('android.permission.WAKE_LOCK')) {
-        const insertPos = content.indexOf('<application');
-        if (insertPos > 0) {
-          content = content.slice(0, insertPos) + 
-            '<uses-permission android:name="android.permission.WAKE_LOCK" />\n    ' +
-            content.slice(insertPos);
-          
-          fs.writeFileSync(manifestPath, content, 'utf8');
-          console.log('   ✅ WAKE_LOCK permission added');
-          this.modifications.applied++;
-          return;
-        }
+      if (!manifest.hasUsesPermission('android.permission.WAKE_LOCK')) {
+        fs.writeFileSync(manifestPath, manifest.addUsesPermission('android.permission.WAKE_LOCK'), 'utf8');
+        console.log('   ✅ WAKE_LOCK permission added');
+        this.modifications.applied++;
+        return;
       }
       
       console.log('   ⚠️  Already present');
@@ -670,8 +1053,8 @@ class APKModifier {
     
     try {
       let modified = 0;
-      const smaliDirs = ['decompiled/smali', 'decompiled/smali_classes2', 'decompiled/smali_classes3', 
-                         'decompiled/smali_classes4', 'decompiled/smali_classes5', 'decompiled/smali_classes6', 'decompiled/smali_classes7'];
+      const smaliDirs = [path.join(this.outputDir, 'smali'), path.join(this.outputDir, 'smali_classes2'), path.join(this.outputDir, 'smali_classes3'), 
+                         path.join(this.outputDir, 'smali_classes4'), path.join(this.outputDir, 'smali_classes5'), path.join(this.outputDir, 'smali_classes6'), path.join(this.outputDir, 'smali_classes7')];
       
       // VIP-related keywords for conservative matching
       const vipKeywords = ['vip', 'premium', 'member', 'subscribe', 'paid', 'pro', 'svip', 'isvip', 'ispremium'];
@@ -812,8 +1195,8 @@ class APKModifier {
     
     try {
       let modified = 0;
-      const smaliDirs = ['decompiled/smali', 'decompiled/smali_classes2', 'decompiled/smali_classes3', 
-                         'decompiled/smali_classes4', 'decompiled/smali_classes5', 'decompiled/smali_classes6', 'decompiled/smali_classes7'];
+      const smaliDirs = [path.join(this.outputDir, 'smali'), path.join(this.outputDir, 'smali_classes2'), path.join(this.outputDir, 'smali_classes3'), 
+                         path.join(this.outputDir, 'smali_classes4'), path.join(this.outputDir, 'smali_classes5'), path.join(this.outputDir, 'smali_classes6'), path.join(this.outputDir, 'smali_classes7')];
       
       // CONSERVATIVE: Only target specific lock-related fields
       const lockKeywords = ['lock', 'locked', 'islocked', 'islock'];
@@ -950,24 +1333,24 @@ class APKModifier {
         return;
       }
 
-      let content = fs.readFileSync(manifestPath, 'utf8');
+      let manifest = AndroidManifest.fromDecompiledDir(this.outputDir);
+      let content = manifest.xml;
       let added = 0;
 
       // Also disable FLAG_SECURE if present in activities
-      if (content.includes('FLAG_SECURE') || content.includes('android:windowSecure')) {
-        content = content.replace(/android:windowSecure="true"/g, 'android:windowSecure="false"');
+      const secureAttr = `${manifest.ns}:windowSecure`;
+      const unsecured = manifest.mapAttributes((element, name, value) =>
+        name === secureAttr && value === 'true' ? 'false' : undefined);
+      if (unsecured !== content) {
+        content = unsecured;
+        manifest = new AndroidManifest(content);
         added++;
       }
 
       // Add media projection permission
-      if (!content.includes('android.permission.FOREGROUND_SERVICE_MEDIA_PROJECTION')) {
-        const insertPos = content.indexOf('<application');
-        if (insertPos > 0) {
-          content = content.slice(0, insertPos) + 
-            '<uses-permission android:name="android.permission.FOREGROUND_SERVICE_MEDIA_PROJECTION" />\n    ' +
-            content.slice(insertPos);
-          added++;
-        }
+      if (!manifest.hasUsesPermission('android.permission.FOREGROUND_SERVICE_MEDIA_PROJECTION')) {
+        content = manifest.addUsesPermission('android.permission.FOREGROUND_SERVICE_MEDIA_PROJECTION');
+        added++;
       }
 
       if (added > 0) {
@@ -990,7 +1373,7 @@ class APKModifier {
     
     try {
       let modified = 0;
-      const smaliDirs = ['decompiled/smali', 'decompiled/smali_classes2', 'decompiled/smali_classes3'];
+      const smaliDirs = [path.join(this.outputDir, 'smali'), path.join(this.outputDir, 'smali_classes2'), path.join(this.outputDir, 'smali_classes3')];
       
       // Login-related keywords
       const loginKeywords = ['login', 'auth', 'user', 'account', 'session', 'token'];
@@ -1094,7 +1477,7 @@ class APKModifier {
     
     try {
       let modified = 0;
-      const smaliDirs = ['decompiled/smali', 'decompiled/smali_classes2', 'decompiled/smali_classes3'];
+      const smaliDirs = [path.join(this.outputDir, 'smali'), path.join(this.outputDir, 'smali_classes2'), path.join(this.outputDir, 'smali_classes3')];
       
       for (const smaliDir of smaliDirs) {
         if (!fs.existsSync(smaliDir)) continue;
@@ -1175,7 +1558,7 @@ class APKModifier {
         return;
       }
 
-      let content = fs.readFileSync(manifestPath, 'utf8');
+      let manifest = AndroidManifest.fromDecompiledDir(this.outputDir);
       let removed = 0;
 
       // Permissions yang tidak diperlukan untuk fungsi utama app
@@ -1187,15 +1570,14 @@ class APKModifier {
       ];
 
       for (const perm of unnecessaryPerms) {
-        const regex = new RegExp(`\\s*<uses-permission android:name="${perm.replace(/\./g, '\\.')}"[^>]*/>`, 'g');
-        if (content.match(regex)) {
-          content = content.replace(regex, '');
+        if (manifest.hasUsesPermission(perm)) {
+          manifest = new AndroidManifest(manifest.removeUsesPermission(perm));
           removed++;
         }
       }
 
       if (removed > 0) {
-        fs.writeFileSync(manifestPath, content, 'utf8');
+        fs.writeFileSync(manifestPath, manifest.xml, 'utf8');
         console.log(`   ✅ Removed ${removed} ad-related permissions`);
         this.modifications.applied += removed;
       } else {
@@ -1214,7 +1596,7 @@ class APKModifier {
     
     try {
       let modified = 0;
-      const smaliDirs = ['decompiled/smali', 'decompiled/smali_classes2', 'decompiled/smali_classes3'];
+      const smaliDirs = [path.join(this.outputDir, 'smali'), path.join(this.outputDir, 'smali_classes2'), path.join(this.outputDir, 'smali_classes3')];
       
       // VPN-related keywords
       const vpnKeywords = ['vpn', 'proxy', 'network', 'connection'];
@@ -1309,17 +1691,16 @@ class APKModifier {
         return;
       }
 
-      let content = fs.readFileSync(manifestPath, 'utf8');
+      const manifest = AndroidManifest.fromDecompiledDir(this.outputDir);
       
       // Get original package name
-      const pkgMatch = content.match(/package="([^"]+)"/);
-      if (!pkgMatch) {
+      if (!manifest.package) {
         console.log('   ⚠️  Package name not found');
         this.modifications.skipped++;
         return;
       }
       
-      const oldPackageName = pkgMatch[1];
+      const oldPackageName = manifest.package;
       
       // DYNAMIC: Generate new package name based on original
       if (!newPackageName) {
@@ -1330,17 +1711,9 @@ class APKModifier {
       console.log(`   📝 Old: ${oldPackageName}`);
       console.log(`   📝 New: ${newPackageName}`);
       
-      // Replace package name in manifest
-      content = content.replace(
-        `package="${oldPackageName}"`,
-        `package="${newPackageName}"`
-      );
-      
-      // Replace in all package references
-      content = content.replace(
-        new RegExp(oldPackageName.replace(/\./g, '\\.'), 'g'),
-        newPackageName
-      );
+      // Replace package name and all package references in manifest attributes
+      const content = manifest.mapAttributes((element, name, value) =>
+        value.includes(oldPackageName) ? value.split(oldPackageName).join(newPackageName) : undefined);
       
       fs.writeFileSync(manifestPath, content, 'utf8');
       
@@ -1348,11 +1721,7 @@ class APKModifier {
       const oldPath = oldPackageName.replace(/\./g, '/');
       const newPath = newPackageName.replace(/\./g, '/');
       
-      const smaliDirs = ['decompiled/smali', 'decompiled/smali_classes2', 'decompiled/smali_classes3'];
-      
-      for (const smaliDir of smaliDirs) {
-        if (!fs.existsSync(smaliDir)) continue;
-        
+      for (const smaliDir of SmaliDirs.paths(this.outputDir)) {
         const oldSmaliPath = path.join(smaliDir, oldPath);
         const newSmaliPath = path.join(smaliDir, newPath);
         
@@ -1380,64 +1749,53 @@ class APKModifier {
     }
   }
 
-  // Update package references in smali files
+  // Update package references in smali files: class types under the old package path,
+  // and string constants naming the package (authorities, APPLICATION_ID) like the manifest
   updatePackageReferencesInSmali(oldPackage, newPackage) {
     const oldPath = oldPackage.replace(/\./g, '/');
     const newPath = newPackage.replace(/\./g, '/');
-    
-    const smaliDirs = ['decompiled/smali', 'decompiled/smali_classes2', 'decompiled/smali_classes3'];
-    
-    for (const smaliDir of smaliDirs) {
-      if (!fs.existsSync(smaliDir)) continue;
-      
-      this.walkDirectory(smaliDir, (filePath, fileName) => {
-        if (!fileName.endsWith('.smali')) return;
-        
-        try {
-          let content = fs.readFileSync(filePath, 'utf8');
-          const originalContent = content;
-          
-          // Replace Lcom/old/package/ with Lcom/new/package/
-          content = content.replace(
-            new RegExp(`L${oldPath.replace(/\//g, '\\/')}/`, 'g'),
-            `L${newPath}/`
-          );
-          
-          // Replace .class references
-          content = content.replace(
-            new RegExp(oldPackage.replace(/\./g, '\\.'), 'g'),
-            newPackage
-          );
-          
-          if (content !== originalContent) {
-            fs.writeFileSync(filePath, content, 'utf8');
-          }
-        } catch (e) {
-          // Skip
+    const renameType = name => (name.startsWith(`${oldPath}/`) ? newPath + name.slice(oldPath.length) : name);
+    const packageName = new RegExp(`(?<![\\w.])${oldPackage.replace(/\./g, '\\.')}(?![\\w])`, 'g');
+    const renameStrings = text => text.replace(/"(?:[^"\\\n]|\\.)*"/g, literal => literal.replace(packageName, newPackage));
+
+    SmaliDirs.walkFiles(this.outputDir, (filePath) => {
+      try {
+        const smaliClass = SmaliParser.parseFile(filePath);
+        const content = SmaliParser.rewrite(smaliClass, text => renameStrings(SmaliParser.mapTypes(text, renameType)));
+        if (content !== smaliClass.text) {
+          fs.writeFileSync(filePath, content, 'utf8');
         }
-      });
-    }
+      } catch (e) {
+        // Skip
+      }
+    });
   }
 
   // Apply all modifications
   async applyAllModifications(features) {
+    // Fail fast on unknown keys / non-boolean values instead of treating them as enabled
+    const errors = JobConfig.validate(features, JobConfig.JOB_SCHEMA.properties.modifications, 'features');
+    if (errors.length > 0) {
+      throw new Error('Invalid modification features:\n' + errors.map(e => `   • ${e}`).join('\n'));
+    }
+
     console.log('\n🎯 APPLYING MODIFICATIONS');
     console.log('=' .repeat(50));
     console.log(`Target: ${this.analysis.packageName || 'Unknown'}`);
     console.log('Mode: SAFE (only app package, exclude libraries)');
     console.log('=' .repeat(50));
 
-    if (features.fixScreenOff !== false) await this.fixScreenOff();
-    if (features.bypassVIP !== false) await this.bypassVIP();
-    if (features.unlockEpisodes !== false) await this.unlockAllEpisodes();
-    if (features.screenRecording !== false) await this.enableScreenRecording();
-    if (features.bypassLogin !== false) await this.bypassLogin();
-    if (features.disableCleanup !== false) await this.disableCleanupDetection();
-    if (features.disablePermissions !== false) await this.disableUnnecessaryPermissions();
-    if (features.bypassVPN !== false) await this.bypassVPNBlock();
+    if (features.fixScreenOff === true) await this.fixScreenOff();
+    if (features.bypassVIP === true) await this.bypassVIP();
+    if (features.unlockEpisodes === true) await this.unlockAllEpisodes();
+    if (features.screenRecording === true) await this.enableScreenRecording();
+    if (features.bypassLogin === true) await this.bypassLogin();
+    if (features.disableCleanup === true) await this.disableCleanupDetection();
+    if (features.disablePermissions === true) await this.disableUnnecessaryPermissions();
+    if (features.bypassVPN === true) await this.bypassVPNBlock();
     
     // IMPORTANT: Rename package to avoid Play Store redirect (DYNAMIC)
-    if (features.renamePackage !== false) {
+    if (features.renamePackage === true) {
       // Pass null to use auto-generated name based on original package
       await this.renamePackage();
     }
@@ -1460,36 +1818,60 @@ class APKModifier {
 // CLASS: APKEditorWorkflow
 // ============================================================================
 class APKEditorWorkflow {
-  constructor() {
+  constructor(options = {}) {
+    const job = options.job || null;
+
+    this.job = job;
     this.selectedAPK = null;
     this.analysis = null;
+    this.workspace = new JobWorkspace({
+      root: options.workRoot || (job && job.workRoot),
+      outputDir: options.outputDir || (job && job.outputDir),
+      id: options.jobId
+    });
+    // Unset paths are filled in from the job workspace (see prepareWorkspace)
+    this.workDir = options.workDir || (job && job.workDir) || null;
+    this.unsignedApk = options.unsignedApk || null;
+    this.outputApk = options.outputApk || (job && job.output) || null;
+    this.reservedOutput = false;
+    // Continue the job in workspace <jobId> from its state.json instead of starting over
+    this.resume = options.resume === true;
+    this.keystore = new Keystore(options.keystore || (job && job.keystore) || Keystore.DEFAULT_KEYSTORE);
+    this.signing = options.signing || (job && job.signing) || { v4: false };
   }
 
-  // Cleanup before starting
-  cleanup() {
-    const dirsToClean = [
-      'decompiled',
-      'modified.apk',
-      'final-signed.apk',
-      'jadx-1.4.7.zip',
-      'merged-base.apk'
-    ];
+  // Create this job's directory and derive the work paths not given explicitly
+  prepareWorkspace() {
+    this.workspace.create();
+    this.workDir = this.workDir || this.workspace.decompiledDir;
+    this.unsignedApk = this.unsignedApk || this.workspace.unsignedApk;
+    return this.workspace;
+  }
 
-    for (const dir of dirsToClean) {
-      try {
-        if (fs.existsSync(dir)) {
-          if (fs.statSync(dir).isDirectory()) {
-            execSync(`rm -rf "${dir}" 2>/dev/null`, { stdio: 'ignore' });
-          } else {
-            fs.unlinkSync(dir);
-          }
-        }
-      } catch (e) {
-        // Silent fail
-      }
+  // Output named after the analyzed package and version, unless one was configured
+  prepareOutput(manifest, tag = null) {
+    if (!this.outputApk) {
+      this.outputApk = this.workspace.reserveOutput({
+        packageName: manifest && manifest.package,
+        versionName: manifest && manifest.versionName,
+        versionCode: manifest && manifest.versionCode,
+        tag
+      });
+      this.reservedOutput = true;
+    }
+    return this.outputApk;
+  }
+
+  // Remove this job's intermediates (decompiled tree, unsigned/merged APKs); reports stay
+  cleanup() {
+    try {
+      this.workspace.removeIntermediates();
+    } catch (e) {
+      // Silent fail
     }
   }
 
+  // Extract bundle containers (.apks/.xapk/.apkm), each into its own directory
   async handleSplitAPKs() {
     const apkDir = 'apk';
     if (!fs.existsSync(apkDir)) {
@@ -1498,91 +1880,117 @@ class APKEditorWorkflow {
     }
 
     const files = fs.readdirSync(apkDir);
-    
-    // Check for .apks files and extract them first
-    const apksFiles = files.filter(f => f.toLowerCase().endsWith('.apks'));
-    
-    if (apksFiles.length > 0) {
-      console.log(`\n📦 Detected .apks files (App Bundle archives):`);
-      for (const apksFile of apksFiles) {
-        console.log(`   📄 ${apksFile}`);
+    const containers = files.filter(f => BundleContainer.isContainer(f));
+
+    if (containers.length > 0) {
+      console.log(`\n📦 Detected bundle files (.apks / .xapk / .apkm):`);
+      for (const file of containers) {
+        console.log(`   📄 ${file}`);
         try {
-          const apksPath = path.join(apkDir, apksFile);
-          const baseName = path.basename(apksFile, '.apks');
-          const extractDir = path.join(apkDir, `${baseName}_extracted`);
-          
-          console.log(`   🔓 Extracting ${apksFile}...`);
-          
-          // Create extraction directory
-          if (!fs.existsSync(extractDir)) {
-            fs.mkdirSync(extractDir);
+          const bundle = BundleContainer.open(path.join(apkDir, file)).toJSON();
+          console.log(`   ✅ ${bundle.packageName} v${bundle.versionName || '?'}: ${bundle.base} + ${bundle.splits.length} split(s) in ${bundle.extractDir}`);
+          for (const obb of bundle.obb) {
+            console.log(`   💾 OBB: ${obb.file} (install to ${obb.installPath})`);
           }
-          
-          // Extract .apks (it's just a ZIP file)
-          execSync(`unzip -q -o "${apksPath}" -d "${extractDir}"`, { stdio: 'inherit' });
-          
-          // Move all APK files to main apk directory
-          const extractedFiles = fs.readdirSync(extractDir);
-          const extractedApks = extractedFiles.filter(f => f.endsWith('.apk'));
-          
-          for (const apk of extractedApks) {
-            const srcPath = path.join(extractDir, apk);
-            const destPath = path.join(apkDir, apk);
-            
-            // Don't overwrite if already exists
-            if (!fs.existsSync(destPath)) {
-              execSync(`mv "${srcPath}" "${destPath}"`);
-            }
-          }
-          
-          // Cleanup extraction directory
-          execSync(`rm -rf "${extractDir}"`);
-          
-          console.log(`   ✅ Extracted ${extractedApks.length} APK files from ${apksFile}`);
-          console.log(`   📝 Original .apks file kept at: ${apksPath}\n`);
         } catch (e) {
-          console.log(`   ❌ Failed to extract ${apksFile}: ${e.message}`);
+          console.log(`   ❌ Failed to extract ${file}: ${e.message}`);
         }
       }
+      console.log('');
     }
-    
-    // Re-scan after extraction
-    const updatedFiles = fs.readdirSync(apkDir);
-    const baseAPK = updatedFiles.find(f => f === 'base.apk');
-    const splitAPKs = updatedFiles.filter(f => f.startsWith('split_config.') && f.endsWith('.apk'));
+
+    // Loose base + split APKs copied into apk/
+    const baseAPK = files.find(f => f === 'base.apk');
+    const splitAPKs = files.filter(f => f.startsWith('split_config.') && f.endsWith('.apk'));
 
     if (baseAPK && splitAPKs.length > 0) {
       console.log(`\n📦 Detected split APKs:`);
       console.log(`   Base: ${baseAPK}`);
       console.log(`   Splits: ${splitAPKs.length} files`);
-      console.log(`\n⚠️  IMPORTANT: You have split APKs (App Bundle format)`);
-      console.log(`   Split APKs result in smaller modified size.`);
-      console.log(`   Recommendation: Use universal APK instead.`);
-      console.log(`\n💡 To get universal APK:`);
-      console.log(`   1. Download from APKPure/APKMirror (select "APK" not "XAPK")`);
-      console.log(`   2. Or use bundletool to merge splits`);
-      console.log(`\n   Continuing with base.apk only...\n`);
-    } else if (!baseAPK && splitAPKs.length === 0) {
+      console.log(`   🧩 Selecting ${baseAPK} merges its splits into one installable APK\n`);
+    } else if (!baseAPK && splitAPKs.length === 0 && containers.length === 0) {
       console.log('   ✅ Single APK detected (recommended)\n');
     }
   }
 
+  // Exit code for the whole run: 0 on success, 1 on failure, 130 after Ctrl-C
   async run() {
+    // A missing java/zipalign or a full disk stops the run here instead of deep inside the build
+    if (!EnvironmentDoctor.skipped() && !(await this.checkEnvironment())) {
+      return 1;
+    }
+
+    try {
+      return (await this.runSteps()) ? 0 : 1;
+    } catch (error) {
+      if (!ProcessRunner.isCancelled(error)) throw error;
+
+      // Everything done so far stays in the job directory; state.json says where to pick up
+      this.releaseOutput();
+      this.workspace.writeState({ status: 'cancelled' });
+      console.error(`\n⏹️  Cancelled - ${this.workspace.dir} kept`);
+      console.error(`   Resume with: node index.js run ${this.job ? '--job <job file> ' : ''}--resume ${this.workspace.id}`);
+      return 130;
+    }
+  }
+
+  async checkEnvironment() {
+    // Check the tool versions and build-tools the job file selects
+    if (this.job && this.job.tools) {
+      ToolManager.configure(this.job.tools);
+    }
+    const doctor = new EnvironmentDoctor({
+      apkPath: this.job && this.job.input,
+      workRoot: this.workspace.root,
+      outputDir: this.workspace.outputDir,
+      keystore: this.keystore
+    });
+    await doctor.run();
+    doctor.print({ problemsOnly: true });
+    return doctor.ok;
+  }
+
+  // True when the APK was built, false after a failure (already reported)
+  async runSteps() {
     console.log('\n' + '='.repeat(70));
     console.log('🚀 APK EDITOR - ANALYZER & MODIFIER');
     console.log('='.repeat(70));
 
-    // Cleanup old files
-    console.log('\n🧹 Cleaning up old files...');
-    this.cleanup();
-    console.log('✅ Cleanup complete\n');
+    // Every run works in its own directory, so earlier or parallel runs are left alone
+    this.prepareWorkspace();
+    console.log(`\n🗂️  Job ${this.workspace.id}: ${this.workspace.dir}\n`);
+
+    const state = this.resume ? this.workspace.readState() : null;
+    if (this.resume) {
+      if (!state) {
+        console.error(`❌ Nothing to resume in ${this.workspace.dir} (no state.json)`);
+        return false;
+      }
+      if (state.status === 'done') {
+        console.log(`✅ Job already finished: ${state.outputApk}`);
+        return true;
+      }
+      console.log(`⏯️  Resuming job (last status: ${state.status})\n`);
+    }
+
+    // A job file can select tool versions and a mirror/bundle; a resumed job keeps its versions
+    if (this.job && this.job.tools) {
+      ToolManager.configure(this.job.tools);
+    } else if (state && state.tools) {
+      ToolManager.configure({ versions: state.tools });
+    }
 
     // Step 1: Setup tools
     console.log('[1/6] Setting up tools...');
     const toolsReady = await ToolBuilder.setupTools();
     if (!toolsReady) {
       console.error('❌ Failed to setup tools');
-      process.exit(1);
+      return false;
+    }
+
+    // Signing key problems should surface now, not after a long decompile/build
+    if (!(await this.prepareKeystore())) {
+      return false;
     }
 
     // Step 2: Detect and merge split APKs if needed
@@ -1592,162 +2000,339 @@ class APKEditorWorkflow {
     // Step 3: Select APK
     console.log('[3/6] Selecting APK...');
     const selector = new APKSelector();
-    this.selectedAPK = await selector.selectAPKInteractive();
+    const inputPath = state ? state.input : this.job && this.job.input;
+    if (inputPath) {
+      this.selectedAPK = fs.existsSync(inputPath)
+        ? { name: path.basename(inputPath), path: inputPath, size: fs.statSync(inputPath).size }
+        : null;
+      if (!this.selectedAPK) {
+        console.error(`❌ Job input not found: ${inputPath}`);
+      }
+    } else {
+      this.selectedAPK = await selector.selectAPKInteractive();
+    }
     
     if (!this.selectedAPK) {
       console.error('❌ No APK selected');
-      process.exit(1);
+      return false;
     }
+    this.workspace.writeState({ status: 'running', input: this.selectedAPK.path, tools: ToolManager.shared().versions });
 
-    // Step 4: Analyze APK
-    console.log('\n[4/6] Analyzing APK structure...');
-    const analyzer = new APKAnalyzer(this.selectedAPK.path);
-    this.analysis = await analyzer.analyze();
-    
-    if (!this.analysis) {
-      console.error('❌ Analysis failed');
-      process.exit(1);
+    // Bundles are worked on through the base APK of their extraction
+    let bundle = null;
+    try {
+      const input = APKSelector.openInput(this.selectedAPK.path);
+      bundle = input.bundle;
+      this.selectedAPK = { ...this.selectedAPK, path: input.path };
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      return false;
     }
 
-    analyzer.printSummary();
-    analyzer.saveReport(`analysis-${Date.now()}.json`);
+    // A base APK with config splits next to it is merged first, then analyzed like any other APK
+    const merged = state && state.merged && fs.existsSync(state.merged)
+      ? state.merged
+      : await this.mergeSplitsFor(this.selectedAPK.path);
+    if (merged === null) {
+      console.error('❌ Split merge failed');
+      this.workspace.writeState({ status: 'failed' });
+      return false;
+    }
+    if (merged !== this.selectedAPK.path) {
+      this.selectedAPK = { ...this.selectedAPK, name: path.basename(merged), path: merged, size: fs.statSync(merged).size };
+      this.workspace.writeState({ merged });
+    }
 
-    // Step 5: Ask for modifications
-    console.log('\n[5/6] Preparing modifications...');
-    const features = this.getModificationFeatures();
-    
-    // Step 6: Apply modifications
-    console.log('\n[6/6] Applying modifications...');
-    const modifier = new APKModifier(this.selectedAPK.path, this.analysis);
-    await modifier.applyAllModifications(features);
+    if (state && state.modified && fs.existsSync(this.workDir)) {
+      // Interrupted during the build: the modified tree is complete, only the build is redone
+      console.log(`\n⏭️  Analysis and modifications already done in ${this.workDir}`);
+      this.analysis = JSON.parse(fs.readFileSync(this.workspace.reportPath, 'utf8'));
+      this.outputApk = this.outputApk || state.outputApk;
+    } else {
+      // Step 4: Analyze APK (a half-modified tree from an interrupted run is decompiled afresh)
+      console.log('\n[4/6] Analyzing APK structure...');
+      const analyzer = new APKAnalyzer(this.selectedAPK.path, this.workDir);
+      this.analysis = await analyzer.analyze();
+      
+      if (!this.analysis) {
+        console.error('❌ Analysis failed');
+        this.workspace.writeState({ status: 'failed' });
+        return false;
+      }
+      this.analysis.bundle = bundle;
+      if (this.job && this.job.java.enabled) {
+        await analyzer.decompileJava({ dir: this.workspace.path('java'), timeout: this.job.java.timeout });
+      }
+
+      analyzer.printSummary();
+      analyzer.saveReport(this.workspace.reportPath);
+      this.outputApk = this.outputApk || (state && state.outputApk) || null;
+      this.prepareOutput(analyzer.manifest);
+      this.workspace.writeState({ analyzed: true, outputApk: this.outputApk });
+
+      // Step 5: Ask for modifications
+      console.log('\n[5/6] Preparing modifications...');
+      const features = (state && state.features) || this.getModificationFeatures();
+      
+      // Step 6: Apply modifications
+      console.log('\n[6/6] Applying modifications...');
+      const modifier = new APKModifier(this.selectedAPK.path, this.analysis, this.workDir);
+      await modifier.applyAllModifications(features);
+      this.workspace.writeState({ modified: true, features });
+    }
 
     // Recompile and sign
     console.log('\n[7/7] Recompiling and signing...');
     const success = await this.recompileAndSign();
 
     if (success) {
+      this.workspace.writeState({ status: 'done' });
       console.log('\n' + '='.repeat(70));
       console.log('🎉 SUCCESS!');
       console.log('='.repeat(70));
-      console.log('📱 Output: final-signed.apk');
+      console.log(`📱 Output: ${this.outputApk}`);
       console.log('📍 Ready to install on your device');
       console.log('='.repeat(70) + '\n');
     } else {
-      console.error('\n❌ Build failed - decompiled folder preserved for debugging');
-      process.exit(1);
+      this.releaseOutput();
+      this.workspace.writeState({ status: 'failed' });
+      console.error(`\n❌ Build failed - ${this.workspace.dir} preserved for debugging`);
+      return false;
     }
 
     // Cleanup large files
     console.log('\n🧹 Cleaning up temporary files...');
+    this.cleanup();
+    console.log(`✅ Cleanup complete (report kept in ${this.workspace.dir})`);
+    return true;
+  }
+
+  // Drop the placeholder reserved by prepareOutput when no APK was written to it
+  releaseOutput() {
+    if (this.reservedOutput && fs.existsSync(this.outputApk) && fs.statSync(this.outputApk).size === 0) {
+      fs.unlinkSync(this.outputApk);
+    }
+  }
+
+  // Merge apkPath with the split APKs beside it. Returns apkPath when there is
+  // nothing to merge, the merged APK path on success, or null on failure.
+  async mergeSplitsFor(apkPath, outputApk = this.workspace.path('merged-base.apk')) {
+    let splits;
     try {
-      execSync('rm -rf decompiled modified.apk 2>/dev/null', { stdio: 'ignore' });
-      console.log('✅ Cleanup complete');
-    } catch (e) {
-      // Silently fail
+      splits = SplitMerger.findSplitsBeside(apkPath);
+    } catch (error) {
+      console.log(`   ⚠️  Cannot check for splits: ${error.message}`);
+      return apkPath;
+    }
+
+    if (splits.length === 0) return apkPath;
+    return (await this.mergeSplitAPKs(apkPath, splits, outputApk)) ? outputApk : null;
+  }
+
+  // Decompile the base, merge the splits into it, rebuild and sign into outputApk
+  async mergeSplitAPKs(baseApk, splitApks, outputApk) {
+    const mergeDir = this.workspace.path('merge');
+    const unsignedApk = this.workspace.path('merged-unsigned.apk');
+
+    console.log(`\n🧩 Merging ${path.basename(baseApk)} with ${splitApks.length} split APK(s)...`);
+    try {
+      if (!(await new APKAnalyzer(baseApk, mergeDir).decompile())) {
+        return false;
+      }
+
+      const report = new SplitMerger(baseApk, splitApks).mergeInto(mergeDir);
+      for (const split of report.splits) {
+        console.log(`   📄 ${split.file}: ${split.split} (${split.kind})`);
+      }
+      console.log(`   ✅ Merged ${report.libs} native libs, ${report.values} values, ${report.files} resource files, ${report.assets} assets`);
+      if (report.skipped.length > 0) {
+        console.log(`   ⚠️  Skipped ${report.skipped.length} item(s):`);
+        for (const item of report.skipped.slice(0, 10)) {
+          console.log(`      - ${item.split}: ${item.resource} (${item.reason})`);
+        }
+        if (report.skipped.length > 10) {
+          console.log(`      ... and ${report.skipped.length - 10} more`);
+        }
+      }
+
+      const success = await this.recompileAndSign(mergeDir, unsignedApk, outputApk);
+      if (success) {
+        // Failed merges keep mergeDir for debugging
+        execSync(`rm -rf "${mergeDir}" 2>/dev/null`, { stdio: 'ignore' });
+      }
+      return success;
+    } catch (error) {
+      if (ProcessRunner.isCancelled(error)) throw error;
+      console.error(`   ❌ Merge failed: ${error.message}`);
+      return false;
+    } finally {
+      if (fs.existsSync(unsignedApk)) fs.unlinkSync(unsignedApk);
     }
   }
 
+  // Check the keystore up front; interactive runs may opt in to generating a missing one
+  async prepareKeystore() {
+    if (!this.job && !this.keystore.generate && !fs.existsSync(this.keystore.path)) {
+      const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+      const answer = await new Promise(resolve => {
+        rl.question(`🔑 Keystore ${this.keystore.path} not found. Generate a new debug keystore? (y/N): `, resolve);
+      });
+      rl.close();
+      this.keystore.generate = /^y(es)?$/i.test(answer.trim());
+    }
+
+    try {
+      this.keystore.check();
+      const ks = this.keystore.toJSON();
+      console.log(`🔑 Keystore: ${ks.path} (alias ${ks.alias}, password from ${ks.storePassword})\n`);
+      return true;
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      return false;
+    }
+  }
+
+  // Features come from the job file when given, otherwise from the defaults in job-config.js
   getModificationFeatures() {
-    return {
-      fixScreenOff: true,       // SAFE: add permission only
-      bypassVIP: true,          // SAFE: uses full method body replacement (no dead code)
-      unlockEpisodes: true,     // SAFE: uses full method body replacement (no dead code)
-      screenRecording: true,    // SAFE: add permission only
-      bypassLogin: false,       // RISKY: still uses old pattern - DISABLED
-      disableCleanup: false,    // RISKY: still uses old pattern - DISABLED
-      disablePermissions: true, // SAFE: remove permission only
-      bypassVPN: false,         // RISKY: still uses old pattern - DISABLED
-      renamePackage: false      // Keep original package name
-    };
+    if (this.job) {
+      return { ...this.job.modifications };
+    }
+    return { ...JobConfig.DEFAULT_MODIFICATIONS };
   }
 
-  async recompileAndSign() {
+  // Build workDir into unsignedApk, then align, sign and verify it as outputApk
+  async recompileAndSign(workDir = this.workDir, unsignedApk = this.unsignedApk, outputApk = this.outputApk) {
     try {
       console.log('   🔨 Recompiling APK...');
       console.log('   (This may take several minutes for large APKs...)');
       
       // Try with aapt2 first (recommended)
+      const apktool = ToolManager.shared().path('apktool');
       try {
-        const compileCmd = 'java -Xmx1536m -jar apktool.jar b decompiled -o modified.apk --use-aapt2';
-        execSync(compileCmd, { 
-          timeout: 900000, // 15 minutes
-          maxBuffer: 150 * 1024 * 1024, // 150MB buffer
-          stdio: 'inherit'
+        await ProcessRunner.run('java', ['-Xmx1536m', '-jar', apktool, 'b', workDir, '-o', unsignedApk, '--use-aapt2'], {
+          label: 'apktool b',
+          timeout: 900000 // 15 minutes
         });
       } catch (e) {
-        console.log('   ⚠️  aapt2 failed, trying with aapt...');
+        if (ProcessRunner.isCancelled(e) || e.status === ProcessRunner.STATUS.NOT_FOUND) throw e;
+        console.log(`   ⚠️  aapt2 failed (${e.message}), trying with aapt...`);
         
         // Fallback to aapt
-        const fallbackCmd = 'java -Xmx1536m -jar apktool.jar b decompiled -o modified.apk';
-        execSync(fallbackCmd, { 
-          timeout: 900000,
-          maxBuffer: 150 * 1024 * 1024,
-          stdio: 'inherit'
+        await ProcessRunner.run('java', ['-Xmx1536m', '-jar', apktool, 'b', workDir, '-o', unsignedApk], {
+          label: 'apktool b (aapt)',
+          timeout: 900000
         });
       }
       
-      if (!fs.existsSync('modified.apk')) {
+      if (!fs.existsSync(unsignedApk)) {
         console.error('   ❌ Recompile failed - no APK generated');
-        console.error('   💡 Check decompiled/ folder for errors');
+        console.error(`   💡 Check ${workDir}/ folder for errors`);
         return false;
       }
       
-      const modSize = fs.statSync('modified.apk').size;
+      const modSize = fs.statSync(unsignedApk).size;
       console.log(`   ✅ Recompiled successfully (${(modSize / 1024 / 1024).toFixed(2)} MB)`);
 
-      console.log('   🔐 Signing APK...');
-      this.signAPK();
-      console.log('   ✅ Signed successfully');
+      // Signature schemes depend on the SDK levels in the decompiled manifest
+      const manifest = AndroidManifest.fromDecompiledDir(workDir);
 
-      return true;
+      console.log('   🔐 Aligning and signing APK...');
+      const signer = await this.signAPK(unsignedApk, outputApk, {
+        minSdk: manifest.minSdk,
+        targetSdk: manifest.targetSdk
+      });
+      console.log(`   ✅ Signed (${signer.describeSchemes()}, minSdk ${signer.minSdk})`);
+
+      return await this.verifyOutput(outputApk, signer, manifest);
     } catch (error) {
+      if (ProcessRunner.isCancelled(error)) throw error;
       console.error('   ❌ Recompile/Sign failed:', error.message);
       console.error('   💡 Decompiled folder preserved for debugging');
       return false;
     }
   }
 
-  signAPK() {
-    const modifiedApk = 'modified.apk';
-    const keystore = 'my-key.keystore';
+  // Post-build checks on the final APK; prints each check and fails on the first bad one
+  async verifyOutput(apkPath, signer, expectedManifest = null) {
+    console.log('   🔎 Verifying output APK...');
+    const result = await new PostBuild().verify(apkPath, signer, expectedManifest);
 
-    try {
-      // Generate keystore if not exists
-      if (!fs.existsSync(keystore)) {
-        execSync(
-          'keytool -genkey -v -keystore ' + keystore + ' -alias mykey ' +
-          '-keyalg RSA -keysize 2048 -validity 10000 ' +
-          '-storepass password -keypass password ' +
-          '-dname "CN=APKEditor, OU=Android, O=Replit, L=Cloud, S=Cloud, C=ID"',
-          { stdio: 'ignore' }
-        );
-      }
+    for (const check of result.checks) {
+      const log = check.ok ? console.log : console.error;
+      log(`      ${check.ok ? '✅' : '❌'} ${check.name}: ${check.detail}`);
+    }
 
-      // Sign APK
-      execSync(
-        `jarsigner -verbose -sigalg SHA1withRSA -digestalg SHA1 ` +
-        `-keystore ${keystore} -storepass password -keypass password ` +
-        `${modifiedApk} mykey`,
-        { stdio: 'ignore' }
-      );
+    if (!result.ok) {
+      const failed = result.checks.filter(check => !check.ok).map(check => check.name);
+      console.error(`   ❌ Output verification failed (${failed.join(', ')})`);
+    }
+    return result.ok;
+  }
 
-      // Copy to final
-      execSync(`cp ${modifiedApk} final-signed.apk`);
+  // Align and sign inputApk into outputApk; sdk = { minSdk, targetSdk } picks the signature schemes
+  async signAPK(inputApk = this.unsignedApk, outputApk = this.outputApk, sdk = {}) {
+    try {
+      // Generates the keystore only when opted in (keystore.generate / --generate-keystore)
+      await this.keystore.ensure();
+
+      const postBuild = new PostBuild();
+      const signer = new APKSigner({
+        keystore: this.keystore,
+        minSdk: sdk.minSdk,
+        targetSdk: sdk.targetSdk,
+        v4: this.signing.v4
+      });
+
+      if (signer.apksigner) {
+        // apksigner signatures cover the final layout, so align first
+        const aligned = `${outputApk}.aligned`;
+        try {
+          await postBuild.align(inputApk, aligned);
+          await signer.sign(aligned, outputApk);
+        } finally {
+          if (fs.existsSync(aligned)) fs.unlinkSync(aligned);
+        }
+      } else {
+        // JAR signatures survive zipalign, which must run last
+        await signer.sign(inputApk, outputApk);
+        await postBuild.alignInPlace(outputApk);
+      }
+      return signer;
     } catch (error) {
+      if (ProcessRunner.isCancelled(error)) throw error;
       throw new Error('Signing failed: ' + error.message);
     }
   }
 }
 
+module.exports = APKEditorWorkflow;
+module.exports.ToolBuilder = ToolBuilder;
+module.exports.APKSelector = APKSelector;
+module.exports.APKAnalyzer = APKAnalyzer;
+module.exports.APKModifier = APKModifier;
+
 // ============================================================================
 // MAIN EXECUTION
 // ============================================================================
 if (require.main === module) {
-  const workflow = new APKEditorWorkflow();
-  workflow.run().catch(error => {
-    console.error('\n❌ Fatal error:', error.message);
-    process.exit(1);
-  });
+  const args = process.argv.slice(2);
+
+  if (args.length > 0) {
+    // Non-interactive subcommands (analyze, decompile, build, sign, diff, inspect)
+    const APKEditorCLI = require('./cli');
+    APKEditorCLI.run(args).then(code => {
+      process.exitCode = code;
+    }).catch(error => {
+      console.error('\n❌ Fatal error:', error.message);
+      process.exit(ProcessRunner.isCancelled(error) ? 130 : 1);
+    });
+  } else {
+    const workflow = new APKEditorWorkflow();
+    workflow.run().then(code => {
+      process.exitCode = code;
+    }).catch(error => {
+      console.error('\n❌ Fatal error:', error.message);
+      process.exit(1);
+    });
+  }
 }
-
-module.exports = APKEditorWorkflow;
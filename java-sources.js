@@ -0,0 +1,181 @@
+const fs = require('fs');
+const path = require('path');
+const ProcessRunner = require('./process-runner');
+const ToolManager = require('./tool-manager');
+
+const DEFAULT_TIMEOUT_MS = 20 * 60 * 1000;
+const SOURCES_DIR = 'sources';
+const LOG_FILE = 'jadx.log';
+// jadx puts classes without a package into this one
+const DEFAULT_PACKAGE = 'defpackage';
+// Per-class failures kept in a report (the count is always complete)
+const MAX_FAILURES = 500;
+
+const ERROR_MARKERS = /JADX ERROR: ?([^\n]*?)\s*(?:\*\/)?$|(Code decompiled incorrectly)/m;
+const RENAMED_FROM = /\/\* renamed from: ([\w$.]+) \*\//g;
+
+// ============================================================================
+// CLASS: JavaSources
+// ============================================================================
+// Optional Java decompile of an APK with jadx, next to the apktool smali, so
+// report findings can point at readable code. jadx failing for some classes,
+// timing out or being missing is recorded in the summary but never thrown;
+// only Ctrl-C is. Smali classes are mapped to <dir>/sources/<package>/<Outer>.java
+// (inner classes live in their outer class's file, renamed ones are looked
+// up through jadx's "renamed from" comments).
+class JavaSources {
+  constructor(dir, options = {}) {
+    this.dir = dir;
+    this.sourcesDir = path.join(dir, SOURCES_DIR);
+    this.timeout = options.timeout || DEFAULT_TIMEOUT_MS;
+    this.renamed = new Map();
+  }
+
+  // Run jadx on apkPath; resolves with the summary recorded in reports
+  async decompile(apkPath) {
+    const started = Date.now();
+    const summary = {
+      status: 'ok',
+      dir: this.sourcesDir,
+      jadxVersion: ToolManager.shared().versions.jadx,
+      durationMs: 0,
+      classes: 0,
+      failedClassCount: 0,
+      failedClasses: [],
+      error: null
+    };
+
+    let log = '';
+    try {
+      const jadx = ToolManager.shared().path('jadx');
+      fs.rmSync(this.dir, { recursive: true, force: true });
+      fs.mkdirSync(this.dir, { recursive: true });
+
+      try {
+        await ProcessRunner.run(jadx, ['-d', this.dir, '--no-res', '--show-bad-code', '--log-level', 'error', apkPath], {
+          label: 'jadx',
+          echo: false,
+          capture: true,
+          timeout: this.timeout
+        });
+      } catch (error) {
+        if (ProcessRunner.isCancelled(error) || !error.result) throw error;
+        log = error.result.stdout + '\n' + error.result.stderr;
+        summary.status = error.status === ProcessRunner.STATUS.TIMEOUT ? 'timeout' : 'failed';
+        summary.error = error.message;
+      }
+    } catch (error) {
+      if (ProcessRunner.isCancelled(error)) throw error;
+      summary.status = 'failed';
+      summary.error = error.message;
+    }
+
+    if (log) {
+      fs.writeFileSync(path.join(this.dir, LOG_FILE), log);
+    }
+
+    const failures = new Map(JavaSources.parseLog(log).map(failure => [failure.class, failure]));
+    if (fs.existsSync(this.sourcesDir)) {
+      this.scan((file, content) => {
+        summary.classes++;
+        const marker = content.match(ERROR_MARKERS);
+        const className = JavaSources.fileToClass(file);
+        if (marker && !failures.has(className)) {
+          failures.set(className, { class: className, error: (marker[1] || marker[2]).trim() || 'JADX ERROR' });
+        }
+      });
+    }
+
+    // jadx exits non-zero when some classes failed; what it did write is still usable
+    if (summary.status === 'failed' && summary.classes > 0) {
+      summary.status = 'partial';
+    }
+    summary.failedClassCount = failures.size;
+    summary.failedClasses = [...failures.values()].slice(0, MAX_FAILURES);
+    summary.durationMs = Date.now() - started;
+    return summary;
+  }
+
+  // "ERROR - ... in method: com.a.B.c(int):void" / "ERROR - ... class: com.a.B" -> [{ class, error }]
+  static parseLog(log) {
+    const failures = [];
+    for (const line of log.split('\n')) {
+      if (!/\bERROR\b/.test(line)) continue;
+      const match = line.match(/method:?\s+([\w$.]+)\.[\w$<>]+\(/) || line.match(/class:?\s+([\w$.]+)/);
+      if (match) {
+        failures.push({ class: match[1], error: line.replace(/^.*?ERROR\s*-?\s*/, '').trim() });
+      }
+    }
+    return failures;
+  }
+
+  // Visit every .java file (relative path, content) and collect "renamed from" comments
+  scan(visit, dir = this.sourcesDir) {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        this.scan(visit, fullPath);
+        continue;
+      }
+      if (!entry.name.endsWith('.java')) continue;
+
+      const file = path.relative(this.sourcesDir, fullPath).split(path.sep).join('/');
+      const content = fs.readFileSync(fullPath, 'utf8');
+      for (const match of content.matchAll(RENAMED_FROM)) {
+        this.renamed.set(match[1], file);
+      }
+      visit(file, content);
+    }
+  }
+
+  // 'com/foo/Bar.java' -> 'com.foo.Bar'
+  static fileToClass(file) {
+    return file.replace(/\.java$/, '').replace(/^defpackage\//, '').split('/').join('.');
+  }
+
+  // 'Lcom/foo/Bar$1;' or 'com.foo.Bar$1' -> path of the .java file holding it, or null
+  javaFileFor(className) {
+    const name = className.replace(/^L/, '').replace(/;$/, '').replace(/\//g, '.');
+    const parts = name.split('$');
+
+    // Outermost first: Bar$1 lives in Bar.java, unless a class is really called Bar$1
+    for (let i = 1; i <= parts.length; i++) {
+      const candidate = parts.slice(0, i).join('$');
+      const file = this.renamed.get(candidate) || JavaSources.classToFile(candidate);
+      if (fs.existsSync(path.join(this.sourcesDir, file))) {
+        return path.join(this.sourcesDir, file);
+      }
+    }
+    return null;
+  }
+
+  static classToFile(className) {
+    const file = `${className.split('.').join('/')}.java`;
+    return className.includes('.') ? file : `${DEFAULT_PACKAGE}/${file}`;
+  }
+
+  // smali/com/foo/Bar$1.smali (under any smali_classesN dir) -> its .java file, or null
+  javaFileForSmali(smaliPath) {
+    const match = smaliPath.split(path.sep).join('/').match(/(?:^|\/)smali(?:_classes\d+)?\/(.+)\.smali$/);
+    return match ? this.javaFileFor(match[1]) : null;
+  }
+
+  // { finding: java file } for the findings of an analysis report (exported components, smali patterns)
+  link(analysis) {
+    const links = { components: {}, episodePatterns: {}, loginPatterns: {}, vpnBlockPatterns: {} };
+
+    const components = analysis.attackSurface ? analysis.attackSurface.exportedComponents : [];
+    for (const component of components) {
+      links.components[component.name] = this.javaFileFor(component.name);
+    }
+    for (const key of ['episodePatterns', 'loginPatterns', 'vpnBlockPatterns']) {
+      for (const smaliPath of analysis[key] || []) {
+        links[key][smaliPath] = this.javaFileForSmali(smaliPath);
+      }
+    }
+    return links;
+  }
+}
+
+module.exports = JavaSources;
+module.exports.DEFAULT_TIMEOUT_MS = DEFAULT_TIMEOUT_MS;
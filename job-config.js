@@ -0,0 +1,234 @@
+const fs = require('fs');
+const path = require('path');
+
+// Default modification set (used when no job file is given or a key is omitted)
+const DEFAULT_MODIFICATIONS = {
+  fixScreenOff: true,       // SAFE: add permission only
+  bypassVIP: true,          // SAFE: uses full method body replacement (no dead code)
+  unlockEpisodes: true,     // SAFE: uses full method body replacement (no dead code)
+  screenRecording: true,    // SAFE: add permission only
+  bypassLogin: false,       // RISKY: still uses old pattern - DISABLED
+  disableCleanup: false,    // RISKY: still uses old pattern - DISABLED
+  disablePermissions: true, // SAFE: remove permission only
+  bypassVPN: false,         // RISKY: still uses old pattern - DISABLED
+  renamePackage: false      // Keep original package name
+};
+
+// Where a password is read from; the value itself never goes in the job file
+const PASSWORD_SOURCE_SCHEMA = {
+  type: 'object',
+  oneOf: ['env', 'file'],
+  properties: {
+    env: { type: 'string' },  // Name of an environment variable
+    file: { type: 'string' }  // Path to a file whose first line is the password
+  }
+};
+
+// Job file schema: every key not listed here is rejected
+const JOB_SCHEMA = {
+  type: 'object',
+  properties: {
+    input: { type: 'string', required: true },
+    workRoot: { type: 'string' },  // Parent of the per-job work directories (default: work/)
+    workDir: { type: 'string' },   // Fixed work directory instead of <workRoot>/<job id>/decompiled
+    outputDir: { type: 'string' }, // Where <package>-<version>.apk is written (default: output/)
+    output: { type: 'string' },    // Fixed output path instead of a name from package and version
+    keystore: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', required: true },
+        alias: { type: 'string', required: true },
+        type: { type: 'string', enum: ['jks', 'pkcs12'] }, // Default: pkcs12 for .p12/.pfx, else auto-detect
+        storePassword: PASSWORD_SOURCE_SCHEMA,
+        keyPassword: PASSWORD_SOURCE_SCHEMA,                // Default: same as storePassword
+        generate: { type: 'boolean' },                      // Create the keystore if missing (opt-in)
+        dname: { type: 'string' }                           // Certificate subject for generated keystores
+      }
+    },
+    tools: {
+      type: 'object',
+      properties: {
+        mirror: { type: 'string' },     // Directory with the tool archives (+ SHA256SUMS)
+        bundle: { type: 'string' },     // Offline bundle (.zip / .tar.gz) with the same files
+        apktool: { type: 'string' },    // Versions from tools.json (default: its "default")
+        jadx: { type: 'string' },
+        buildTools: { type: 'string' }
+      }
+    },
+    java: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean' },                   // Also decompile to Java with jadx (work/<job id>/java/)
+        timeout: { type: 'number', exclusiveMinimum: 0 } // Seconds before jadx is stopped (default: 1200)
+      }
+    },
+    signing: {
+      type: 'object',
+      properties: {
+        v4: { type: 'boolean' } // Also write the .idsig sidecar (APK Signature Scheme v4)
+      }
+    },
+    modifications: {
+      type: 'object',
+      properties: Object.fromEntries(
+        Object.keys(DEFAULT_MODIFICATIONS).map(key => [key, { type: 'boolean' }])
+      )
+    }
+  }
+};
+
+class JobConfigError extends Error {
+  constructor(filePath, errors) {
+    super(`Invalid job file ${filePath}:\n` + errors.map(e => `   • ${e}`).join('\n'));
+    this.name = 'JobConfigError';
+    this.errors = errors;
+  }
+}
+
+// ============================================================================
+// CLASS: JobConfig
+// ============================================================================
+class JobConfig {
+  // Describe a value's type the same way the schema does
+  static typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+  }
+
+  // Validate value against schema, collecting "key.path: message" errors
+  static validate(value, schema = JOB_SCHEMA, keyPath = 'job') {
+    const errors = [];
+    const actual = this.typeOf(value);
+
+    if (actual !== schema.type) {
+      errors.push(`${keyPath}: expected ${schema.type}, got ${actual}`);
+      return errors;
+    }
+
+    if (schema.type === 'string' && value.trim() === '') {
+      errors.push(`${keyPath}: must not be empty`);
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+      errors.push(`${keyPath}: must be one of ${schema.enum.join(', ')}`);
+    }
+
+    if (schema.exclusiveMinimum !== undefined && !(value > schema.exclusiveMinimum)) {
+      errors.push(`${keyPath}: must be greater than ${schema.exclusiveMinimum}`);
+    }
+
+    if (schema.oneOf && schema.oneOf.filter(key => value[key] !== undefined).length !== 1) {
+      errors.push(`${keyPath}: set exactly one of ${schema.oneOf.join(', ')}`);
+    }
+
+    if (schema.type === 'object') {
+      for (const key of Object.keys(value)) {
+        if (!schema.properties[key]) {
+          const known = Object.keys(schema.properties).join(', ');
+          errors.push(`${keyPath}.${key}: unknown key (allowed: ${known})`);
+        }
+      }
+
+      for (const [key, propSchema] of Object.entries(schema.properties)) {
+        if (value[key] === undefined) {
+          if (propSchema.required) {
+            errors.push(`${keyPath}.${key}: required`);
+          }
+          continue;
+        }
+        errors.push(...this.validate(value[key], propSchema, `${keyPath}.${key}`));
+      }
+    }
+
+    return errors;
+  }
+
+  // Parse a .json / .yml / .yaml file into a plain object
+  static parseFile(filePath) {
+    const content = fs.readFileSync(filePath, 'utf8');
+    const ext = path.extname(filePath).toLowerCase();
+
+    if (ext === '.yml' || ext === '.yaml') {
+      let yaml;
+      try {
+        yaml = require('js-yaml');
+      } catch (e) {
+        throw new Error('YAML job files need the js-yaml package (run: npm install)');
+      }
+      return yaml.load(content, { schema: yaml.JSON_SCHEMA });
+    }
+
+    return JSON.parse(content);
+  }
+
+  // Keystore section with its paths (including password files) made absolute
+  static resolveKeystore(keystore, resolve) {
+    const source = s => (s && s.file ? { file: resolve(s.file) } : s);
+    return {
+      ...keystore,
+      path: resolve(keystore.path),
+      storePassword: source(keystore.storePassword),
+      keyPassword: source(keystore.keyPassword)
+    };
+  }
+
+  // Tools section in the shape ToolManager takes (see tool-manager.js)
+  static resolveTools(tools, resolve) {
+    return {
+      mirror: tools.mirror ? resolve(tools.mirror) : null,
+      bundle: tools.bundle ? resolve(tools.bundle) : null,
+      versions: { apktool: tools.apktool, jadx: tools.jadx, 'build-tools': tools.buildTools }
+    };
+  }
+
+  // Load, validate and normalize a job file (throws before anything is decompiled)
+  static load(filePath) {
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`Job file not found: ${filePath}`);
+    }
+
+    let raw;
+    try {
+      raw = this.parseFile(filePath);
+    } catch (e) {
+      if (e instanceof SyntaxError || e.name === 'YAMLException') {
+        throw new JobConfigError(filePath, [`parse error: ${e.message}`]);
+      }
+      throw e;
+    }
+
+    const errors = this.validate(raw);
+    if (errors.length > 0) {
+      throw new JobConfigError(filePath, errors);
+    }
+
+    // Relative paths in the job file are resolved against the job file's directory
+    const baseDir = path.dirname(path.resolve(filePath));
+    const resolve = p => path.resolve(baseDir, p);
+
+    const resolveOptional = p => (p ? resolve(p) : null);
+
+    return {
+      input: resolve(raw.input),
+      workRoot: resolveOptional(raw.workRoot),
+      workDir: resolveOptional(raw.workDir),
+      outputDir: resolveOptional(raw.outputDir),
+      output: resolveOptional(raw.output),
+      keystore: raw.keystore ? this.resolveKeystore(raw.keystore, resolve) : null,
+      tools: raw.tools ? this.resolveTools(raw.tools, resolve) : null,
+      java: {
+        enabled: Boolean(raw.java && raw.java.enabled),
+        timeout: raw.java && raw.java.timeout ? raw.java.timeout * 1000 : null
+      },
+      signing: { v4: Boolean(raw.signing && raw.signing.v4) },
+      modifications: { ...DEFAULT_MODIFICATIONS, ...(raw.modifications || {}) }
+    };
+  }
+}
+
+module.exports = JobConfig;
+module.exports.PASSWORD_SOURCE_SCHEMA = PASSWORD_SOURCE_SCHEMA;
+module.exports.JobConfigError = JobConfigError;
+module.exports.DEFAULT_MODIFICATIONS = DEFAULT_MODIFICATIONS;
+module.exports.JOB_SCHEMA = JOB_SCHEMA;
@@ -0,0 +1,145 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const WORK_ROOT_ENV = 'APK_EDITOR_WORK_ROOT';
+const DEFAULT_WORK_ROOT = 'work';
+const DEFAULT_OUTPUT_DIR = 'output';
+const STATE_FILE = 'state.json';
+// Kept by removeIntermediates: Java sources are linked from the reports
+const KEPT_DIRS = ['java'];
+
+// ============================================================================
+// CLASS: JobWorkspace
+// ============================================================================
+// One directory per job under a shared root (work/<job id>/), holding the
+// decompiled tree, intermediate APKs and reports. Job ids are unique and the
+// directory is created exclusively, so concurrent jobs never share paths.
+// Final APKs go to the output directory, named after package and version.
+class JobWorkspace {
+  constructor(options = {}) {
+    this.root = options.root || process.env[WORK_ROOT_ENV] || DEFAULT_WORK_ROOT;
+    this.outputDir = options.outputDir || DEFAULT_OUTPUT_DIR;
+    this.id = options.id || null;
+    this.dir = this.id ? path.join(this.root, this.id) : null;
+  }
+
+  // 20260101-120000-<pid>-<random>: sortable by start time, unique across processes
+  static newId() {
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+    return `${stamp}-${process.pid}-${crypto.randomBytes(3).toString('hex')}`;
+  }
+
+  // Job ids under the root, newest first (ids start with their creation time)
+  listJobs() {
+    try {
+      return fs.readdirSync(this.root, { withFileTypes: true })
+        .filter(entry => entry.isDirectory())
+        .map(entry => entry.name)
+        .sort()
+        .reverse();
+    } catch (error) {
+      return [];
+    }
+  }
+
+  // Create the job directory (an explicit or already created id is reused)
+  create() {
+    fs.mkdirSync(this.root, { recursive: true });
+
+    if (this.id) {
+      fs.mkdirSync(this.dir, { recursive: true });
+      return this;
+    }
+
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const id = JobWorkspace.newId();
+      try {
+        fs.mkdirSync(path.join(this.root, id));
+        this.id = id;
+        this.dir = path.join(this.root, id);
+        return this;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+    }
+    throw new Error(`Could not create a unique job directory under ${this.root}`);
+  }
+
+  path(...parts) {
+    if (!this.dir) {
+      throw new Error('Job workspace not created yet');
+    }
+    return path.join(this.dir, ...parts);
+  }
+
+  get decompiledDir() {
+    return this.path('decompiled');
+  }
+
+  get unsignedApk() {
+    return this.path('modified.apk');
+  }
+
+  get reportPath() {
+    return this.path('analysis.json');
+  }
+
+  // Progress of a pipeline run, so an interrupted job can be resumed (null if none)
+  readState() {
+    try {
+      return JSON.parse(fs.readFileSync(this.path(STATE_FILE), 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  writeState(patch) {
+    const state = { ...(this.readState() || {}), ...patch, updatedAt: new Date().toISOString() };
+    fs.writeFileSync(this.path(STATE_FILE), JSON.stringify(state, null, 2));
+    return state;
+  }
+
+  // "<package>-<versionName>-<versionCode>[-<tag>]", safe as a file name
+  static outputName({ packageName, versionName, versionCode, tag }) {
+    const name = [packageName || 'app', versionName, versionCode, tag].filter(Boolean).join('-');
+    return name.replace(/[^\w.-]+/g, '_');
+  }
+
+  // Claim <outputDir>/<package>-<version>.apk, or a job-id suffixed name if another job has it
+  reserveOutput(info) {
+    fs.mkdirSync(this.outputDir, { recursive: true });
+
+    const name = JobWorkspace.outputName(info);
+    const suffix = this.id || JobWorkspace.newId();
+    for (const candidate of [`${name}.apk`, `${name}-${suffix}.apk`]) {
+      const outputPath = path.join(this.outputDir, candidate);
+      try {
+        fs.writeFileSync(outputPath, '', { flag: 'wx' });
+        return outputPath;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+    }
+    throw new Error(`Output already exists: ${path.join(this.outputDir, `${name}-${suffix}.apk`)}`);
+  }
+
+  // Drop the bulky intermediates; reports, logs and Java sources stay for later inspection
+  removeIntermediates() {
+    if (!this.dir || !fs.existsSync(this.dir)) return;
+
+    for (const entry of fs.readdirSync(this.dir)) {
+      if (/\.(json|log|html)$/.test(entry) || KEPT_DIRS.includes(entry)) continue;
+      fs.rmSync(path.join(this.dir, entry), { recursive: true, force: true });
+    }
+  }
+
+  toJSON() {
+    return { id: this.id, dir: this.dir, root: this.root, outputDir: this.outputDir };
+  }
+}
+
+module.exports = JobWorkspace;
+module.exports.WORK_ROOT_ENV = WORK_ROOT_ENV;
+module.exports.DEFAULT_WORK_ROOT = DEFAULT_WORK_ROOT;
+module.exports.DEFAULT_OUTPUT_DIR = DEFAULT_OUTPUT_DIR;
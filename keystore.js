@@ -0,0 +1,138 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const ProcessRunner = require('./process-runner');
+
+// Names the resolved passwords get in the child-process environment only;
+// keytool/jarsigner/apksigner read them via :env / env: so they never hit argv
+const STORE_PASS_ENV = 'APK_EDITOR_STORE_PASS';
+const KEY_PASS_ENV = 'APK_EDITOR_KEY_PASS';
+
+const PKCS12_EXTENSIONS = ['.p12', '.pfx'];
+const DEFAULT_DNAME = 'CN=APK Editor Debug, OU=Android, O=APK Editor, C=ID';
+
+// Resolved passwords live outside the instance so console.log/inspect can't print them
+const resolvedPasswords = new WeakMap();
+
+// Used when neither a job file nor CLI flags configure a keystore
+const DEFAULT_KEYSTORE = {
+  path: 'my-key.keystore',
+  alias: 'mykey'
+};
+
+// ============================================================================
+// CLASS: Keystore
+// ============================================================================
+// Signing key location plus where its passwords come from ({ env } or { file }).
+// Password values are resolved lazily and never logged or serialized.
+class Keystore {
+  constructor(config = DEFAULT_KEYSTORE) {
+    this.path = config.path;
+    this.alias = config.alias;
+    this.type = config.type || (PKCS12_EXTENSIONS.includes(path.extname(config.path).toLowerCase()) ? 'pkcs12' : null);
+    // Default password source: "<keystore>.pass" next to the keystore
+    this.storePassword = config.storePassword || { file: `${config.path}.pass` };
+    this.keyPassword = config.keyPassword || this.storePassword;
+    this.generate = config.generate === true;
+    this.dname = config.dname || DEFAULT_DNAME;
+  }
+
+  // "env:NAME" / "file:path" - safe to print
+  static describeSource(source) {
+    return source.env ? `env:${source.env}` : `file:${source.file}`;
+  }
+
+  // Read one password; a missing password file is created only while generating a new keystore
+  readPassword(source, label, create = false) {
+    if (source.env) {
+      const value = process.env[source.env];
+      if (!value) {
+        throw new Error(`${label} password: environment variable ${source.env} is not set`);
+      }
+      return value;
+    }
+
+    if (!fs.existsSync(source.file)) {
+      if (!create) {
+        throw new Error(`${label} password: file not found: ${source.file}`);
+      }
+      fs.mkdirSync(path.dirname(path.resolve(source.file)), { recursive: true });
+      fs.writeFileSync(source.file, crypto.randomBytes(24).toString('hex') + '\n', { mode: 0o600 });
+      console.log(`   🔑 Generated ${label.toLowerCase()} password file: ${source.file}`);
+    }
+
+    // First line only, like apksigner's file: source
+    const value = fs.readFileSync(source.file, 'utf8').split(/\r?\n/)[0];
+    if (!value) {
+      throw new Error(`${label} password: file is empty: ${source.file}`);
+    }
+    return value;
+  }
+
+  passwords() {
+    if (!resolvedPasswords.has(this)) {
+      const creating = this.generate && !fs.existsSync(this.path);
+      const store = this.readPassword(this.storePassword, 'Store', creating);
+      // PKCS12 keystores have a single password for the store and its keys
+      const key = this.type === 'pkcs12' || this.keyPassword === this.storePassword
+        ? store
+        : this.readPassword(this.keyPassword, 'Key', creating);
+      resolvedPasswords.set(this, { store, key });
+    }
+    return resolvedPasswords.get(this);
+  }
+
+  // Environment for keytool/jarsigner/apksigner child processes
+  toolEnv() {
+    const { store, key } = this.passwords();
+    return { ...process.env, [STORE_PASS_ENV]: store, [KEY_PASS_ENV]: key };
+  }
+
+  // Store-type arguments for keytool/jarsigner ('-storetype') or apksigner ('--ks-type')
+  typeArgs(flag) {
+    return this.type ? [flag, this.type.toUpperCase()] : [];
+  }
+
+  // Fail early when the keystore cannot be used: missing file without opt-in, or unresolvable passwords
+  check() {
+    if (!fs.existsSync(this.path) && !this.generate) {
+      throw new Error(
+        `Keystore not found: ${this.path} ` +
+        '(set keystore.generate: true in the job file or pass --generate-keystore to create one)'
+      );
+    }
+    this.passwords();
+  }
+
+  // Make sure the keystore exists, generating it only when opted in
+  async ensure() {
+    this.check();
+    if (fs.existsSync(this.path)) return;
+
+    console.log(`   🔑 Generating keystore: ${this.path} (alias ${this.alias})`);
+    fs.mkdirSync(path.dirname(path.resolve(this.path)), { recursive: true });
+    await ProcessRunner.run('keytool', [
+      '-genkeypair', '-keystore', this.path, '-alias', this.alias, ...this.typeArgs('-storetype'),
+      '-keyalg', 'RSA', '-keysize', '2048', '-validity', '10000',
+      '-storepass:env', STORE_PASS_ENV, ...(this.type === 'pkcs12' ? [] : ['-keypass:env', KEY_PASS_ENV]),
+      '-dname', this.dname
+    ], { label: 'keytool -genkeypair', env: this.toolEnv(), echo: false, timeout: 120000 });
+  }
+
+  // Report-safe description (password sources only, never values)
+  toJSON() {
+    return {
+      path: this.path,
+      alias: this.alias,
+      type: this.type || 'auto',
+      storePassword: Keystore.describeSource(this.storePassword),
+      keyPassword: Keystore.describeSource(this.keyPassword),
+      generate: this.generate
+    };
+  }
+}
+
+module.exports = Keystore;
+module.exports.DEFAULT_KEYSTORE = DEFAULT_KEYSTORE;
+module.exports.STORE_PASS_ENV = STORE_PASS_ENV;
+module.exports.KEY_PASS_ENV = KEY_PASS_ENV;
@@ -0,0 +1,475 @@
+const fs = require('fs');
+const path = require('path');
+const ZipReader = require('./zip-reader');
+const AXMLDecoder = require('./axml-decoder');
+
+const ANDROID_NS = 'http://schemas.android.com/apk/res/android';
+const COMPONENT_TAGS = ['activity', 'activity-alias', 'service', 'receiver', 'provider'];
+
+// ============================================================================
+// CLASS: XMLParser
+// ============================================================================
+// Minimal non-validating XML parser. Every element keeps its source offsets
+// (start/end, plus each attribute value's range) so edits can splice the
+// original text instead of re-serializing the whole document.
+class XMLParser {
+  static decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-fA-F]+|#\d+|amp|lt|gt|quot|apos);/g, (m, entity) => {
+      if (entity[0] === '#') {
+        const code = entity[1] === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+        return String.fromCodePoint(code);
+      }
+      return { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" }[entity];
+    });
+  }
+
+  static encodeEntities(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  static parse(xml) {
+    const root = { name: '#document', attributes: {}, attributeRanges: {}, children: [], text: '', start: 0, end: xml.length };
+    const stack = [root];
+    let pos = 0;
+
+    const fail = (message) => {
+      const line = xml.slice(0, pos).split('\n').length;
+      throw new Error(`XML parse error at line ${line}: ${message}`);
+    };
+
+    while (pos < xml.length) {
+      const lt = xml.indexOf('<', pos);
+      const current = stack[stack.length - 1];
+
+      if (lt === -1) {
+        current.text += this.decodeEntities(xml.slice(pos));
+        break;
+      }
+      if (lt > pos) {
+        current.text += this.decodeEntities(xml.slice(pos, lt));
+      }
+      pos = lt;
+
+      if (xml.startsWith('<!--', pos)) {
+        const end = xml.indexOf('-->', pos + 4);
+        if (end === -1) fail('unterminated comment');
+        pos = end + 3;
+      } else if (xml.startsWith('<![CDATA[', pos)) {
+        const end = xml.indexOf(']]>', pos + 9);
+        if (end === -1) fail('unterminated CDATA section');
+        current.text += xml.slice(pos + 9, end);
+        pos = end + 3;
+      } else if (xml.startsWith('<?', pos)) {
+        const end = xml.indexOf('?>', pos + 2);
+        if (end === -1) fail('unterminated processing instruction');
+        pos = end + 2;
+      } else if (xml.startsWith('<!', pos)) {
+        const end = xml.indexOf('>', pos + 2);
+        if (end === -1) fail('unterminated declaration');
+        pos = end + 1;
+      } else if (xml.startsWith('</', pos)) {
+        const end = xml.indexOf('>', pos + 2);
+        if (end === -1) fail('unterminated end tag');
+        const name = xml.slice(pos + 2, end).trim();
+        if (stack.length === 1 || current.name !== name) {
+          fail(`unexpected </${name}>` + (stack.length > 1 ? ` (expected </${current.name}>)` : ''));
+        }
+        current.end = end + 1;
+        stack.pop();
+        pos = end + 1;
+      } else {
+        pos = this.parseStartTag(xml, pos, stack, fail);
+      }
+    }
+
+    if (stack.length > 1) {
+      fail(`unclosed <${stack[stack.length - 1].name}>`);
+    }
+
+    return root;
+  }
+
+  static parseStartTag(xml, start, stack, fail) {
+    const nameMatch = /^<([A-Za-z_][\w.:-]*)/.exec(xml.slice(start, start + 256));
+    if (!nameMatch) fail('invalid tag name');
+
+    const element = {
+      name: nameMatch[1],
+      attributes: {},
+      attributeRanges: {},
+      attributeSpans: {},
+      children: [],
+      text: '',
+      start,
+      end: -1,
+      parent: stack[stack.length - 1]
+    };
+    let pos = start + nameMatch[0].length;
+
+    const attrPattern = /\s*([A-Za-z_][\w.:-]*)\s*=\s*("([^"]*)"|'([^']*)')|\s*(\/?>)/y;
+    for (;;) {
+      attrPattern.lastIndex = pos;
+      const match = attrPattern.exec(xml);
+      if (!match) fail(`malformed attributes in <${element.name}>`);
+      pos = attrPattern.lastIndex;
+
+      if (match[5]) {
+        element.parent.children.push(element);
+        if (match[5] === '/>') {
+          element.end = pos;
+        } else {
+          stack.push(element);
+        }
+        return pos;
+      }
+
+      const raw = match[3] !== undefined ? match[3] : match[4];
+      const valueEnd = pos - 1;
+      element.attributes[match[1]] = this.decodeEntities(raw);
+      element.attributeRanges[match[1]] = { start: valueEnd - raw.length, end: valueEnd };
+      element.attributeSpans[match[1]] = { start: match.index, end: pos };
+    }
+  }
+
+  // Apply non-overlapping { start, end, text } splices to source text
+  static splice(source, edits) {
+    const sorted = [...edits].sort((a, b) => b.start - a.start);
+    let result = source;
+    for (const edit of sorted) {
+      result = result.slice(0, edit.start) + edit.text + result.slice(edit.end);
+    }
+    return result;
+  }
+}
+
+// ============================================================================
+// CLASS: AndroidManifest
+// ============================================================================
+// Model of a decoded (apktool) AndroidManifest.xml. apktool moves uses-sdk and
+// version info into apktool.yml, so those are read from there when missing.
+class AndroidManifest {
+  constructor(xml, apktoolYml = null) {
+    this.xml = xml;
+    this.document = XMLParser.parse(xml);
+    this.root = this.document.children.find(el => el.name === 'manifest');
+
+    if (!this.root) {
+      throw new Error('Not an AndroidManifest.xml: missing <manifest> root');
+    }
+
+    this.ns = this.detectAndroidPrefix();
+    this.sdkInfo = AndroidManifest.parseApktoolYml(apktoolYml);
+    this.build();
+  }
+
+  // Load from a decompiled directory (AndroidManifest.xml + apktool.yml)
+  static fromDecompiledDir(dir) {
+    const manifestPath = path.join(dir, 'AndroidManifest.xml');
+    const ymlPath = path.join(dir, 'apktool.yml');
+    const yml = fs.existsSync(ymlPath) ? fs.readFileSync(ymlPath, 'utf8') : null;
+    return new AndroidManifest(fs.readFileSync(manifestPath, 'utf8'), yml);
+  }
+
+  // Load straight from an APK by decoding its binary AndroidManifest.xml (no apktool)
+  static fromAPK(apkPath) {
+    const zip = ZipReader.open(apkPath);
+    try {
+      return new AndroidManifest(AXMLDecoder.toXML(zip.read('AndroidManifest.xml')));
+    } finally {
+      zip.close();
+    }
+  }
+
+  // Pull the few scalar keys we need out of apktool.yml
+  static parseApktoolYml(yml) {
+    const info = {};
+    if (!yml) return info;
+
+    for (const key of ['minSdkVersion', 'targetSdkVersion', 'maxSdkVersion', 'versionCode', 'versionName']) {
+      const match = yml.match(new RegExp(`^\\s*${key}:\\s*['"]?([^'"\\n]+?)['"]?\\s*$`, 'm'));
+      if (match && match[1] !== 'null') {
+        info[key] = match[1];
+      }
+    }
+    return info;
+  }
+
+  detectAndroidPrefix() {
+    for (const [name, value] of Object.entries(this.root.attributes)) {
+      if (name.startsWith('xmlns:') && value === ANDROID_NS) {
+        return name.slice(6);
+      }
+    }
+    return 'android';
+  }
+
+  // Read android:<name> from an element
+  attr(element, name) {
+    const value = element.attributes[`${this.ns}:${name}`];
+    return value === undefined ? null : value;
+  }
+
+  boolAttr(element, name) {
+    const value = this.attr(element, name);
+    if (value === null) return null;
+    return value === 'true';
+  }
+
+  // Expand ".Foo" / "Foo" to a fully qualified class name
+  resolveClassName(name) {
+    if (!name) return name;
+    if (name.startsWith('.')) return this.package + name;
+    if (!name.includes('.')) return `${this.package}.${name}`;
+    return name;
+  }
+
+  childrenNamed(element, name) {
+    return element ? element.children.filter(el => el.name === name) : [];
+  }
+
+  // Every android:* attribute without the namespace prefix
+  androidAttributes(element) {
+    const attrs = {};
+    const prefix = `${this.ns}:`;
+    for (const [name, value] of Object.entries(element.attributes)) {
+      if (name.startsWith(prefix)) {
+        attrs[name.slice(prefix.length)] = value;
+      }
+    }
+    return attrs;
+  }
+
+  parseMetaData(element) {
+    return this.childrenNamed(element, 'meta-data').map(el => ({
+      name: this.attr(el, 'name'),
+      value: this.attr(el, 'value'),
+      resource: this.attr(el, 'resource')
+    }));
+  }
+
+  parseIntentFilters(element) {
+    return this.childrenNamed(element, 'intent-filter').map(filter => ({
+      actions: this.childrenNamed(filter, 'action').map(el => this.attr(el, 'name')),
+      categories: this.childrenNamed(filter, 'category').map(el => this.attr(el, 'name')),
+      data: this.childrenNamed(filter, 'data').map(el => this.androidAttributes(el)),
+      priority: this.attr(filter, 'priority'),
+      autoVerify: this.boolAttr(filter, 'autoVerify') === true
+    }));
+  }
+
+  parseComponent(element) {
+    const component = {
+      type: element.name,
+      name: this.resolveClassName(this.attr(element, 'name')),
+      exported: this.boolAttr(element, 'exported'),
+      enabled: this.boolAttr(element, 'enabled') !== false,
+      permission: this.attr(element, 'permission'),
+      process: this.attr(element, 'process'),
+      intentFilters: this.parseIntentFilters(element),
+      metaData: this.parseMetaData(element),
+      attributes: this.androidAttributes(element)
+    };
+
+    if (element.name === 'activity-alias') {
+      component.targetActivity = this.resolveClassName(this.attr(element, 'targetActivity'));
+    }
+
+    if (element.name === 'provider') {
+      component.authorities = (this.attr(element, 'authorities') || '').split(';').filter(Boolean);
+      component.readPermission = this.attr(element, 'readPermission');
+      component.writePermission = this.attr(element, 'writePermission');
+      component.grantUriPermissions = this.boolAttr(element, 'grantUriPermissions') === true;
+      component.grantUriPermissionPaths = this.childrenNamed(element, 'grant-uri-permission')
+        .map(el => this.androidAttributes(el));
+    }
+
+    return component;
+  }
+
+  build() {
+    const root = this.root;
+    const usesSdk = this.childrenNamed(root, 'uses-sdk')[0];
+    const sdk = (name) => {
+      const value = (usesSdk && this.attr(usesSdk, name)) || this.sdkInfo[name];
+      return value ? parseInt(value, 10) : null;
+    };
+
+    this.package = root.attributes.package || null;
+    this.versionCode = this.attr(root, 'versionCode') || this.sdkInfo.versionCode || null;
+    this.versionName = this.attr(root, 'versionName') || this.sdkInfo.versionName || null;
+    this.compileSdk = this.attr(root, 'compileSdkVersion');
+    this.minSdk = sdk('minSdkVersion');
+    this.targetSdk = sdk('targetSdkVersion');
+    this.maxSdk = sdk('maxSdkVersion');
+
+    // <uses-permission> and <uses-permission-sdk-23> are what the app requests
+    this.usesPermissions = root.children
+      .filter(el => el.name === 'uses-permission' || el.name === 'uses-permission-sdk-23')
+      .map(el => ({
+        name: this.attr(el, 'name'),
+        maxSdkVersion: this.attr(el, 'maxSdkVersion'),
+        sdk23Only: el.name === 'uses-permission-sdk-23'
+      }));
+
+    // <permission> is what the app declares for others
+    this.declaredPermissions = this.childrenNamed(root, 'permission').map(el => ({
+      name: this.attr(el, 'name'),
+      protectionLevel: this.attr(el, 'protectionLevel') || 'normal'
+    }));
+
+    this.usesFeatures = this.childrenNamed(root, 'uses-feature').map(el => ({
+      name: this.attr(el, 'name'),
+      required: this.boolAttr(el, 'required') !== false
+    }));
+
+    this.applicationElement = this.childrenNamed(root, 'application')[0] || null;
+    const app = this.applicationElement;
+    const components = app ? app.children.filter(el => COMPONENT_TAGS.includes(el.name)) : [];
+
+    this.application = app ? {
+      name: this.resolveClassName(this.attr(app, 'name')),
+      label: this.attr(app, 'label'),
+      flags: {
+        debuggable: this.boolAttr(app, 'debuggable') === true,
+        allowBackup: this.boolAttr(app, 'allowBackup') !== false,
+        usesCleartextTraffic: this.boolAttr(app, 'usesCleartextTraffic'),
+        extractNativeLibs: this.boolAttr(app, 'extractNativeLibs'),
+        largeHeap: this.boolAttr(app, 'largeHeap') === true,
+        hasCode: this.boolAttr(app, 'hasCode') !== false,
+        testOnly: this.boolAttr(app, 'testOnly') === true,
+        requestLegacyExternalStorage: this.boolAttr(app, 'requestLegacyExternalStorage') === true
+      },
+      networkSecurityConfig: this.attr(app, 'networkSecurityConfig'),
+      attributes: this.androidAttributes(app)
+    } : null;
+
+    const parsed = components.map(el => this.parseComponent(el));
+    this.activities = parsed.filter(c => c.type === 'activity');
+    this.activityAliases = parsed.filter(c => c.type === 'activity-alias');
+    this.services = parsed.filter(c => c.type === 'service');
+    this.receivers = parsed.filter(c => c.type === 'receiver');
+    this.providers = parsed.filter(c => c.type === 'provider');
+    this.metaData = this.parseMetaData(app);
+  }
+
+  get components() {
+    return [...this.activities, ...this.activityAliases, ...this.services, ...this.receivers, ...this.providers];
+  }
+
+  hasUsesPermission(name) {
+    return this.usesPermissions.some(p => p.name === name);
+  }
+
+  // Plain object for JSON reports
+  toJSON() {
+    return {
+      package: this.package,
+      versionCode: this.versionCode,
+      versionName: this.versionName,
+      compileSdk: this.compileSdk,
+      minSdk: this.minSdk,
+      targetSdk: this.targetSdk,
+      maxSdk: this.maxSdk,
+      usesPermissions: this.usesPermissions,
+      declaredPermissions: this.declaredPermissions,
+      usesFeatures: this.usesFeatures,
+      application: this.application,
+      activities: this.activities,
+      activityAliases: this.activityAliases,
+      services: this.services,
+      receivers: this.receivers,
+      providers: this.providers,
+      metaData: this.metaData
+    };
+  }
+
+  // === EDITS (return new XML text, original formatting preserved) ===
+
+  // Insert <uses-permission> right before <application>
+  addUsesPermission(name) {
+    if (this.hasUsesPermission(name)) return this.xml;
+
+    const anchor = this.applicationElement || null;
+    const text = `<uses-permission ${this.ns}:name="${XMLParser.encodeEntities(name)}"/>`;
+
+    if (anchor) {
+      return XMLParser.splice(this.xml, [{ start: anchor.start, end: anchor.start, text: `${text}\n    ` }]);
+    }
+
+    // No <application>: append before </manifest>
+    const closeTag = this.xml.lastIndexOf('</manifest>');
+    return XMLParser.splice(this.xml, [{ start: closeTag, end: closeTag, text: `    ${text}\n` }]);
+  }
+
+  // Remove every <uses-permission*> element (and its leading whitespace) for name
+  removeUsesPermission(name) {
+    const edits = this.root.children
+      .filter(el => (el.name === 'uses-permission' || el.name === 'uses-permission-sdk-23') &&
+        this.attr(el, 'name') === name)
+      .map(el => {
+        let start = el.start;
+        while (start > 0 && /[ \t\r\n]/.test(this.xml[start - 1])) start--;
+        return { start, end: el.end, text: '' };
+      });
+    return XMLParser.splice(this.xml, edits);
+  }
+
+  // Rewrite attribute values on any element: fn(element, attrName, value) → new value or undefined
+  mapAttributes(fn) {
+    const edits = [];
+    const visit = (element) => {
+      for (const [name, value] of Object.entries(element.attributes)) {
+        const replacement = fn(element, name, value);
+        if (replacement !== undefined && replacement !== value) {
+          const range = element.attributeRanges[name];
+          edits.push({ start: range.start, end: range.end, text: XMLParser.encodeEntities(replacement) });
+        }
+      }
+      element.children.forEach(visit);
+    };
+    visit(this.root);
+    return XMLParser.splice(this.xml, edits);
+  }
+
+  // Drop attributes (with their leading whitespace) on any element: fn(element, attrName, value) → true to remove
+  removeAttributes(fn) {
+    const edits = [];
+    const visit = (element) => {
+      for (const [name, value] of Object.entries(element.attributes)) {
+        if (fn(element, name, value)) {
+          const span = element.attributeSpans[name];
+          edits.push({ start: span.start, end: span.end, text: '' });
+        }
+      }
+      element.children.forEach(visit);
+    };
+    visit(this.root);
+    return XMLParser.splice(this.xml, edits);
+  }
+
+  // Drop whole elements (and their leading whitespace) anywhere below <manifest>: fn(element) → true to remove
+  removeElements(fn) {
+    const edits = [];
+    const visit = (element) => {
+      for (const child of element.children) {
+        if (fn(child)) {
+          let start = child.start;
+          while (start > 0 && /[ \t\r\n]/.test(this.xml[start - 1])) start--;
+          edits.push({ start, end: child.end, text: '' });
+        } else {
+          visit(child);
+        }
+      }
+    };
+    visit(this.root);
+    return XMLParser.splice(this.xml, edits);
+  }
+}
+
+module.exports = AndroidManifest;
+module.exports.XMLParser = XMLParser;
+module.exports.ANDROID_NS = ANDROID_NS;
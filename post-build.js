@@ -0,0 +1,136 @@
+const fs = require('fs');
+const AndroidBuildTools = require('./android-build-tools');
+const AndroidManifest = require('./manifest-parser');
+const ZipReader = require('./zip-reader');
+const ProcessRunner = require('./process-runner');
+
+// Android 11 (API 30) refuses to install apps targeting it with a compressed resources.arsc
+const STORED_ARSC_TARGET_SDK = 30;
+
+// ============================================================================
+// CLASS: PostBuild
+// ============================================================================
+// zipalign + integrity checks on a built APK. Every check reports
+// { name, ok, detail } so the caller can fail with a clear reason.
+class PostBuild {
+  constructor(options = {}) {
+    this.zipalign = options.zipalign !== undefined ? options.zipalign : AndroidBuildTools.find('zipalign', 'ZIPALIGN');
+  }
+
+  // 4-byte alignment, plus page alignment (-p) for uncompressed .so files
+  async align(inputApk, outputApk) {
+    if (!this.zipalign) {
+      throw new Error('zipalign not found (install Android build-tools or set ZIPALIGN)');
+    }
+    await ProcessRunner.run(this.zipalign, ['-f', '-p', '4', inputApk, outputApk], { label: 'zipalign', echo: false, timeout: 300000 });
+  }
+
+  // Align an APK in place (used after jarsigner, which must sign before aligning)
+  async alignInPlace(apkPath) {
+    const aligned = `${apkPath}.aligned`;
+    try {
+      await this.align(apkPath, aligned);
+      fs.renameSync(aligned, apkPath);
+    } finally {
+      if (fs.existsSync(aligned)) fs.unlinkSync(aligned);
+    }
+  }
+
+  async checkAlignment(apkPath) {
+    if (!this.zipalign) {
+      return { name: 'zipalign', ok: false, detail: 'zipalign not found, alignment cannot be verified' };
+    }
+    try {
+      await ProcessRunner.run(this.zipalign, ['-c', '-p', '4', apkPath], { label: 'zipalign -c', echo: false, capture: true, timeout: 300000 });
+      return { name: 'zipalign', ok: true, detail: '4-byte aligned, .so files page-aligned' };
+    } catch (error) {
+      if (ProcessRunner.isCancelled(error) || !error.result) throw error;
+      const output = error.result.stdout + error.result.stderr;
+      const bad = output.split('\n').filter(line => /\(BAD/.test(line)).map(line => line.trim());
+      return { name: 'zipalign', ok: false, detail: bad.length ? `misaligned: ${bad.slice(0, 5).join('; ')}` : output.trim() || error.message };
+    }
+  }
+
+  // Compression method of one entry ('stored', 'deflated', ...), or null if absent
+  entryMethod(apkPath, entryName) {
+    const zip = ZipReader.open(apkPath);
+    try {
+      const entry = zip.getEntry(entryName);
+      return entry ? entry.methodName : null;
+    } finally {
+      zip.close();
+    }
+  }
+
+  checkResourcesArsc(apkPath, targetSdk) {
+    let method;
+    try {
+      method = this.entryMethod(apkPath, 'resources.arsc');
+    } catch (error) {
+      return { name: 'resources.arsc', ok: false, detail: `cannot read APK: ${error.message}` };
+    }
+
+    if (method === null) {
+      return { name: 'resources.arsc', ok: true, detail: 'not present' };
+    }
+    if (method === 'stored') {
+      return { name: 'resources.arsc', ok: true, detail: 'stored uncompressed' };
+    }
+    if (targetSdk !== null && targetSdk >= STORED_ARSC_TARGET_SDK) {
+      return {
+        name: 'resources.arsc',
+        ok: false,
+        detail: `compressed (${method}) but targetSdk ${targetSdk} requires it stored uncompressed`
+      };
+    }
+    return { name: 'resources.arsc', ok: true, detail: `compressed (${method}), allowed below targetSdk ${STORED_ARSC_TARGET_SDK}` };
+  }
+
+  // Decode the binary manifest of the built APK
+  readManifest(apkPath) {
+    return AndroidManifest.fromAPK(apkPath);
+  }
+
+  // Compare the output manifest with what was built (package, version, SDK levels)
+  checkManifest(manifest, expected) {
+    const summary = [manifest.package, manifest.versionName, `(versionCode ${manifest.versionCode})`].filter(Boolean).join(' ');
+    if (!expected) {
+      return { name: 'manifest', ok: true, detail: summary };
+    }
+
+    const mismatches = ['package', 'versionCode', 'versionName', 'minSdk', 'targetSdk']
+      .filter(field => expected[field] !== null && String(manifest[field]) !== String(expected[field]))
+      .map(field => `${field} ${manifest[field]} != ${expected[field]}`);
+
+    return mismatches.length > 0
+      ? { name: 'manifest', ok: false, detail: `output differs from sources: ${mismatches.join(', ')}` }
+      : { name: 'manifest', ok: true, detail: summary };
+  }
+
+  // Run every check on a signed APK; expected = manifest the APK was built from (optional)
+  async verify(apkPath, signer, expected = null) {
+    const checks = [await this.checkAlignment(apkPath)];
+
+    const signature = await signer.verify(apkPath);
+    checks.push({
+      name: 'signature',
+      ok: signature.verified,
+      detail: signature.verified ? `${signature.tool}: ${signer.describeSchemes(signature.schemes)}` : signature.error
+    });
+
+    let manifest = null;
+    try {
+      manifest = this.readManifest(apkPath);
+      checks.push(this.checkManifest(manifest, expected));
+    } catch (error) {
+      checks.push({ name: 'manifest', ok: false, detail: `cannot read manifest from output: ${error.message.split('\n')[0]}` });
+    }
+
+    const targetSdk = manifest ? manifest.targetSdk : (expected ? expected.targetSdk : null);
+    checks.push(this.checkResourcesArsc(apkPath, targetSdk));
+
+    return { ok: checks.every(check => check.ok), checks };
+  }
+}
+
+module.exports = PostBuild;
@@ -0,0 +1,218 @@
+const { spawn } = require('child_process');
+
+// How a finished process is classified
+const STATUS = {
+  OK: 'ok',
+  FAILED: 'failed',
+  TIMEOUT: 'timeout',
+  CANCELLED: 'cancelled',
+  NOT_FOUND: 'not-found',
+  OUT_OF_MEMORY: 'out-of-memory',
+  KILLED: 'killed'
+};
+
+// SIGTERM first, SIGKILL if the process is still there after this long
+const KILL_GRACE_MS = 5000;
+// Print a "still running" line when a process has been silent this long
+const HEARTBEAT_MS = 30000;
+// Output lines kept per stream for error messages
+const TAIL_LINES = 50;
+
+class ProcessError extends Error {
+  constructor(message, result) {
+    super(message);
+    this.name = 'ProcessError';
+    this.status = result.status;
+    this.result = result;
+  }
+}
+
+// ============================================================================
+// CLASS: ProcessRunner
+// ============================================================================
+// Runs external tools with spawn instead of execSync: output is streamed line
+// by line (indented) while the event loop stays free, timeouts kill the whole
+// tool, and Ctrl-C is forwarded to running children. Every run resolves with
+// { status, code, signal, stdout, stderr, durationMs } or rejects with a
+// ProcessError whose status says why (timeout, cancelled, out-of-memory, ...).
+// After a Ctrl-C no new process is started, so callers unwind instead of
+// falling back to another tool.
+class ProcessRunner {
+  // options: label, cwd, env, timeout (ms), echo (stream output, default true),
+  // capture (keep the full stdout/stderr), prefix (indent for echoed lines)
+  static run(command, args = [], options = {}) {
+    const label = options.label || command;
+    const started = Date.now();
+
+    if (ProcessRunner.interrupted) {
+      const result = ProcessRunner.result(command, args, STATUS.CANCELLED, null, null, started);
+      return Promise.reject(new ProcessError(`${label} not started: cancelled`, result));
+    }
+
+    return new Promise((resolve, reject) => {
+      const echo = options.echo !== false;
+      const prefix = options.prefix !== undefined ? options.prefix : '      ';
+      const output = { stdout: [], stderr: [] };
+      let lastOutput = Date.now();
+      let timedOut = false;
+      let killTimer = null;
+
+      const child = spawn(command, args, {
+        cwd: options.cwd,
+        env: options.env || process.env,
+        stdio: ['ignore', 'pipe', 'pipe']
+      });
+      ProcessRunner.track(child);
+
+      const collect = (stream, name, log) => {
+        let pending = '';
+        stream.setEncoding('utf8');
+        stream.on('data', chunk => {
+          lastOutput = Date.now();
+          const lines = (pending + chunk).split(/\r?\n/);
+          pending = lines.pop();
+          lines.forEach(line => keep(name, line, log));
+        });
+        stream.on('end', () => {
+          if (pending) keep(name, pending, log);
+        });
+      };
+      const keep = (name, line, log) => {
+        output[name].push(line);
+        if (!options.capture && output[name].length > TAIL_LINES) output[name].shift();
+        if (echo && line.trim()) log(`${prefix}${line}`);
+      };
+      collect(child.stdout, 'stdout', console.log);
+      collect(child.stderr, 'stderr', console.error);
+
+      const kill = () => {
+        child.kill('SIGTERM');
+        killTimer = setTimeout(() => child.kill('SIGKILL'), KILL_GRACE_MS);
+      };
+      const timeoutTimer = options.timeout
+        ? setTimeout(() => {
+          timedOut = true;
+          console.error(`${prefix}⏱️  ${label} timed out after ${Math.round(options.timeout / 1000)}s, stopping it`);
+          kill();
+        }, options.timeout)
+        : null;
+      const heartbeat = setInterval(() => {
+        if (Date.now() - lastOutput >= HEARTBEAT_MS) {
+          console.log(`${prefix}⏳ ${label} still running (${ProcessRunner.formatDuration(Date.now() - started)})`);
+          lastOutput = Date.now();
+        }
+      }, HEARTBEAT_MS);
+
+      let spawnError = null;
+      child.on('error', error => {
+        spawnError = error;
+      });
+      child.on('close', (code, signal) => {
+        clearTimeout(timeoutTimer);
+        clearTimeout(killTimer);
+        clearInterval(heartbeat);
+        ProcessRunner.untrack(child);
+
+        const status = ProcessRunner.classify({ code, signal, timedOut, spawnError, output });
+        const result = ProcessRunner.result(command, args, status, code, signal, started, output);
+        if (status === STATUS.OK) {
+          resolve(result);
+        } else {
+          reject(new ProcessError(ProcessRunner.describe(label, result, options.timeout, spawnError), result));
+        }
+      });
+    });
+  }
+
+  // Exit code / signal / output -> one of STATUS
+  static classify({ code, signal, timedOut, spawnError, output }) {
+    if (spawnError) return spawnError.code === 'ENOENT' ? STATUS.NOT_FOUND : STATUS.FAILED;
+    if (timedOut) return STATUS.TIMEOUT;
+    if (code === 0) return STATUS.OK;
+    if (ProcessRunner.interrupted || signal === 'SIGINT' || code === 130) return STATUS.CANCELLED;
+    if (code === 127) return STATUS.NOT_FOUND;
+
+    const text = output.stdout.concat(output.stderr).join('\n');
+    if (/OutOfMemoryError|Cannot allocate memory|insufficient memory/.test(text)) return STATUS.OUT_OF_MEMORY;
+    if (signal) return STATUS.KILLED;
+    return STATUS.FAILED;
+  }
+
+  static result(command, args, status, code, signal, started, output = { stdout: [], stderr: [] }) {
+    return {
+      command,
+      args,
+      status,
+      code,
+      signal,
+      stdout: output.stdout.join('\n'),
+      stderr: output.stderr.join('\n'),
+      durationMs: Date.now() - started
+    };
+  }
+
+  static describe(label, result, timeout, spawnError) {
+    const lastLine = (result.stderr || result.stdout).split('\n').filter(line => line.trim()).pop();
+    switch (result.status) {
+      case STATUS.NOT_FOUND:
+        return `${label}: command not found (${result.command})`;
+      case STATUS.TIMEOUT:
+        return `${label} timed out after ${Math.round(timeout / 1000)}s`;
+      case STATUS.CANCELLED:
+        return `${label} cancelled`;
+      case STATUS.OUT_OF_MEMORY:
+        return `${label} ran out of memory${lastLine ? `: ${lastLine.trim()}` : ''}`;
+      case STATUS.KILLED:
+        return `${label} was killed by ${result.signal} (out of memory?)`;
+      default:
+        if (spawnError) return `${label}: ${spawnError.message}`;
+        return `${label} exited with code ${result.code}${lastLine ? `: ${lastLine.trim()}` : ''}`;
+    }
+  }
+
+  static formatDuration(ms) {
+    const seconds = Math.round(ms / 1000);
+    return seconds < 60 ? `${seconds}s` : `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+  }
+
+  static isCancelled(error) {
+    return error instanceof ProcessError && error.status === STATUS.CANCELLED;
+  }
+
+  // Ctrl-C handling is only installed while children run; otherwise Node's default applies
+  static track(child) {
+    ProcessRunner.children.add(child);
+    if (ProcessRunner.children.size === 1) {
+      process.on('SIGINT', ProcessRunner.onInterrupt);
+    }
+  }
+
+  static untrack(child) {
+    ProcessRunner.children.delete(child);
+    if (ProcessRunner.children.size === 0) {
+      process.removeListener('SIGINT', ProcessRunner.onInterrupt);
+    }
+  }
+
+  // First Ctrl-C: stop the running tools and let the caller unwind. Second: exit now.
+  static onInterrupt() {
+    if (ProcessRunner.interrupted) {
+      for (const child of ProcessRunner.children) child.kill('SIGKILL');
+      process.exit(130);
+    }
+
+    ProcessRunner.interrupted = true;
+    console.error('\n⏹️  Interrupted - stopping running tools (Ctrl-C again to force)...');
+    for (const child of ProcessRunner.children) {
+      child.kill('SIGINT');
+      setTimeout(() => child.kill('SIGKILL'), KILL_GRACE_MS).unref();
+    }
+  }
+}
+
+ProcessRunner.children = new Set();
+ProcessRunner.interrupted = false;
+
+module.exports = ProcessRunner;
+module.exports.ProcessError = ProcessError;
+module.exports.STATUS = STATUS;
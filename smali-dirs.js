@@ -0,0 +1,91 @@
+const fs = require('fs');
+const path = require('path');
+
+// ============================================================================
+// CLASS: SmaliDirs
+// ============================================================================
+// One place to discover apktool's per-dex output folders: smali/ for
+// classes.dex, smali_classesN/ for classesN.dex, smali_assets/... for dex
+// files shipped under assets/.
+class SmaliDirs {
+  // Sort key: smali → 1, smali_classesN → N, anything else after
+  static dexIndex(name) {
+    if (name === 'smali') return 1;
+    const match = name.match(/^smali_classes(\d+)$/);
+    return match ? parseInt(match[1], 10) : Number.MAX_SAFE_INTEGER;
+  }
+
+  // Directory names (relative to baseDir) of every smali* folder, in dex order
+  static list(baseDir) {
+    let items;
+    try {
+      items = fs.readdirSync(baseDir);
+    } catch (e) {
+      return [];
+    }
+
+    return items
+      .filter(item => item.startsWith('smali'))
+      .filter(item => {
+        try {
+          return fs.statSync(path.join(baseDir, item)).isDirectory();
+        } catch (e) {
+          return false;
+        }
+      })
+      .sort((a, b) => this.dexIndex(a) - this.dexIndex(b) || a.localeCompare(b));
+  }
+
+  // Full paths of every smali* folder
+  static paths(baseDir) {
+    return this.list(baseDir).map(dir => path.join(baseDir, dir));
+  }
+
+  // Call callback(fullPath, fileName, dexDir) for every .smali file
+  static walkFiles(baseDir, callback) {
+    for (const dexDir of this.list(baseDir)) {
+      const walk = (dir) => {
+        let files;
+        try {
+          files = fs.readdirSync(dir);
+        } catch (e) {
+          return; // Skip inaccessible dirs
+        }
+
+        for (const file of files) {
+          const fullPath = path.join(dir, file);
+          try {
+            if (fs.statSync(fullPath).isDirectory()) {
+              walk(fullPath);
+            } else if (file.endsWith('.smali')) {
+              callback(fullPath, file, dexDir);
+            }
+          } catch (e) {
+            // Skip inaccessible files
+          }
+        }
+      };
+      walk(path.join(baseDir, dexDir));
+    }
+  }
+
+  // How many dex folders and classes a decompiled tree contains
+  static coverage(baseDir) {
+    const perDex = {};
+    for (const dir of this.list(baseDir)) {
+      perDex[dir] = 0;
+    }
+
+    this.walkFiles(baseDir, (fullPath, fileName, dexDir) => {
+      perDex[dexDir]++;
+    });
+
+    return {
+      dexDirectories: Object.keys(perDex).length,
+      classes: Object.values(perDex).reduce((sum, n) => sum + n, 0),
+      perDex
+    };
+  }
+}
+
+module.exports = SmaliDirs;
@@ -0,0 +1,422 @@
+const fs = require('fs');
+
+const ACCESS_FLAGS = new Set([
+  'public', 'private', 'protected', 'static', 'final', 'synchronized', 'volatile', 'bridge',
+  'transient', 'varargs', 'native', 'interface', 'abstract', 'strict', 'synthetic',
+  'annotation', 'enum', 'constructor', 'declared-synchronized'
+]);
+
+// Payload blocks whose lines are data, not instructions
+const PAYLOAD_BLOCKS = {
+  '.packed-switch': '.end packed-switch',
+  '.sparse-switch': '.end sparse-switch',
+  '.array-data': '.end array-data'
+};
+
+// ============================================================================
+// CLASS: SmaliParser
+// ============================================================================
+// Parses one .smali file into a class model. Every field and method keeps its
+// exact source range, so serialize() returns the original bytes for anything
+// that was not marked dirty.
+class SmaliParser {
+  static parseFile(filePath) {
+    return this.parse(fs.readFileSync(filePath, 'utf8'), filePath);
+  }
+
+  // Split text into lines, keeping offsets and original line endings
+  static splitLines(text) {
+    const lines = [];
+    const pattern = /([^\r\n]*)(\r\n|\n|\r|$)/g;
+    let match;
+    let number = 1;
+
+    while ((match = pattern.exec(text)) !== null) {
+      if (match[0] === '' && match.index >= text.length) break;
+      lines.push({
+        text: match[1],
+        trimmed: match[1].trim(),
+        start: match.index,
+        end: match.index + match[0].length,
+        number: number++
+      });
+      if (match[2] === '') break;
+    }
+    return lines;
+  }
+
+  // "Ljava/lang/String;I[J" → ['Ljava/lang/String;', 'I', '[J']
+  static splitTypes(types) {
+    const result = [];
+    let i = 0;
+
+    while (i < types.length) {
+      let start = i;
+      while (types[i] === '[') i++;
+      if (types[i] === 'L') {
+        const end = types.indexOf(';', i);
+        if (end === -1) throw new Error(`Malformed type list: ${types}`);
+        i = end + 1;
+      } else {
+        i++;
+      }
+      result.push(types.slice(start, i));
+    }
+    return result;
+  }
+
+  // "(Ljava/lang/String;I)V" → { parameters: [...], returnType: 'V' }
+  static parseDescriptor(descriptor) {
+    const close = descriptor.indexOf(')');
+    return {
+      parameters: this.splitTypes(descriptor.slice(1, close)),
+      returnType: descriptor.slice(close + 1)
+    };
+  }
+
+  // Split "public static final" style prefixes from the remaining tokens
+  static splitFlags(tokens) {
+    const flags = [];
+    let i = 0;
+    while (i < tokens.length - 1 && ACCESS_FLAGS.has(tokens[i])) {
+      flags.push(tokens[i++]);
+    }
+    return { flags, rest: tokens.slice(i) };
+  }
+
+  static unescapeString(value) {
+    return value.replace(/\\(u[0-9a-fA-F]{4}|.)/g, (m, esc) => {
+      if (esc[0] === 'u' && esc.length === 5) return String.fromCharCode(parseInt(esc.slice(1), 16));
+      return { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f', '0': '\0' }[esc] || esc;
+    });
+  }
+
+  // Parse one instruction line into opcode, registers and referenced item
+  static parseInstruction(trimmed, lineNumber) {
+    const space = trimmed.search(/\s/);
+    const opcode = space === -1 ? trimmed : trimmed.slice(0, space);
+    const operands = space === -1 ? '' : trimmed.slice(space).trim();
+    const instruction = { opcode, operands, line: lineNumber };
+
+    const registerList = operands.match(/^\{([^}]*)\}/);
+    if (registerList) {
+      const list = registerList[1].trim();
+      instruction.registers = list === '' ? [] : list.split(/\s*(?:,|\.\.)\s*/);
+    } else {
+      instruction.registers = (operands.match(/^(?:[vp]\d+\s*,\s*)*[vp]\d+/) || [''])[0]
+        .split(/\s*,\s*/)
+        .filter(Boolean);
+    }
+
+    const ref = operands.match(/(L[^;\s]+;|\[+[^\s-]+)->([^(:\s]+)(\([^)]*\)\S+|:\S+)/);
+    if (ref) {
+      const isMethod = ref[3][0] === '(';
+      instruction.reference = {
+        kind: isMethod ? 'method' : 'field',
+        owner: ref[1],
+        name: ref[2],
+        descriptor: isMethod ? ref[3] : ref[3].slice(1)
+      };
+    } else {
+      const typeRef = operands.match(/,\s*(L[^;\s]+;|\[+\S+)$/);
+      if (typeRef && /^(new-instance|check-cast|instance-of|const-class|new-array|filled-new-array)/.test(opcode)) {
+        instruction.reference = { kind: 'type', descriptor: typeRef[1] };
+      }
+    }
+
+    const str = operands.match(/^[vp]\d+,\s*"((?:[^"\\]|\\.)*)"$/);
+    if (str && opcode.startsWith('const-string')) {
+      instruction.string = this.unescapeString(str[1]);
+    }
+
+    return instruction;
+  }
+
+  // Consume ".annotation ... .end annotation" starting at lines[i]
+  static readAnnotation(lines, i) {
+    const header = lines[i].trimmed.split(/\s+/);
+    const annotation = { visibility: header[1], type: header[2], lines: [] };
+    let depth = 0;
+
+    for (; i < lines.length; i++) {
+      const t = lines[i].trimmed;
+      annotation.lines.push(lines[i].text);
+      if (t.startsWith('.annotation') || t.startsWith('.subannotation')) depth++;
+      if (t === '.end annotation' || t === '.end subannotation') depth--;
+      if (depth === 0) break;
+    }
+    return { annotation, next: i + 1 };
+  }
+
+  static parseField(lines, i) {
+    const line = lines[i];
+    const eq = line.trimmed.indexOf(' = ');
+    const decl = eq === -1 ? line.trimmed : line.trimmed.slice(0, eq);
+    const { flags, rest } = this.splitFlags(decl.split(/\s+/).slice(1));
+    const nameType = rest.join(' ');
+    const colon = nameType.indexOf(':');
+
+    const field = {
+      kind: 'field',
+      name: nameType.slice(0, colon),
+      type: nameType.slice(colon + 1),
+      accessFlags: flags,
+      initialValue: eq === -1 ? null : line.trimmed.slice(eq + 3),
+      annotations: [],
+      line: line.number,
+      start: line.start,
+      end: line.end,
+      dirty: false
+    };
+
+    // Fields with annotations end with ".end field"
+    let j = i + 1;
+    while (j < lines.length && lines[j].trimmed === '') j++;
+    if (j < lines.length && lines[j].trimmed.startsWith('.annotation')) {
+      while (j < lines.length && lines[j].trimmed !== '.end field') {
+        if (lines[j].trimmed.startsWith('.annotation')) {
+          const read = this.readAnnotation(lines, j);
+          field.annotations.push(read.annotation);
+          j = read.next;
+        } else {
+          j++;
+        }
+      }
+      field.end = lines[Math.min(j, lines.length - 1)].end;
+      return { field, next: j + 1 };
+    }
+
+    return { field, next: i + 1 };
+  }
+
+  static parseMethod(lines, i) {
+    const header = lines[i];
+    const { flags, rest } = this.splitFlags(header.trimmed.split(/\s+/).slice(1));
+    const signature = rest.join(' ');
+    const paren = signature.indexOf('(');
+    const descriptor = signature.slice(paren);
+
+    const method = {
+      kind: 'method',
+      name: signature.slice(0, paren),
+      descriptor,
+      ...this.parseDescriptor(descriptor),
+      accessFlags: flags,
+      registers: null,
+      params: [],
+      annotations: [],
+      instructions: [],
+      labels: {},
+      tryCatch: [],
+      bodyLines: [],
+      line: header.number,
+      start: header.start,
+      end: header.end,
+      dirty: false
+    };
+
+    let j = i + 1;
+    while (j < lines.length && lines[j].trimmed !== '.end method') {
+      const line = lines[j];
+      const t = line.trimmed;
+      method.bodyLines.push(line.text);
+
+      if (t === '' || t.startsWith('#')) {
+        j++;
+      } else if (t.startsWith('.locals ') || t.startsWith('.registers ')) {
+        const [directive, count] = t.split(/\s+/);
+        method.registers = { directive: directive.slice(1), count: parseInt(count, 10) };
+        j++;
+      } else if (t.startsWith('.annotation')) {
+        const read = this.readAnnotation(lines, j);
+        method.annotations.push(read.annotation);
+        method.bodyLines.push(...read.annotation.lines.slice(1));
+        j = read.next;
+      } else if (t.startsWith('.param ')) {
+        const param = { register: t.split(/[\s,]+/)[1], name: (t.match(/"((?:[^"\\]|\\.)*)"/) || [])[1] || null, annotations: [] };
+        method.params.push(param);
+        j++;
+        // ".param" with annotations is closed by ".end param"
+        let k = j;
+        while (k < lines.length && lines[k].trimmed === '') k++;
+        if (k < lines.length && lines[k].trimmed.startsWith('.annotation')) {
+          while (j < lines.length && lines[j].trimmed !== '.end param') {
+            method.bodyLines.push(lines[j].text);
+            if (lines[j].trimmed.startsWith('.annotation')) {
+              const read = this.readAnnotation(lines, j);
+              param.annotations.push(read.annotation);
+              method.bodyLines.push(...read.annotation.lines.slice(1));
+              j = read.next;
+            } else {
+              j++;
+            }
+          }
+          if (j < lines.length) {
+            method.bodyLines.push(lines[j].text);
+            j++;
+          }
+        }
+      } else if (t.startsWith(':')) {
+        method.labels[t.slice(1)] = method.instructions.length;
+        j++;
+      } else if (t.startsWith('.catch')) {
+        const match = t.match(/^\.(catchall|catch)\s+(?:(\S+)\s+)?\{\s*:(\S+)\s*\.\.\s*:(\S+)\s*\}\s*:(\S+)/);
+        if (match) {
+          method.tryCatch.push({
+            exception: match[1] === 'catchall' ? null : match[2],
+            start: match[3],
+            end: match[4],
+            handler: match[5]
+          });
+        }
+        j++;
+      } else if (PAYLOAD_BLOCKS[t.split(/\s+/)[0]]) {
+        const opcode = t.split(/\s+/)[0];
+        const payload = { opcode, operands: t.slice(opcode.length).trim(), payload: [], line: line.number };
+        j++;
+        while (j < lines.length && lines[j].trimmed !== PAYLOAD_BLOCKS[opcode]) {
+          method.bodyLines.push(lines[j].text);
+          if (lines[j].trimmed !== '') payload.payload.push(lines[j].trimmed);
+          j++;
+        }
+        if (j < lines.length) {
+          method.bodyLines.push(lines[j].text);
+          j++;
+        }
+        method.instructions.push(payload);
+      } else if (t.startsWith('.')) {
+        // Debug directives (.line, .local, .end local, .prologue, ...)
+        j++;
+      } else {
+        method.instructions.push(this.parseInstruction(t, line.number));
+        j++;
+      }
+    }
+
+    if (j >= lines.length) {
+      throw new Error(`Unterminated method ${method.name}${descriptor} at line ${header.number}`);
+    }
+
+    method.end = lines[j].end;
+    method.endLine = lines[j].number;
+    return { method, next: j + 1 };
+  }
+
+  static parse(text, filePath = null) {
+    const lines = this.splitLines(text);
+    const smaliClass = {
+      file: filePath,
+      text,
+      name: null,
+      accessFlags: [],
+      superClass: null,
+      sourceFile: null,
+      interfaces: [],
+      annotations: [],
+      fields: [],
+      methods: []
+    };
+
+    let i = 0;
+    while (i < lines.length) {
+      const t = lines[i].trimmed;
+
+      if (t.startsWith('.class ')) {
+        const { flags, rest } = this.splitFlags(t.split(/\s+/).slice(1));
+        smaliClass.accessFlags = flags;
+        smaliClass.name = rest[0];
+        i++;
+      } else if (t.startsWith('.super ')) {
+        smaliClass.superClass = t.split(/\s+/)[1];
+        i++;
+      } else if (t.startsWith('.source ')) {
+        smaliClass.sourceFile = this.unescapeString(t.slice(8).trim().replace(/^"|"$/g, ''));
+        i++;
+      } else if (t.startsWith('.implements ')) {
+        smaliClass.interfaces.push(t.split(/\s+/)[1]);
+        i++;
+      } else if (t.startsWith('.annotation')) {
+        const read = this.readAnnotation(lines, i);
+        smaliClass.annotations.push(read.annotation);
+        i = read.next;
+      } else if (t.startsWith('.field ')) {
+        const read = this.parseField(lines, i);
+        smaliClass.fields.push(read.field);
+        i = read.next;
+      } else if (t.startsWith('.method ')) {
+        const read = this.parseMethod(lines, i);
+        smaliClass.methods.push(read.method);
+        i = read.next;
+      } else {
+        i++;
+      }
+    }
+
+    if (!smaliClass.name) {
+      throw new Error(`No .class directive${filePath ? ' in ' + filePath : ''}`);
+    }
+
+    return smaliClass;
+  }
+
+  // Key that is unique per method in a class (overloads differ in descriptor)
+  static methodKey(method) {
+    return `${method.name}${method.descriptor}`;
+  }
+
+  static fieldKey(field) {
+    return `${field.name}:${field.type}`;
+  }
+
+  // Regenerate a dirty method from its header fields and bodyLines
+  static methodToSmali(method) {
+    const flags = method.accessFlags.length ? method.accessFlags.join(' ') + ' ' : '';
+    return `.method ${flags}${method.name}${method.descriptor}\n` +
+      method.bodyLines.join('\n') + '\n.end method';
+  }
+
+  // Original text with dirty methods re-rendered (unmodified → identical bytes).
+  // mapOutside, when given, rewrites the text between methods (header, fields, annotations).
+  static serialize(smaliClass, mapOutside = null) {
+    const { text } = smaliClass;
+    if (!mapOutside && !smaliClass.methods.some(m => m.dirty)) return text;
+
+    const outside = part => (mapOutside ? mapOutside(part) : part);
+    let result = '';
+    let pos = 0;
+    for (const method of smaliClass.methods) {
+      result += outside(text.slice(pos, method.start));
+      const original = text.slice(method.start, method.end);
+      if (method.dirty) {
+        const lineEnding = (original.match(/(\r\n|\n|\r)$/) || [''])[0];
+        result += this.methodToSmali(method) + lineEnding;
+      } else {
+        result += original;
+      }
+      pos = method.end;
+    }
+    return result + outside(text.slice(pos));
+  }
+
+  // Rename every class type in text: "Lcom/a/B;" and generic-signature fragments like "Lcom/a/B<".
+  // rename gets the internal name (com/a/B) and returns the name to use.
+  static mapTypes(text, rename) {
+    return text.replace(/(^|[^\w$\/-])L([^;<>\s"'(){}:,]+)(?=[;<])/g,
+      (match, before, name) => `${before}L${rename(name)}`);
+  }
+
+  // Apply map to every method (descriptor and body) and to the text between methods.
+  // Methods that change are marked dirty; returns the new source text.
+  static rewrite(smaliClass, map) {
+    for (const method of smaliClass.methods) {
+      const descriptor = map(method.descriptor);
+      const bodyLines = method.bodyLines.map(line => map(line));
+      if (descriptor !== method.descriptor || bodyLines.some((line, i) => line !== method.bodyLines[i])) {
+        Object.assign(method, { descriptor, ...this.parseDescriptor(descriptor), bodyLines, dirty: true });
+      }
+    }
+    return this.serialize(smaliClass, map);
+  }
+}
+
+module.exports = SmaliParser;
@@ -0,0 +1,352 @@
+const fs = require('fs');
+const path = require('path');
+const AndroidManifest = require('./manifest-parser');
+const ZipReader = require('./zip-reader');
+const AXMLDecoder = require('./axml-decoder');
+const ResourceTable = require('./arsc-decoder');
+
+const ABI_SPLITS = ['armeabi', 'armeabi_v7a', 'arm64_v8a', 'x86', 'x86_64', 'mips', 'mips64'];
+const DENSITY_SPLITS = ['ldpi', 'mdpi', 'tvdpi', 'hdpi', 'xhdpi', 'xxhdpi', 'xxxhdpi', 'nodpi', 'anydpi'];
+
+// Manifest attributes that only make sense for a base + splits install
+const SPLIT_ATTRIBUTES = ['split', 'configForSplit', 'isFeatureSplit', 'isSplitRequired', 'requiredSplitTypes', 'splitTypes'];
+
+// <meta-data> added by bundletool / Play for split installs
+const SPLIT_META_DATA = [
+  'com.android.vending.splits',
+  'com.android.vending.splits.required',
+  'com.android.vending.derived.apk.id',
+  'com.android.dynamic.apk.fused.modules',
+  'com.android.stamp.source',
+  'com.android.stamp.type'
+];
+
+// Value types with their own element in res/values (everything else becomes <item type="...">)
+const VALUE_ELEMENTS = ['string', 'color', 'dimen', 'bool', 'integer', 'fraction'];
+
+// apktool's values file names, by type (default: "<type>s.xml")
+const VALUE_FILES = { plurals: 'plurals.xml', array: 'arrays.xml' };
+
+// ============================================================================
+// CLASS: SplitMerger
+// ============================================================================
+// Merges config splits (ABI, density, language) into a decompiled base APK:
+// lib/ files are copied, split resource values and files are written into
+// res/ under their qualifiers, and the split markers are stripped from the
+// manifest so apktool can rebuild a single installable APK.
+class SplitMerger {
+  constructor(baseApk, splitApks) {
+    this.baseApk = baseApk;
+    this.splitApks = splitApks;
+    this.baseTable = null;
+    this.valueNames = new Map(); // res/values-* folder -> Set("type/name")
+    this.report = { splits: [], libs: 0, values: 0, files: 0, assets: 0, skipped: [] };
+  }
+
+  // { path, packageName, split, kind: 'base'|'abi'|'density'|'language'|'feature'|'assets', dexCount }
+  static describe(apkPath) {
+    const manifest = AndroidManifest.fromAPK(apkPath);
+    const zip = ZipReader.open(apkPath);
+    const dexCount = zip.dexFiles().length;
+    zip.close();
+
+    const split = manifest.root.attributes.split || null;
+    let kind = 'base';
+    if (split && split.startsWith('config.')) {
+      const name = split.slice('config.'.length);
+      kind = ABI_SPLITS.includes(name) ? 'abi' : DENSITY_SPLITS.includes(name) ? 'density' : 'language';
+    } else if (split) {
+      kind = dexCount > 0 ? 'feature' : 'assets';
+    }
+
+    return { path: apkPath, packageName: manifest.package, split, kind, dexCount };
+  }
+
+  // Split APKs among candidates that belong to baseApk (same package, split="..." set)
+  static findSplits(baseApk, candidates) {
+    const base = SplitMerger.describe(baseApk);
+    if (base.kind !== 'base') return [];
+
+    return candidates
+      .filter(candidate => path.resolve(candidate) !== path.resolve(baseApk))
+      .filter(candidate => {
+        try {
+          const info = SplitMerger.describe(candidate);
+          return info.split && info.packageName === base.packageName;
+        } catch (error) {
+          return false;
+        }
+      });
+  }
+
+  // Splits of baseApk among the other .apk files in its folder
+  static findSplitsBeside(baseApk) {
+    const dir = path.dirname(baseApk);
+    const candidates = fs.readdirSync(dir)
+      .filter(file => file.toLowerCase().endsWith('.apk'))
+      .map(file => path.join(dir, file));
+    return SplitMerger.findSplits(baseApk, candidates);
+  }
+
+  // Merge every split into the apktool output of the base APK
+  mergeInto(decodedDir) {
+    const decodedResources = !fs.existsSync(path.join(decodedDir, 'resources.arsc'));
+    if (!decodedResources) {
+      console.log('   ⚠️  Base was decompiled without resources; only lib/ and assets/ can be merged');
+    }
+
+    this.baseTable = ResourceTable.fromAPK(this.baseApk);
+
+    for (const splitApk of this.splitApks) {
+      const info = SplitMerger.describe(splitApk);
+      this.report.splits.push({ file: path.basename(splitApk), split: info.split, kind: info.kind });
+
+      if (info.kind === 'feature') {
+        // Feature modules carry their own dex; merging code is out of scope
+        this.skip(info.split, '*', 'feature split with code (not merged)');
+        continue;
+      }
+
+      const zip = ZipReader.open(splitApk);
+      try {
+        this.mergeEntries(zip, decodedDir);
+        if (decodedResources && zip.has('resources.arsc')) {
+          this.mergeResourceTable(zip, info.split, decodedDir);
+        }
+      } finally {
+        zip.close();
+      }
+    }
+
+    this.stripManifest(decodedDir);
+    return this.report;
+  }
+
+  // lib/<abi>/*.so and assets/* are copied as-is (base wins on conflicts)
+  mergeEntries(zip, decodedDir) {
+    for (const entry of zip.entries) {
+      if (entry.isDirectory || !/^(lib|assets)\//.test(entry.name)) continue;
+
+      const target = path.join(decodedDir, entry.name);
+      if (fs.existsSync(target)) continue;
+
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.writeFileSync(target, zip.read(entry.name));
+      if (entry.name.startsWith('lib/')) this.report.libs++;
+      else this.report.assets++;
+    }
+  }
+
+  mergeResourceTable(zip, splitName, decodedDir) {
+    const table = ResourceTable.decode(zip.read('resources.arsc'));
+    const pending = new Map(); // values file -> [xml lines]
+
+    for (const resource of table.byId.values()) {
+      for (const [qualifier, value] of resource.values) {
+        const folder = qualifier ? `${resource.type}-${qualifier}` : resource.type;
+        const label = `${resource.type}/${resource.name}${qualifier ? ` (${qualifier})` : ''}`;
+
+        if (typeof value === 'string' && zip.has(value)) {
+          const reason = this.mergeFile(zip, value, resource, folder, decodedDir);
+          if (reason) this.skip(splitName, label, reason);
+          continue;
+        }
+
+        const valuesFolder = qualifier ? `values-${qualifier}` : 'values';
+        if (this.hasValue(decodedDir, valuesFolder, resource)) continue;
+
+        const xml = this.valueXML(resource, value);
+        if (!xml) {
+          this.skip(splitName, label, 'unsupported value or unresolved reference');
+          continue;
+        }
+
+        const file = path.join(decodedDir, 'res', valuesFolder, VALUE_FILES[resource.type] || `${resource.type}s.xml`);
+        if (!pending.has(file)) pending.set(file, []);
+        pending.get(file).push(xml);
+        this.valueNames.get(valuesFolder).add(`${resource.type}/${resource.name}`);
+        this.report.values++;
+      }
+    }
+
+    for (const [file, lines] of pending) {
+      SplitMerger.appendValues(file, lines);
+    }
+  }
+
+  // Copy one file resource into res/<folder>/; returns a skip reason or null
+  mergeFile(zip, entryName, resource, folder, decodedDir) {
+    const ext = entryName.endsWith('.9.png') ? '.9.png' : path.extname(entryName);
+    const dir = path.join(decodedDir, 'res', folder);
+
+    if (fs.existsSync(dir) && fs.readdirSync(dir).some(file => file.split('.')[0] === resource.name)) {
+      return null;
+    }
+    if (ext === '.9.png') {
+      // Compiled 9-patches lost their border pixels; other densities still cover them
+      return 'compiled 9-patch cannot be rebuilt';
+    }
+
+    let data = zip.read(entryName);
+    if (ext === '.xml') {
+      const xml = this.resolveReferences(AXMLDecoder.toXML(data));
+      if (!xml || /\battr_(0x[0-9a-f]+|\d+)=/.test(xml)) {
+        return 'binary XML with unresolved references';
+      }
+      data = xml;
+    }
+
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, resource.name + ext), data);
+    this.report.files++;
+    return null;
+  }
+
+  // Replace @0x7f.../?0x7f... with names from the base table; null if any stays numeric
+  resolveReferences(text) {
+    let unresolved = false;
+    const resolved = text.replace(/([@?])0x([0-9a-f]{8})/g, (match, prefix) => {
+      const resource = this.baseTable ? this.baseTable.lookup(`@${match.slice(1)}`) : null;
+      if (!resource) {
+        unresolved = true;
+        return match;
+      }
+      return `${prefix}${resource.type}/${resource.name}`;
+    });
+    return unresolved ? null : resolved;
+  }
+
+  // Names already declared in a res/values-* folder, as "type/name"
+  hasValue(decodedDir, valuesFolder, resource) {
+    if (!this.valueNames.has(valuesFolder)) {
+      const names = new Set();
+      const dir = path.join(decodedDir, 'res', valuesFolder);
+      const files = fs.existsSync(dir) ? fs.readdirSync(dir).filter(file => file.endsWith('.xml')) : [];
+
+      for (const file of files) {
+        const xml = fs.readFileSync(path.join(dir, file), 'utf8');
+        for (const match of xml.matchAll(/<([\w-]+)\b([^>]*?)\bname="([^"]+)"/g)) {
+          const typeAttr = /\btype="([^"]+)"/.exec(match[2]);
+          const type = typeAttr ? typeAttr[1] : match[1].replace(/^(string|integer)-array$/, 'array');
+          names.add(`${type}/${match[3]}`);
+        }
+      }
+      this.valueNames.set(valuesFolder, names);
+    }
+    return this.valueNames.get(valuesFolder).has(`${resource.type}/${resource.name}`);
+  }
+
+  // res/values XML for one entry, or null when it cannot be expressed safely
+  valueXML(resource, value) {
+    const name = AXMLDecoder.escape(resource.name);
+
+    if (value && typeof value === 'object') {
+      const items = Object.entries(value.items);
+      if (resource.type === 'plurals') {
+        const lines = items.map(([quantity, text]) => {
+          const item = this.itemText(text, true);
+          return item === null ? null : `        <item quantity="${quantity}">${item}</item>`;
+        });
+        return lines.includes(null) ? null : `    <plurals name="${name}">\n${lines.join('\n')}\n    </plurals>`;
+      }
+      if (resource.type === 'array') {
+        // Array items are keyed 0x02000000 + index
+        const lines = items
+          .sort(([a], [b]) => parseInt(a, 16) - parseInt(b, 16))
+          .map(([, text]) => {
+            const item = this.itemText(text, true);
+            return item === null ? null : `        <item>${item}</item>`;
+          });
+        return lines.includes(null) ? null : `    <array name="${name}">\n${lines.join('\n')}\n    </array>`;
+      }
+      return null; // styles and attrs come from the base
+    }
+
+    const text = this.itemText(value, resource.type === 'string');
+    if (text === null) return null;
+    const formatted = resource.type === 'string' && value.includes('%') ? ' formatted="false"' : '';
+
+    return VALUE_ELEMENTS.includes(resource.type)
+      ? `    <${resource.type} name="${name}"${formatted}>${text}</${resource.type}>`
+      : `    <item type="${resource.type}" name="${name}">${text}</item>`;
+  }
+
+  // Element text for a value: references by name, strings escaped for aapt
+  itemText(value, isString) {
+    if (/^[@?]0x[0-9a-f]{8}$/.test(value) || value === '@null') {
+      return this.resolveReferences(value);
+    }
+    return isString ? SplitMerger.escapeString(value) : AXMLDecoder.escape(value);
+  }
+
+  // aapt string syntax: backslash escapes, quotes to keep significant whitespace
+  static escapeString(text) {
+    let escaped = text
+      .replace(/\\/g, '\\\\')
+      .replace(/"/g, '\\"')
+      .replace(/'/g, "\\'")
+      .replace(/\n/g, '\\n')
+      .replace(/\t/g, '\\t');
+    if (/^[@?]/.test(escaped)) escaped = `\\${escaped}`;
+    if (/^\s|\s$|\s\s/.test(escaped)) escaped = `"${escaped}"`;
+    return AXMLDecoder.escape(escaped);
+  }
+
+  static appendValues(file, lines) {
+    const body = lines.join('\n') + '\n';
+    if (!fs.existsSync(file)) {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, `<?xml version="1.0" encoding="utf-8"?>\n<resources>\n${body}</resources>\n`);
+      return;
+    }
+
+    const xml = fs.readFileSync(file, 'utf8');
+    const close = xml.lastIndexOf('</resources>');
+    fs.writeFileSync(file, xml.slice(0, close) + body + xml.slice(close));
+  }
+
+  // Remove split attributes and split meta-data; keep merged .so files stored when the app requires it
+  stripManifest(decodedDir) {
+    const manifestPath = path.join(decodedDir, 'AndroidManifest.xml');
+    let manifest = AndroidManifest.fromDecompiledDir(decodedDir);
+
+    const xml = manifest.removeAttributes((element, name) => SPLIT_ATTRIBUTES.includes(name.split(':').pop()));
+    manifest = new AndroidManifest(xml);
+    const stripped = manifest.removeElements(element =>
+      element.name === 'meta-data' && SPLIT_META_DATA.includes(manifest.attr(element, 'name')));
+    fs.writeFileSync(manifestPath, stripped);
+
+    const application = manifest.applicationElement;
+    if (this.report.libs > 0 && application && manifest.attr(application, 'extractNativeLibs') === 'false') {
+      SplitMerger.keepUncompressed(decodedDir, 'so');
+    }
+  }
+
+  // Add an extension to apktool.yml's doNotCompress list
+  static keepUncompressed(decodedDir, extension) {
+    const ymlPath = path.join(decodedDir, 'apktool.yml');
+    if (!fs.existsSync(ymlPath)) return;
+
+    const yml = fs.readFileSync(ymlPath, 'utf8');
+    const header = /^doNotCompress:[ \t]*\r?\n/m.exec(yml);
+    if (!header) {
+      fs.writeFileSync(ymlPath, `${yml.replace(/\n?$/, '\n')}doNotCompress:\n- ${extension}\n`);
+      return;
+    }
+
+    const listStart = header.index + header[0].length;
+    const list = /^(?:[ \t]*- .*(?:\r?\n|$))*/.exec(yml.slice(listStart))[0];
+    if (new RegExp(`^[ \\t]*- ${extension}\\s*$`, 'm').test(list)) return;
+
+    const indent = (/^([ \t]*)- /.exec(list) || ['', ''])[1];
+    fs.writeFileSync(ymlPath, yml.slice(0, listStart) + `${indent}- ${extension}\n` + yml.slice(listStart));
+  }
+
+  skip(split, resource, reason) {
+    this.report.skipped.push({ split, resource, reason });
+  }
+}
+
+module.exports = SplitMerger;
+module.exports.SPLIT_ATTRIBUTES = SPLIT_ATTRIBUTES;
+module.exports.SPLIT_META_DATA = SPLIT_META_DATA;
@@ -0,0 +1,152 @@
+// Give up on a minimal script past this many edits and report a full replace
+const MAX_EDIT_DISTANCE = 2000;
+
+// ============================================================================
+// CLASS: TextDiff
+// ============================================================================
+// Myers O(ND) line diff producing an edit script and unified-diff hunks.
+class TextDiff {
+  // Edit script: [{ op: ' ' | '-' | '+', line, oldIndex, newIndex }]
+  static diffLines(a, b) {
+    const n = a.length;
+    const m = b.length;
+    const max = n + m;
+    const offset = max + 1;
+    const v = new Array(2 * max + 3).fill(0);
+    const trace = [];
+
+    let found = false;
+    for (let d = 0; d <= Math.min(max, MAX_EDIT_DISTANCE); d++) {
+      // Only diagonals -d-1..d+1 are read back for step d
+      trace.push({ base: offset - d - 1, values: v.slice(offset - d - 1, offset + d + 2) });
+      for (let k = -d; k <= d; k += 2) {
+        let x;
+        if (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) {
+          x = v[offset + k + 1];
+        } else {
+          x = v[offset + k - 1] + 1;
+        }
+        let y = x - k;
+        while (x < n && y < m && a[x] === b[y]) {
+          x++;
+          y++;
+        }
+        v[offset + k] = x;
+        if (x >= n && y >= m) {
+          found = true;
+          break;
+        }
+      }
+      if (found) break;
+    }
+
+    if (!found) {
+      return [
+        ...a.map((line, i) => ({ op: '-', line, oldIndex: i, newIndex: null })),
+        ...b.map((line, i) => ({ op: '+', line, oldIndex: null, newIndex: i }))
+      ];
+    }
+
+    // Backtrack through the saved V arrays
+    const script = [];
+    let x = n;
+    let y = m;
+    for (let d = trace.length - 1; d >= 0; d--) {
+      const { base, values } = trace[d];
+      const at = diagonal => values[offset + diagonal - base];
+      const k = x - y;
+      let prevK;
+      if (k === -d || (k !== d && at(k - 1) < at(k + 1))) {
+        prevK = k + 1;
+      } else {
+        prevK = k - 1;
+      }
+      const prevX = at(prevK);
+      const prevY = prevX - prevK;
+
+      while (x > prevX && y > prevY) {
+        x--;
+        y--;
+        script.push({ op: ' ', line: a[x], oldIndex: x, newIndex: y });
+      }
+      if (d > 0) {
+        if (x === prevX) {
+          y--;
+          script.push({ op: '+', line: b[y], oldIndex: null, newIndex: y });
+        } else {
+          x--;
+          script.push({ op: '-', line: a[x], oldIndex: x, newIndex: null });
+        }
+      }
+    }
+
+    return script.reverse();
+  }
+
+  // Group an edit script into unified-diff hunks with `context` lines around changes
+  static hunks(script, context = 3) {
+    const changes = [];
+    script.forEach((entry, i) => {
+      if (entry.op !== ' ') changes.push(i);
+    });
+    if (changes.length === 0) return [];
+
+    // Changes closer than 2 * context share a hunk
+    const groups = [[changes[0], changes[0]]];
+    for (const i of changes.slice(1)) {
+      const group = groups[groups.length - 1];
+      if (i - group[1] <= context * 2) {
+        group[1] = i;
+      } else {
+        groups.push([i, i]);
+      }
+    }
+
+    // 1-based line numbers of each script entry before it is applied
+    const oldBefore = [];
+    const newBefore = [];
+    let oldLine = 1;
+    let newLine = 1;
+    for (const entry of script) {
+      oldBefore.push(oldLine);
+      newBefore.push(newLine);
+      if (entry.op !== '+') oldLine++;
+      if (entry.op !== '-') newLine++;
+    }
+
+    return groups.map(([first, last]) => {
+      const from = Math.max(0, first - context);
+      const to = Math.min(script.length - 1, last + context);
+      const lines = script.slice(from, to + 1);
+      const oldLines = lines.filter(e => e.op !== '+').length;
+      const newLines = lines.filter(e => e.op !== '-').length;
+
+      return {
+        // Unified diff convention: an empty range starts at the line before it
+        oldStart: oldLines === 0 ? oldBefore[from] - 1 : oldBefore[from],
+        oldLines,
+        newStart: newLines === 0 ? newBefore[from] - 1 : newBefore[from],
+        newLines,
+        lines
+      };
+    });
+  }
+
+  // Unified diff text for two line arrays
+  static unified(a, b, options = {}) {
+    const { context = 3, fromLabel = 'original', toLabel = 'modified' } = options;
+    const hunks = this.hunks(this.diffLines(a, b), context);
+    if (hunks.length === 0) return '';
+
+    const out = [`--- ${fromLabel}`, `+++ ${toLabel}`];
+    for (const hunk of hunks) {
+      out.push(`@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@`);
+      for (const entry of hunk.lines) {
+        out.push(entry.op + entry.line);
+      }
+    }
+    return out.join('\n');
+  }
+}
+
+module.exports = TextDiff;
@@ -0,0 +1,361 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { execFileSync } = require('child_process');
+const ProcessRunner = require('./process-runner');
+
+const TOOLS_DIR_ENV = 'APK_EDITOR_TOOLS_DIR';
+const MIRROR_ENV = 'APK_EDITOR_TOOL_MIRROR';
+const BUNDLE_ENV = 'APK_EDITOR_TOOL_BUNDLE';
+const ALLOW_UNPINNED_ENV = 'APK_EDITOR_ALLOW_UNPINNED';
+
+const DEFAULT_TOOLS_DIR = 'tools';
+// Known versions with their file names, upstream URLs and pinned SHA-256
+const CATALOG_FILE = path.join(__dirname, 'tools.json');
+// Optional "<sha256>  <file>" list next to the files of a mirror or bundle
+const CHECKSUMS_FILE = 'SHA256SUMS';
+// Written last into an installed version; without it the version does not count as installed
+const META_FILE = '.tool.json';
+
+// What an installed version looks like: main must exist, executables get chmod +x
+const TOOLS = {
+  apktool: { main: 'apktool.jar', archive: false, executables: [] },
+  jadx: { main: 'bin/jadx', archive: true, executables: ['bin/jadx', 'bin/jadx-gui'] },
+  'build-tools': { main: 'apksigner', archive: true, executables: ['apksigner', 'zipalign', 'aapt', 'aapt2'] }
+};
+
+class ToolError extends Error {
+  constructor(tool, version, message) {
+    super(`${tool} ${version}: ${message}`);
+    this.name = 'ToolError';
+    this.tool = tool;
+    this.version = version;
+  }
+}
+
+// ============================================================================
+// CLASS: ToolManager
+// ============================================================================
+// Installs apktool, jadx and Android build-tools side by side under
+// <root>/<tool>/<version>/. Archives come from an offline bundle, a local
+// mirror directory or (if allowed) the upstream URL, and are only installed
+// when their SHA-256 matches the pin in tools.json. A mirror's own SHA256SUMS
+// only vouches for versions tools.json does not list.
+// Everything is unpacked in a partial dir and renamed into place at the end,
+// so an interrupted install never leaves a half-extracted tool behind.
+class ToolManager {
+  constructor(options = {}) {
+    this.root = options.root || process.env[TOOLS_DIR_ENV] || DEFAULT_TOOLS_DIR;
+    this.mirror = options.mirror || process.env[MIRROR_ENV] || null;
+    this.bundle = options.bundle || process.env[BUNDLE_ENV] || null;
+    this.allowUnpinned = options.allowUnpinned !== undefined
+      ? options.allowUnpinned
+      : Boolean(process.env[ALLOW_UNPINNED_ENV]);
+    this.catalog = options.catalog || ToolManager.readCatalog();
+    this.bundleDir = null;
+
+    // Selected version per tool: option (job file), then environment, then the catalog default
+    const versions = options.versions || {};
+    this.versions = {};
+    for (const name of Object.keys(TOOLS)) {
+      this.versions[name] = versions[name] || process.env[ToolManager.versionEnv(name)] || this.catalog[name].default;
+    }
+  }
+
+  // The manager every command uses (created from the environment on first use)
+  static shared() {
+    if (!ToolManager.instance) {
+      ToolManager.instance = new ToolManager();
+    }
+    return ToolManager.instance;
+  }
+
+  // Replace the shared manager, e.g. with the tools section of a job file
+  static configure(options = {}) {
+    ToolManager.instance = new ToolManager(options);
+    return ToolManager.instance;
+  }
+
+  static readCatalog(file = CATALOG_FILE) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  // APK_EDITOR_APKTOOL_VERSION, APK_EDITOR_JADX_VERSION, APK_EDITOR_BUILD_TOOLS_VERSION
+  static versionEnv(name) {
+    return `APK_EDITOR_${name.toUpperCase().replace(/-/g, '_')}_VERSION`;
+  }
+
+  static hashFile(file) {
+    const hash = crypto.createHash('sha256');
+    const buffer = Buffer.alloc(1024 * 1024);
+    const fd = fs.openSync(file, 'r');
+    try {
+      let bytesRead;
+      while ((bytesRead = fs.readSync(fd, buffer, 0, buffer.length, null)) > 0) {
+        hash.update(buffer.subarray(0, bytesRead));
+      }
+    } finally {
+      fs.closeSync(fd);
+    }
+    return hash.digest('hex');
+  }
+
+  // { file: sha256 } from dir/SHA256SUMS (sha256sum output format), {} if there is none
+  static readChecksums(dir) {
+    const checksums = {};
+    const file = path.join(dir, CHECKSUMS_FILE);
+    if (!fs.existsSync(file)) return checksums;
+
+    for (const line of fs.readFileSync(file, 'utf8').split(/\r?\n/)) {
+      const match = line.match(/^([0-9a-fA-F]{64})\s+\*?(.+)$/);
+      if (match) checksums[path.basename(match[2].trim())] = match[1].toLowerCase();
+    }
+    return checksums;
+  }
+
+  // Catalog entry { file, url, sha256 } of one version of a tool. A version the catalog does
+  // not list gets its file name from the tool's "file" pattern (url and sha256 null) and can
+  // only be installed from a mirror or bundle that has it in SHA256SUMS.
+  entry(name, version = this.versions[name]) {
+    if (!TOOLS[name] || !this.catalog[name]) {
+      throw new Error(`Unknown tool: ${name} (known: ${Object.keys(TOOLS).join(', ')})`);
+    }
+    const tool = this.catalog[name];
+    if (tool.versions[version]) {
+      return { ...tool.versions[version], catalogued: true };
+    }
+    if (!tool.file || !(this.mirror || this.bundle)) {
+      const known = Object.keys(tool.versions).join(', ');
+      throw new ToolError(name, version, `not in ${path.basename(CATALOG_FILE)} (known versions: ${known}; ` +
+        `others need a tool mirror or bundle with ${CHECKSUMS_FILE})`);
+    }
+    return { file: tool.file.replace('{version}', version), url: null, sha256: null, catalogued: false };
+  }
+
+  installDir(name, version = this.versions[name]) {
+    return path.join(this.root, name, version);
+  }
+
+  // Install metadata of a version, or null when it is not (completely) installed
+  meta(name, version = this.versions[name]) {
+    try {
+      return JSON.parse(fs.readFileSync(path.join(this.installDir(name, version), META_FILE), 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // A file of the selected version (default: the tool's main file), or null if not installed
+  find(name, file = TOOLS[name].main) {
+    if (!this.meta(name)) return null;
+    const filePath = path.resolve(this.installDir(name), file);
+    return fs.existsSync(filePath) ? filePath : null;
+  }
+
+  // Like find(), but a missing tool is an error that says how to install it
+  path(name, file = TOOLS[name].main) {
+    const found = this.find(name, file);
+    if (!found) {
+      throw new ToolError(name, this.versions[name], `not installed (run: node index.js tools install ${name})`);
+    }
+    return found;
+  }
+
+  // Every installed version, with the selected ones marked
+  list() {
+    const installed = [];
+    for (const name of Object.keys(TOOLS)) {
+      const dir = path.join(this.root, name);
+      if (!fs.existsSync(dir)) continue;
+
+      for (const version of fs.readdirSync(dir).filter(entry => !entry.startsWith('.'))) {
+        const meta = this.meta(name, version);
+        if (meta) installed.push({ ...meta, selected: version === this.versions[name] });
+      }
+    }
+    return installed;
+  }
+
+  // Selected versions as recorded in reports ({ version, sha256, source }, null when not installed)
+  describe() {
+    const tools = {};
+    for (const name of Object.keys(TOOLS)) {
+      const meta = this.meta(name);
+      tools[name] = meta ? { version: meta.version, sha256: meta.sha256, source: meta.source } : null;
+    }
+    return tools;
+  }
+
+  // Metadata of the selected version, installing it first if needed
+  async ensure(name, options = {}) {
+    return this.meta(name) || this.install(name, this.versions[name], options);
+  }
+
+  // online: false only looks at the bundle and the mirror
+  async install(name, version = this.versions[name], { online = true } = {}) {
+    const entry = this.entry(name, version);
+    const tool = TOOLS[name];
+    const target = this.installDir(name, version);
+    const partial = path.join(this.root, name, `.partial-${version}-${process.pid}`);
+    const download = path.join(partial, entry.file);
+    const tree = path.join(partial, 'tree');
+
+    try {
+      fs.rmSync(partial, { recursive: true, force: true });
+      fs.mkdirSync(partial, { recursive: true });
+
+      const source = await this.fetch(name, version, entry, download, online);
+      const sha256 = ToolManager.hashFile(download);
+      if (!source.sha256) {
+        console.log(`⚠️  ${name} ${version}: no pinned SHA-256, installing unverified ${sha256} (${ALLOW_UNPINNED_ENV} is set)`);
+      } else if (sha256 !== source.sha256) {
+        throw new ToolError(name, version, `SHA-256 mismatch for ${entry.file} from ${source.from}: expected ${source.sha256}, got ${sha256}`);
+      }
+
+      if (tool.archive) {
+        fs.mkdirSync(tree);
+        await ProcessRunner.run('unzip', ['-q', '-o', download, '-d', tree], { label: `unzip ${entry.file}`, timeout: 300000 });
+        if (!fs.existsSync(path.join(tree, tool.main))) {
+          ToolManager.unwrap(tree);
+        }
+      } else {
+        fs.mkdirSync(tree);
+        fs.renameSync(download, path.join(tree, tool.main));
+      }
+
+      if (!fs.existsSync(path.join(tree, tool.main))) {
+        throw new ToolError(name, version, `${entry.file} does not contain ${tool.main}`);
+      }
+      for (const executable of tool.executables) {
+        const file = path.join(tree, executable);
+        if (fs.existsSync(file)) fs.chmodSync(file, 0o755);
+      }
+
+      const meta = {
+        name,
+        version,
+        file: entry.file,
+        sha256,
+        verified: Boolean(source.sha256),
+        checksum: source.sha256 ? source.checksum : null,
+        source: source.from,
+        installedAt: new Date().toISOString()
+      };
+      fs.writeFileSync(path.join(tree, META_FILE), JSON.stringify(meta, null, 2));
+
+      // Another process may have installed the same version meanwhile; theirs wins
+      if (!this.meta(name, version)) {
+        fs.rmSync(target, { recursive: true, force: true });
+        fs.renameSync(tree, target);
+        console.log(`✅ ${name} ${version} installed from ${source.from}${meta.verified ? ` (SHA-256 verified against ${meta.checksum})` : ''}`);
+      }
+      return this.meta(name, version);
+    } finally {
+      fs.rmSync(partial, { recursive: true, force: true });
+    }
+  }
+
+  // Copy entry.file from the offline bundle or the mirror, or download it;
+  // returns { from, sha256, checksum } where checksum names the file the SHA-256 came from
+  async fetch(name, version, entry, destination, online) {
+    const pinned = entry.sha256 ? entry.sha256.toLowerCase() : null;
+
+    const sources = [
+      { dir: this.openBundle(), from: `${this.bundle}:${entry.file}` },
+      { dir: this.mirror, from: this.mirror && path.join(this.mirror, entry.file) }
+    ];
+    for (const { dir, from } of sources.filter(source => source.dir)) {
+      const file = path.join(dir, entry.file);
+      if (!fs.existsSync(file)) continue;
+
+      // Catalog versions are checked against their pin only; SHA256SUMS comes from the mirror itself
+      const sha256 = entry.catalogued ? pinned : ToolManager.readChecksums(dir)[entry.file] || null;
+      this.requireChecksum(name, version, sha256, entry.catalogued
+        ? `pin it in ${path.basename(CATALOG_FILE)} (${name}.versions.${version}.sha256)`
+        : `add it to ${CHECKSUMS_FILE} next to ${from}`);
+      console.log(`📦 Installing ${name} ${version} from ${from}...`);
+      fs.copyFileSync(file, destination);
+      return { from, sha256, checksum: entry.catalogued ? path.basename(CATALOG_FILE) : CHECKSUMS_FILE };
+    }
+
+    const searched = [this.bundle, this.mirror].filter(Boolean);
+    if (!online || !entry.url) {
+      throw new ToolError(name, version, searched.length
+        ? `${entry.file} not found in ${searched.join(' or ')}`
+        : `no tool mirror or bundle configured (set ${MIRROR_ENV} or ${BUNDLE_ENV})`);
+    }
+    if (searched.length) {
+      console.log(`ℹ️  ${entry.file} not in ${searched.join(' or ')}, downloading it`);
+    }
+
+    this.requireChecksum(name, version, pinned, `pin it in ${path.basename(CATALOG_FILE)} (${name}.versions.${version}.sha256)`);
+    console.log(`⬇️  Downloading ${name} ${version}...`);
+    await ProcessRunner.run('wget', ['-q', entry.url, '-O', destination], { label: `download ${entry.file}`, timeout: 600000 });
+    return { from: entry.url, sha256: pinned, checksum: path.basename(CATALOG_FILE) };
+  }
+
+  requireChecksum(name, version, sha256, hint) {
+    if (!sha256 && !this.allowUnpinned) {
+      throw new ToolError(name, version, `no SHA-256 known to verify it against; ${hint}`);
+    }
+  }
+
+  // The offline bundle (.zip / .tar.gz) extracted once under <root>/.bundles/, or null without one
+  openBundle() {
+    if (!this.bundle) return null;
+    if (this.bundleDir) return this.bundleDir;
+
+    if (!fs.existsSync(this.bundle)) {
+      throw new Error(`Tool bundle not found: ${this.bundle}`);
+    }
+    const stat = fs.statSync(this.bundle);
+    const stamp = `${stat.size}:${stat.mtimeMs}`;
+    const hash = crypto.createHash('sha1').update(path.resolve(this.bundle)).digest('hex').slice(0, 8);
+    const dir = path.join(this.root, '.bundles', `${path.basename(this.bundle)}-${hash}`);
+    const stampFile = path.join(dir, '.bundle-stamp');
+
+    if (!fs.existsSync(stampFile) || fs.readFileSync(stampFile, 'utf8') !== stamp) {
+      const partial = `${dir}.partial-${process.pid}`;
+      try {
+        fs.rmSync(partial, { recursive: true, force: true });
+        fs.mkdirSync(partial, { recursive: true });
+        const args = /\.zip$/i.test(this.bundle)
+          ? ['unzip', ['-q', '-o', this.bundle, '-d', partial]]
+          : ['tar', ['-xf', this.bundle, '-C', partial]];
+        execFileSync(args[0], args[1], { stdio: ['ignore', 'ignore', 'pipe'] });
+        ToolManager.unwrap(partial);
+        fs.writeFileSync(path.join(partial, '.bundle-stamp'), stamp);
+
+        fs.rmSync(dir, { recursive: true, force: true });
+        fs.renameSync(partial, dir);
+      } finally {
+        fs.rmSync(partial, { recursive: true, force: true });
+      }
+    }
+
+    this.bundleDir = dir;
+    return dir;
+  }
+
+  // Archives that wrap everything in one folder (build-tools: android-14/) get that folder as root
+  static unwrap(dir) {
+    const entries = fs.readdirSync(dir);
+    if (entries.length !== 1 || !fs.statSync(path.join(dir, entries[0])).isDirectory()) return;
+
+    const inner = `${dir}.inner`;
+    fs.renameSync(path.join(dir, entries[0]), inner);
+    fs.rmdirSync(dir);
+    fs.renameSync(inner, dir);
+  }
+}
+
+ToolManager.instance = null;
+
+module.exports = ToolManager;
+module.exports.ToolError = ToolError;
+module.exports.TOOLS = TOOLS;
+module.exports.TOOLS_DIR_ENV = TOOLS_DIR_ENV;
+module.exports.MIRROR_ENV = MIRROR_ENV;
+module.exports.BUNDLE_ENV = BUNDLE_ENV;
+module.exports.ALLOW_UNPINNED_ENV = ALLOW_UNPINNED_ENV;
+module.exports.DEFAULT_TOOLS_DIR = DEFAULT_TOOLS_DIR;
@@ -0,0 +1,219 @@
+const fs = require('fs');
+const zlib = require('zlib');
+
+const EOCD_SIGNATURE = 0x06054b50;
+const ZIP64_EOCD_LOCATOR_SIGNATURE = 0x07064b50;
+const ZIP64_EOCD_SIGNATURE = 0x06064b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+
+// EOCD is 22 bytes plus an optional comment of up to 65535 bytes
+const EOCD_MAX_SEARCH = 22 + 0xffff;
+
+const METHOD_NAMES = { 0: 'stored', 8: 'deflated' };
+
+let crcTable = null;
+
+// ============================================================================
+// CLASS: ZipReader
+// ============================================================================
+// Reads an APK's central directory in-process: entry names, sizes,
+// compression methods and CRCs, and inflates single entries on demand.
+// Only the central directory is read up front, so large APKs stay cheap.
+class ZipReader {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.fd = null;
+    this.size = 0;
+    this.entries = [];
+    this.byName = new Map();
+  }
+
+  // Open a ZIP file and read its central directory
+  static open(filePath) {
+    const reader = new ZipReader(filePath);
+    reader.fd = fs.openSync(filePath, 'r');
+    try {
+      reader.size = fs.fstatSync(reader.fd).size;
+      reader.readCentralDirectory();
+    } catch (error) {
+      reader.close();
+      throw error;
+    }
+    return reader;
+  }
+
+  close() {
+    if (this.fd !== null) {
+      fs.closeSync(this.fd);
+      this.fd = null;
+    }
+  }
+
+  readAt(position, length) {
+    const buffer = Buffer.alloc(length);
+    const bytesRead = fs.readSync(this.fd, buffer, 0, length, position);
+    if (bytesRead !== length) {
+      throw new Error(`Unexpected end of file in ${this.filePath} at offset ${position}`);
+    }
+    return buffer;
+  }
+
+  findEndOfCentralDirectory() {
+    const searchLength = Math.min(this.size, EOCD_MAX_SEARCH);
+    const tail = this.readAt(this.size - searchLength, searchLength);
+
+    for (let i = tail.length - 22; i >= 0; i--) {
+      if (tail.readUInt32LE(i) === EOCD_SIGNATURE) {
+        return { offset: this.size - searchLength + i, record: tail.subarray(i) };
+      }
+    }
+    throw new Error(`Not a ZIP file (no end of central directory): ${this.filePath}`);
+  }
+
+  readCentralDirectory() {
+    const eocd = this.findEndOfCentralDirectory();
+    let entryCount = eocd.record.readUInt16LE(10);
+    let directorySize = eocd.record.readUInt32LE(12);
+    let directoryOffset = eocd.record.readUInt32LE(16);
+
+    // ZIP64: the real values live in the ZIP64 end of central directory record
+    if (entryCount === 0xffff || directoryOffset === 0xffffffff) {
+      const locator = eocd.offset >= 20 ? this.readAt(eocd.offset - 20, 20) : null;
+      if (locator && locator.readUInt32LE(0) === ZIP64_EOCD_LOCATOR_SIGNATURE) {
+        const record = this.readAt(Number(locator.readBigUInt64LE(8)), 56);
+        if (record.readUInt32LE(0) !== ZIP64_EOCD_SIGNATURE) {
+          throw new Error(`Corrupt ZIP64 end of central directory: ${this.filePath}`);
+        }
+        entryCount = Number(record.readBigUInt64LE(32));
+        directorySize = Number(record.readBigUInt64LE(40));
+        directoryOffset = Number(record.readBigUInt64LE(48));
+      }
+    }
+
+    const directory = this.readAt(directoryOffset, directorySize);
+    let pos = 0;
+
+    for (let i = 0; i < entryCount; i++) {
+      if (directory.readUInt32LE(pos) !== CENTRAL_HEADER_SIGNATURE) {
+        throw new Error(`Corrupt central directory entry #${i} in ${this.filePath}`);
+      }
+
+      const nameLength = directory.readUInt16LE(pos + 28);
+      const extraLength = directory.readUInt16LE(pos + 30);
+      const commentLength = directory.readUInt16LE(pos + 32);
+      const entry = {
+        name: directory.toString('utf8', pos + 46, pos + 46 + nameLength),
+        method: directory.readUInt16LE(pos + 10),
+        flags: directory.readUInt16LE(pos + 8),
+        crc32: directory.readUInt32LE(pos + 16),
+        compressedSize: directory.readUInt32LE(pos + 20),
+        size: directory.readUInt32LE(pos + 24),
+        localHeaderOffset: directory.readUInt32LE(pos + 42)
+      };
+      entry.methodName = METHOD_NAMES[entry.method] || `method-${entry.method}`;
+      entry.isDirectory = entry.name.endsWith('/');
+
+      this.applyZip64Extra(entry, directory.subarray(pos + 46 + nameLength, pos + 46 + nameLength + extraLength));
+
+      this.entries.push(entry);
+      this.byName.set(entry.name, entry);
+      pos += 46 + nameLength + extraLength + commentLength;
+    }
+  }
+
+  // Replace 0xFFFFFFFF placeholders with values from the ZIP64 extra field (id 0x0001)
+  applyZip64Extra(entry, extra) {
+    let pos = 0;
+    while (pos + 4 <= extra.length) {
+      const id = extra.readUInt16LE(pos);
+      const length = extra.readUInt16LE(pos + 2);
+      if (id === 0x0001) {
+        let field = pos + 4;
+        for (const key of ['size', 'compressedSize', 'localHeaderOffset']) {
+          if (entry[key] === 0xffffffff && field + 8 <= pos + 4 + length) {
+            entry[key] = Number(extra.readBigUInt64LE(field));
+            field += 8;
+          }
+        }
+        return;
+      }
+      pos += 4 + length;
+    }
+  }
+
+  has(name) {
+    return this.byName.has(name);
+  }
+
+  getEntry(name) {
+    return this.byName.get(name) || null;
+  }
+
+  // Uncompressed contents of one entry (CRC-checked)
+  read(name) {
+    const entry = this.getEntry(name);
+    if (!entry) {
+      throw new Error(`Entry not found in ${this.filePath}: ${name}`);
+    }
+
+    const header = this.readAt(entry.localHeaderOffset, 30);
+    if (header.readUInt32LE(0) !== LOCAL_HEADER_SIGNATURE) {
+      throw new Error(`Corrupt local header for ${name} in ${this.filePath}`);
+    }
+    const dataOffset = entry.localHeaderOffset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+    const raw = this.readAt(dataOffset, entry.compressedSize);
+
+    let data;
+    if (entry.method === 0) {
+      data = raw;
+    } else if (entry.method === 8) {
+      data = zlib.inflateRawSync(raw);
+    } else {
+      throw new Error(`Unsupported compression method ${entry.method} for ${name}`);
+    }
+
+    if (ZipReader.crc32(data) !== entry.crc32) {
+      throw new Error(`CRC mismatch for ${name} in ${this.filePath}`);
+    }
+    return data;
+  }
+
+  // classes.dex, classes2.dex, ... at the archive root
+  dexFiles() {
+    return this.entries
+      .map(entry => entry.name)
+      .filter(name => /^classes\d*\.dex$/.test(name));
+  }
+
+  summary() {
+    const files = this.entries.filter(entry => !entry.isDirectory);
+    return {
+      entries: files.length,
+      dexCount: this.dexFiles().length,
+      size: files.reduce((sum, entry) => sum + entry.size, 0),
+      compressedSize: files.reduce((sum, entry) => sum + entry.compressedSize, 0)
+    };
+  }
+
+  static crc32(buffer) {
+    if (!crcTable) {
+      crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+          c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        crcTable[n] = c >>> 0;
+      }
+    }
+
+    let crc = 0xffffffff;
+    for (let i = 0; i < buffer.length; i++) {
+      crc = crcTable[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+}
+
+module.exports = ZipReader;